@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pool } = require('./db');
+
+// App-level sign-in, separate from the eBay accounts it manages: a user
+// belongs to organizations with a role in each, and sees every store (clients
+// row) of those organizations. Viewers can look at previews and history,
+// operators can also run and change settings, and owners can also connect
+// and disconnect stores and manage who's on the team.
+
+const ROLES = ['viewer', 'operator', 'owner']; // each can do everything the ones before it can
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const INVITATION_TTL_DAYS = 7;
+
+const scrypt = promisify(crypto.scrypt);
+
+function hasRole(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function passwordMatches(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Every new user gets an organization of their own to connect stores to;
+// joining someone else's team is by invitation. Returns { error } for bad
+// input, like addProtectedItem.
+async function createUser({ email, password, name }) {
+  const address = String(email || '').trim().toLowerCase();
+  const displayName = String(name || '').trim() || null;
+  if (!EMAIL_PATTERN.test(address)) return { error: 'Enter a valid email address.' };
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+  }
+
+  const passwordHash = await hashPassword(String(password));
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const { rows: [user] } = await db.query(
+      `INSERT INTO users (email, name, password_hash) VALUES ($1, $2, $3)
+       ON CONFLICT (email) DO NOTHING RETURNING id, email, name`,
+      [address, displayName, passwordHash]
+    );
+    if (!user) {
+      await db.query('ROLLBACK');
+      return { error: 'An account with this email already exists.' };
+    }
+    const { rows: [organization] } = await db.query(
+      'INSERT INTO organizations (name) VALUES ($1) RETURNING id',
+      [`${displayName || address}'s team`]
+    );
+    await db.query(
+      "INSERT INTO memberships (organization_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [organization.id, user.id]
+    );
+    await db.query('COMMIT');
+    return { user };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+// ponytail: no lockout or rate limit on wrong passwords — add one in front
+// of /api/login before opening sign-ups to the public.
+async function authenticate(email, password) {
+  const { rows: [user] } = await pool.query(
+    'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+    [String(email || '').trim().toLowerCase()]
+  );
+  if (!user || !(await passwordMatches(String(password || ''), user.password_hash))) return null;
+  return { id: user.id, email: user.email, name: user.name };
+}
+
+async function findUser(userId) {
+  const { rows: [user] } = await pool.query('SELECT id, email, name FROM users WHERE id = $1', [userId]);
+  return user ?? null;
+}
+
+// The stores a user can switch between, with their role in each.
+async function listStores(userId) {
+  const { rows } = await pool.query(
+    `SELECT c.id, c.ebay_username, c.reauth_required_at, c.organization_id, o.name AS organization_name, m.role
+     FROM memberships m
+     JOIN organizations o ON o.id = m.organization_id
+     JOIN clients c ON c.organization_id = m.organization_id
+     WHERE m.user_id = $1
+     ORDER BY o.name, c.ebay_username`,
+    [userId]
+  );
+  return rows;
+}
+
+// { role, organization_id } if the user can see the store, else null.
+async function membershipFor(userId, clientId) {
+  const { rows: [membership] } = await pool.query(
+    `SELECT m.role, m.organization_id FROM clients c
+     JOIN memberships m ON m.organization_id = c.organization_id AND m.user_id = $2
+     WHERE c.id = $1`,
+    [clientId, userId]
+  );
+  return membership ?? null;
+}
+
+// Where a store the user connects next should go: the current store's
+// organization if they own it, else the first one they own, else null.
+async function connectTarget(userId, clientId) {
+  const { rows: [membership] } = await pool.query(
+    `SELECT organization_id FROM memberships
+     WHERE user_id = $1 AND role = 'owner'
+     ORDER BY organization_id = (SELECT organization_id FROM clients WHERE id = $2) DESC NULLS LAST, organization_id
+     LIMIT 1`,
+    [userId, clientId ?? null]
+  );
+  return membership?.organization_id ?? null;
+}
+
+// Why this user can't connect (or reconnect) the eBay account, or null.
+// Reconnecting a store their team already has only needs the operator role,
+// so an expired authorization doesn't wait on an owner. A store nobody is a
+// member of — connected before organizations existed — goes to whoever
+// connects it next.
+async function storeConnectProblem(userId, ebayUserId, organizationId) {
+  const { rows: [existing] } = await pool.query(
+    `SELECT m.role, EXISTS (SELECT 1 FROM memberships WHERE organization_id = c.organization_id) AS claimed
+     FROM clients c
+     LEFT JOIN memberships m ON m.organization_id = c.organization_id AND m.user_id = $2
+     WHERE c.ebay_user_id = $1`,
+    [ebayUserId, userId]
+  );
+  if (existing?.claimed) {
+    if (!existing.role) return 'This eBay account is already connected by another team.';
+    return hasRole(existing.role, 'operator') ? null : 'Only an owner or operator can reconnect this store.';
+  }
+  return organizationId ? null : 'Only an organization owner can connect a new eBay store.';
+}
+
+// Leaves a store that already belongs to a team where it is.
+async function attachStore(clientId, organizationId) {
+  await pool.query(
+    `UPDATE clients SET organization_id = $2
+     WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM memberships WHERE organization_id = clients.organization_id)`,
+    [clientId, organizationId]
+  );
+}
+
+async function listMembers(organizationId) {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, u.name, m.role, m.created_at FROM memberships m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = $1 ORDER BY m.created_at`,
+    [organizationId]
+  );
+  return rows;
+}
+
+async function isLastOwner(organizationId, userId) {
+  const { rows: [row] } = await pool.query(
+    `SELECT bool_and(user_id = $2) AS last FROM memberships WHERE organization_id = $1 AND role = 'owner'`,
+    [organizationId, userId]
+  );
+  return Boolean(row.last);
+}
+
+async function setMemberRole(organizationId, userId, role) {
+  if (!ROLES.includes(role)) return { error: `Role must be one of ${ROLES.join(', ')}.` };
+  if (role !== 'owner' && (await isLastOwner(organizationId, userId))) {
+    return { error: 'An organization needs at least one owner.' };
+  }
+  const { rows: [member] } = await pool.query(
+    'UPDATE memberships SET role = $3 WHERE organization_id = $1 AND user_id = $2 RETURNING user_id AS id, role',
+    [organizationId, userId, role]
+  );
+  return { member: member ?? null };
+}
+
+async function removeMember(organizationId, userId) {
+  if (await isLastOwner(organizationId, userId)) return { error: 'An organization needs at least one owner.' };
+  const { rowCount } = await pool.query(
+    'DELETE FROM memberships WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+  return { removed: rowCount > 0 };
+}
+
+// The link's token comes back only here, as { invitation, token }.
+async function createInvitation(organizationId, createdBy, role) {
+  if (!ROLES.includes(role)) return { error: `Role must be one of ${ROLES.join(', ')}.` };
+  const token = crypto.randomBytes(24).toString('hex');
+  const { rows: [invitation] } = await pool.query(
+    `INSERT INTO invitations (organization_id, token_hash, role, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, now() + make_interval(days => $5))
+     RETURNING id, role, created_at, expires_at`,
+    [organizationId, hashToken(token), role, createdBy, INVITATION_TTL_DAYS]
+  );
+  return { invitation, token };
+}
+
+async function listInvitations(organizationId) {
+  const { rows } = await pool.query(
+    `SELECT id, role, created_at, expires_at FROM invitations
+     WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > now()
+     ORDER BY created_at DESC`,
+    [organizationId]
+  );
+  return rows;
+}
+
+async function revokeInvitation(organizationId, id) {
+  const { rowCount } = await pool.query(
+    'UPDATE invitations SET revoked_at = now() WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL',
+    [id, organizationId]
+  );
+  return rowCount > 0;
+}
+
+function invitationProblem(invitation) {
+  if (!invitation || invitation.revoked_at) return 'This invitation link is invalid or was revoked.';
+  if (invitation.accepted_at) return 'This invitation link has already been used.';
+  if (new Date(invitation.expires_at) <= new Date()) return 'This invitation link has expired — ask for a new one.';
+  return null;
+}
+
+// What the link offers — the team, the role and who sent it — for the page
+// that asks before joining. Returns { error } for a link that can't be used.
+async function findInvitation(token) {
+  const { rows: [invitation] } = await pool.query(
+    `SELECT i.role, i.expires_at, i.accepted_at, i.revoked_at, o.name AS organization_name,
+       COALESCE(u.name, u.email) AS invited_by
+     FROM invitations i
+     JOIN organizations o ON o.id = i.organization_id
+     LEFT JOIN users u ON u.id = i.created_by
+     WHERE i.token_hash = $1`,
+    [hashToken(String(token))]
+  );
+  const error = invitationProblem(invitation);
+  if (error) return { error };
+  const { role, organization_name, invited_by } = invitation;
+  return { invitation: { role, organization_name, invited_by } };
+}
+
+// Each link works once. Someone already on the team keeps their current
+// role, so an owner opening a viewer link by mistake isn't demoted.
+async function acceptInvitation(userId, token) {
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const { rows: [invitation] } = await db.query(
+      'SELECT * FROM invitations WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(String(token))]
+    );
+    const error = invitationProblem(invitation);
+    if (error) {
+      await db.query('ROLLBACK');
+      return { error };
+    }
+
+    await db.query(
+      `INSERT INTO memberships (organization_id, user_id, role) VALUES ($1, $2, $3)
+       ON CONFLICT (organization_id, user_id) DO NOTHING`,
+      [invitation.organization_id, userId, invitation.role]
+    );
+    await db.query(
+      'UPDATE invitations SET accepted_by = $2, accepted_at = now() WHERE id = $1',
+      [invitation.id, userId]
+    );
+    await db.query('COMMIT');
+    return { organizationId: invitation.organization_id };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createUser,
+  authenticate,
+  findUser,
+  listStores,
+  membershipFor,
+  connectTarget,
+  storeConnectProblem,
+  attachStore,
+  listMembers,
+  setMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  findInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { failRun } = require('./runQueue');
+const { notifyRunFinished } = require('./notifications');
+const { scheduleFromClient, nextRunAt } = require('./modules/schedule');
+
+// The deployment operator's view across every connected seller, behind its
+// own login: ADMIN_PASSWORD, unset by default, which leaves the admin area
+// switched off. Every admin action goes into the audit trail (audit.js).
+
+const TOKEN_WARNING_DAYS = 30; // same nudge the seller's dashboard gives
+const FAILURE_WINDOW_DAYS = 7;
+
+function isAdminEnabled() {
+  return Boolean(process.env.ADMIN_PASSWORD);
+}
+
+// ponytail: one shared password, and the name an admin signs in with is
+// whatever they type — fine for the handful of people who run a deployment;
+// give admins their own accounts if the audit trail has to prove who it was.
+function adminPasswordMatches(password) {
+  if (!isAdminEnabled()) return false;
+  const digest = value => crypto.createHash('sha256').update(String(value ?? '')).digest();
+  return crypto.timingSafeEqual(digest(password), digest(process.env.ADMIN_PASSWORD));
+}
+
+function tokenHealth(client) {
+  if (client.reauth_required_at) return 'reauth_required';
+  const expiresAt = client.refresh_token_expires_at && new Date(client.refresh_token_expires_at);
+  if (expiresAt && expiresAt - Date.now() < TOKEN_WARNING_DAYS * 86400000) return 'expiring';
+  return 'ok';
+}
+
+// One row per client: its latest run, schedule, token health and today's
+// Trading API calls.
+async function listClientsOverview() {
+  const { rows } = await pool.query(
+    `SELECT c.id, c.ebay_username, o.name AS organization_name, c.created_at,
+       c.schedule_hours, c.schedule_cron, c.schedule_timezone, c.next_run_at, c.schedule_paused_at,
+       c.refresh_token_expires_at, c.reauth_required_at, c.reauth_reason,
+       r.id AS last_run_id, r.status AS last_run_status, r.trigger AS last_run_trigger,
+       r.started_at AS last_run_started_at, r.finished_at AS last_run_finished_at, r.heartbeat_at AS last_run_heartbeat_at,
+       COALESCE(f.count, 0)::int AS recent_failures,
+       COALESCE(u.calls, 0)::int AS api_calls_today
+     FROM clients c
+     LEFT JOIN organizations o ON o.id = c.organization_id
+     LEFT JOIN LATERAL (
+       SELECT id, status, trigger, started_at, finished_at, heartbeat_at FROM runs
+       WHERE client_id = c.id ORDER BY id DESC LIMIT 1
+     ) r ON true
+     LEFT JOIN (
+       SELECT client_id, COUNT(*) AS count FROM runs
+       WHERE status = 'failed' AND started_at > now() - make_interval(days => $1)
+       GROUP BY client_id
+     ) f ON f.client_id = c.id
+     LEFT JOIN (
+       SELECT client_id, SUM(count) AS calls FROM api_call_counts
+       WHERE day = (now() AT TIME ZONE 'UTC')::date
+       GROUP BY client_id
+     ) u ON u.client_id = c.id
+     ORDER BY c.id`,
+    [FAILURE_WINDOW_DAYS]
+  );
+  return rows.map(client => ({ ...client, token_health: tokenHealth(client) }));
+}
+
+// A queued run has ended nothing, so it's failed and its channels notified
+// right here. A running one is wound down by its own worker (or recovered as
+// stale if that's wedged), which strands and notifies as it would for any
+// run — doing either here, while the worker may still be relisting, could
+// have the stranded-item retry relist the same listing twice.
+async function forceFailRun(runId, adminName) {
+  const run = await failRun(runId, `Run marked failed by admin ${adminName}.`);
+  if (!run) return null;
+  if (run.status === 'failed') await notifyRunFinished(run.id);
+  return run;
+}
+
+// Resuming starts the schedule from now, like reconnecting after a lapsed
+// authorization, rather than firing the runs missed while paused. Returns
+// null for an unknown client.
+async function setSchedulePaused(clientId, paused) {
+  if (paused) {
+    const { rows: [client] } = await pool.query(
+      `UPDATE clients SET schedule_paused_at = COALESCE(schedule_paused_at, now()) WHERE id = $1
+       RETURNING id, schedule_paused_at, next_run_at`,
+      [clientId]
+    );
+    return client ?? null;
+  }
+
+  const { rows: [current] } = await pool.query(
+    'SELECT schedule_hours, schedule_cron, schedule_timezone, schedule_blackouts FROM clients WHERE id = $1',
+    [clientId]
+  );
+  if (!current) return null;
+  const { rows: [client] } = await pool.query(
+    `UPDATE clients SET schedule_paused_at = NULL, next_run_at = $2 WHERE id = $1
+     RETURNING id, schedule_paused_at, next_run_at`,
+    [clientId, nextRunAt(scheduleFromClient(current))]
+  );
+  return client;
+}
+
+module.exports = {
+  isAdminEnabled,
+  adminPasswordMatches,
+  listClientsOverview,
+  forceFailRun,
+  setSchedulePaused
+};
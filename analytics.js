@@ -0,0 +1,69 @@
+const { pool } = require('./db');
+const { summarizeRelists } = require('./modules/relistStats');
+
+const RECENT_ITEMS_LIMIT = 100;
+
+// Relist performance: every real run snapshots the views and sales of all
+// active listings, and each relisted item is compared against the listing it
+// replaced (see modules/relistStats.js for the numbers themselves).
+
+// ponytail: one row per active listing per run, kept forever. Fine for
+// stores of a few thousand listings on a daily schedule; prune old rows that
+// no lineage refers to if the table gets unwieldy.
+async function recordSnapshots(clientId, runId, listings) {
+  if (listings.length === 0) return;
+  await pool.query(
+    `INSERT INTO listing_snapshots (client_id, run_id, item_id, hit_count, quantity_sold, price, days_left)
+     SELECT $1, $2, s.item_id, s.hit_count, s.quantity_sold, s.price, s.days_left
+     FROM jsonb_to_recordset($3::jsonb) AS s (item_id TEXT, hit_count INTEGER, quantity_sold INTEGER, price NUMERIC, days_left NUMERIC)`,
+    [clientId, runId, JSON.stringify(listings.map(listing => ({
+      item_id: listing.itemId,
+      hit_count: listing.views,
+      quantity_sold: listing.soldCount,
+      price: listing.price,
+      days_left: Math.round(listing.daysLeft * 100) / 100
+    })))]
+  );
+}
+
+// One row per relisted item (generation 1 and up) listed in the last `days`
+// days, with the last snapshot of the listing it replaced and its own.
+// ponytail: items relisted from the stranded list have no brand, since the
+// retry doesn't know which keyword first matched them; they count under
+// "all items".
+async function relistAnalytics(clientId, { days = 90 } = {}) {
+  const { rows } = await pool.query(
+    `WITH last_snapshots AS (
+       SELECT DISTINCT ON (item_id) item_id, hit_count, quantity_sold, days_left, taken_at
+       FROM listing_snapshots WHERE client_id = $1
+       ORDER BY item_id, taken_at DESC
+     ), first_sales AS (
+       SELECT item_id, MIN(taken_at) AS taken_at
+       FROM listing_snapshots WHERE client_id = $1 AND quantity_sold > 0
+       GROUP BY item_id
+     )
+     SELECT li.item_id, li.previous_item_id, li.generation, li.brand, li.listed_at, l.title,
+       prev.listed_at AS previous_listed_at,
+       old_snapshot.hit_count AS views_before, old_snapshot.quantity_sold AS sold_before, old_snapshot.days_left AS days_left_before,
+       old_snapshot.taken_at AS before_taken_at,
+       new_snapshot.hit_count AS views_after, new_snapshot.quantity_sold AS sold_after, new_snapshot.taken_at AS after_taken_at,
+       CASE WHEN l.sold_item_id = li.item_id THEN l.sold_at END AS sold_at,
+       first_sales.taken_at AS first_sale_seen_at
+     FROM lineage_items li
+     JOIN listing_lineages l ON l.id = li.lineage_id
+     LEFT JOIN lineage_items prev ON prev.client_id = li.client_id AND prev.item_id = li.previous_item_id
+     LEFT JOIN last_snapshots old_snapshot ON old_snapshot.item_id = li.previous_item_id
+     LEFT JOIN last_snapshots new_snapshot ON new_snapshot.item_id = li.item_id
+     LEFT JOIN first_sales ON first_sales.item_id = li.item_id
+     WHERE li.client_id = $1 AND li.generation > 0 AND li.listed_at > now() - ($2 || ' days')::interval
+     ORDER BY li.listed_at DESC`,
+    [clientId, days]
+  );
+  const analytics = summarizeRelists(rows);
+  return { ...analytics, items: analytics.items.slice(0, RECENT_ITEMS_LIMIT) };
+}
+
+module.exports = {
+  recordSnapshots,
+  relistAnalytics
+};
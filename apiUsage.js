@@ -0,0 +1,64 @@
+const { pool } = require('./db');
+const { createRateLimiter } = require('./modules/ebayRequests');
+
+// Every Trading API call the app makes is throttled and counted here. eBay
+// caps calls per app per day (and some per seller), and a large store can
+// otherwise burn through that without anyone noticing until calls start
+// failing with error 518.
+
+const APP_CALLS_PER_SECOND = Number(process.env.EBAY_APP_CALLS_PER_SECOND) || 20;
+const CLIENT_CALLS_PER_SECOND = Number(process.env.EBAY_CLIENT_CALLS_PER_SECOND) || 5;
+const ACCESS_RULES_CACHE_MS = 15 * 60 * 1000;
+
+// ponytail: these limiters are per process, so N app instances together allow
+// N times the configured rate. Fine at one or two instances; move the bucket
+// into Postgres or Redis if that stops being true.
+const appLimiter = createRateLimiter({ perSecond: APP_CALLS_PER_SECOND });
+const clientLimiters = new Map();
+
+function limitersFor(clientId) {
+  if (!clientLimiters.has(clientId)) clientLimiters.set(clientId, createRateLimiter({ perSecond: CLIENT_CALLS_PER_SECOND }));
+  return [clientLimiters.get(clientId), appLimiter];
+}
+
+// Counted by UTC day, matching the day eBay's daily limits reset on. A failed
+// write only loses a count, so it's logged rather than failing the call.
+function recordApiCall(clientId, callName) {
+  pool.query(
+    `INSERT INTO api_call_counts (client_id, call_name, day, count) VALUES ($1, $2, (now() AT TIME ZONE 'UTC')::date, 1)
+     ON CONFLICT (client_id, call_name, day) DO UPDATE SET count = api_call_counts.count + 1`,
+    [clientId, callName]
+  ).catch(error => console.error(`Failed to count ${callName} call for client ${clientId}:`, error.message));
+}
+
+// The createEbayClient options that route a client's calls through this module.
+function requestOptionsFor(clientId) {
+  return { limiters: limitersFor(clientId), onCall: (callName) => recordApiCall(clientId, callName) };
+}
+
+// GetApiAccessRules is itself a counted call, and reports on the whole app,
+// so one answer is shared by every dashboard for a while.
+let accessRules = null;
+
+async function getAccessRules(ebayClient) {
+  if (accessRules && accessRules.fetchedAt > Date.now() - ACCESS_RULES_CACHE_MS) return accessRules;
+  accessRules = { rules: await ebayClient.getApiAccessRules(), fetchedAt: Date.now() };
+  return accessRules;
+}
+
+// Today's calls by call name: this client's, and the whole app's.
+async function usageToday(clientId) {
+  const { rows } = await pool.query(
+    `SELECT call_name, SUM(count)::int AS app_count, COALESCE(SUM(count) FILTER (WHERE client_id = $1), 0)::int AS client_count
+     FROM api_call_counts WHERE day = (now() AT TIME ZONE 'UTC')::date
+     GROUP BY call_name ORDER BY call_name`,
+    [clientId]
+  );
+  return rows;
+}
+
+module.exports = {
+  requestOptionsFor,
+  getAccessRules,
+  usageToday
+};
@@ -0,0 +1,172 @@
+const { pool } = require('./db');
+const { MARKETPLACES } = require('./modules/marketplaces');
+const { validateRules, validateKeywordThresholds } = require('./modules/rules');
+const { scheduleFromClient, nextRunAt, validateSchedule } = require('./modules/schedule');
+const { validateSettings } = require('./modules/settingsSchema.mjs');
+
+// Append-only: one row per action someone may later need to account for,
+// with who did it and from where. Nothing updates or deletes these rows.
+// Entries for settings saves carry both the fields that changed and a full
+// snapshot of the settings afterwards, which is what a restore puts back.
+
+// Every column a settings, schedule or rules save can change.
+const SETTINGS_COLUMNS = [
+  'item_limit', 'keywords', 'max_views', 'days_left_threshold', 'max_sold_count',
+  'reprice_mode', 'reprice_amount', 'reprice_floor', 'reprice_rounding', 'marketplaces',
+  'rules', 'keyword_thresholds',
+  'schedule_hours', 'schedule_cron', 'schedule_timezone', 'schedule_blackouts'
+];
+const JSON_COLUMNS = new Set(['keywords', 'rules', 'keyword_thresholds', 'schedule_blackouts']);
+const SCHEDULE_COLUMNS = ['schedule_hours', 'schedule_cron', 'schedule_timezone', 'schedule_blackouts'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The store's organization is recorded alongside it, so an entry is still
+// the team's after the store itself is disconnected or deleted.
+async function recordAudit({ clientId = null, userId = null, actorKind, actor, action, details = {}, ip = null }, db = pool) {
+  await db.query(
+    `INSERT INTO audit_log (client_id, organization_id, user_id, actor_kind, actor, action, details, ip)
+     VALUES ($1, (SELECT organization_id FROM clients WHERE id = $1), $2, $3, $4, $5, $6, $7)`,
+    [clientId, userId, actorKind, actor, action, JSON.stringify(details), ip]
+  );
+}
+
+// With no clientId, every entry (the admin console's view). With one, that
+// store's entries, plus the sign-ins of its organization's members and the
+// disconnects and deletions of the organization's other stores.
+async function listAudit({ clientId = null, organizationId = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.client_id, c.ebay_username, a.actor_kind, a.actor, a.action, a.details, a.ip, a.created_at
+     FROM audit_log a LEFT JOIN clients c ON c.id = a.client_id
+     WHERE $1::int IS NULL OR a.client_id = $1
+       OR (a.client_id IS NULL AND a.action LIKE 'user.%'
+         AND a.user_id IN (SELECT user_id FROM memberships WHERE organization_id = $2))
+       OR (a.client_id IS NULL AND a.action LIKE 'store.%' AND a.organization_id = $2)
+     ORDER BY a.id DESC LIMIT $3`,
+    [clientId, organizationId, limit]
+  );
+  return rows;
+}
+
+// `lock` holds the row until the caller's transaction ends, so no other save
+// lands between this snapshot and the caller's own.
+async function settingsSnapshot(clientId, db = pool, { lock = false } = {}) {
+  const { rows: [client] } = await db.query(
+    `SELECT ${SETTINGS_COLUMNS.join(', ')} FROM clients WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [clientId]
+  );
+  return client ?? null;
+}
+
+function diffSettings(before, after) {
+  const changes = {};
+  for (const column of SETTINGS_COLUMNS) {
+    if (column in before && !same(before[column], after[column])) changes[column] = { from: before[column], to: after[column] };
+  }
+  return changes;
+}
+
+// Call with the snapshot taken before the save; records nothing for a save
+// that didn't change anything.
+async function recordSettingsChange(entry, before, db = pool) {
+  const after = await settingsSnapshot(entry.clientId, db);
+  const changes = diffSettings(before, after);
+  if (Object.keys(changes).length === 0) return;
+  await recordAudit({ ...entry, details: { ...entry.details, changes, settings: after } }, db);
+}
+
+// Runs `save(db)` — the UPDATE behind a settings, schedule or rules save — in
+// one transaction with the snapshots either side of it, so the audit entry
+// records exactly that save's change however many others race it. Returns
+// what `save` does.
+async function saveSettingsAudited(entry, save) {
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const before = await settingsSnapshot(entry.clientId, db, { lock: true });
+    const result = await save(db);
+    if (before) await recordSettingsChange(entry, before, db);
+    await db.query('COMMIT');
+    return result;
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+// The checks a save runs, applied to a whole set of settings; a snapshot
+// taken before one of them was tightened can fail them.
+function settingsProblems(settings) {
+  const { errors } = validateSettings(settings, { marketplaceIds: Object.keys(MARKETPLACES) });
+  return [
+    ...errors,
+    ...validateRules(settings.rules ?? []),
+    ...validateKeywordThresholds(settings.keyword_thresholds ?? {}),
+    ...validateSchedule(scheduleFromClient(settings))
+  ];
+}
+
+// Puts back the settings as they stood right after entry `entryId`, and
+// records that as `entry`, like saveSettingsAudited. Only columns the
+// snapshot has are written, so an entry from before a setting existed leaves
+// that setting alone. The result has to pass the same checks a save does, or
+// nothing is written and { errors } says why. The schedule restarts from now
+// if it changes, and settings_version moves on just as a save moves it.
+// Returns { restored: true }, or null when the entry isn't this client's or
+// isn't a settings change.
+async function restoreSettings(entry, entryId) {
+  const { rows: [source] } = await pool.query(
+    `SELECT details FROM audit_log WHERE id = $1 AND client_id = $2 AND details ? 'settings'`,
+    [entryId, entry.clientId]
+  );
+  if (!source) return null;
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const current = await settingsSnapshot(entry.clientId, db, { lock: true });
+    if (!current) {
+      await db.query('ROLLBACK');
+      return null;
+    }
+
+    const { settings } = source.details;
+    const restored = { ...current, ...settings };
+    const errors = settingsProblems(restored);
+    if (errors.length > 0) {
+      await db.query('ROLLBACK');
+      return { errors };
+    }
+
+    const columns = SETTINGS_COLUMNS.filter(column => column in settings);
+    const values = columns.map(column => (JSON_COLUMNS.has(column) ? JSON.stringify(settings[column]) : settings[column]));
+    const nextRun = SCHEDULE_COLUMNS.some(column => !same(current[column], restored[column]))
+      ? nextRunAt(scheduleFromClient(restored))
+      : undefined;
+
+    await db.query(
+      `UPDATE clients SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')},
+         settings_version = settings_version + 1
+         ${nextRun === undefined ? '' : `, next_run_at = $${columns.length + 2}`}
+       WHERE id = $1`,
+      [entry.clientId, ...values, ...(nextRun === undefined ? [] : [nextRun])]
+    );
+    await recordSettingsChange(entry, current, db);
+    await db.query('COMMIT');
+    return { restored: true };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+module.exports = {
+  recordAudit,
+  listAudit,
+  saveSettingsAudited,
+  restoreSettings
+};
@@ -0,0 +1,482 @@
+// The automation from the command line, for cron jobs and CI runs against
+// the sandbox: one seller, on a token from EBAY_USER_TOKEN (EBAY_ENV,
+// EBAY_BASE_URL as for the web app), with no database. Settings come from a
+// JSON config file — the dashboard's setting names, plus rules,
+// keyword_thresholds and protected_items — overridden by flags. What it ends
+// and relists is appended to a local history file instead.
+//
+// Run `node cli.js --help` for the commands.
+const fs = require('fs');
+const { Console } = require('console');
+const { parseArgs } = require('util');
+const { loadEnv } = require('./modules/utils');
+const { createEbayClient } = require('./modules/ebayApi');
+const { runAutomation } = require('./modules/automation');
+const { resellEndedListings } = require('./modules/reseller');
+const { findMatchingRule, validateRules, validateKeywordThresholds } = require('./modules/rules');
+const { findProtection } = require('./modules/protection');
+const { relistPriceFor } = require('./modules/repricing');
+const { MARKETPLACES, DEFAULT_MARKETPLACE } = require('./modules/marketplaces');
+const { validateSettings } = require('./modules/settingsSchema.mjs');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1; // eBay refused, or something else went wrong mid-command
+const EXIT_USAGE = 2; // bad command, flags or config — nothing was sent to eBay
+const EXIT_STRANDED = 3; // items were ended but couldn't be relisted
+
+const DEFAULT_CONFIG = 'reseller.config.json';
+const DEFAULT_HISTORY = 'reseller-history.jsonl';
+const DEFAULT_HISTORY_LIMIT = 20;
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  preview              Show what a run would end and relist, without touching anything
+  run                  End matching listings and relist them (--dry-run: same as preview)
+  list-active          List active listings and whether the settings match each one
+  end <itemId>         End one listing
+  relist <itemId>      End one listing if it's still live, then list a copy of it (unless the
+                       history shows it was relisted already)
+  history              Show what earlier commands ended and relisted
+  export               Write active listings as CSV or JSON
+
+Options:
+  -c, --config <file>        JSON settings (default: ${DEFAULT_CONFIG}, if it exists)
+      --item-limit <n>       Listings to end per keyword, per marketplace
+      --keywords <a,b>       Only listings with these words in the title, each worked through in turn
+      --max-views <n>        End listings with this many views or fewer
+      --days-left <n>        End listings with fewer than this many days left
+      --max-sold <n>         End listings with this many sales or fewer
+      --reprice-mode <mode>  off, percent or fixed
+      --reprice-amount <n>   Percent or amount to drop per relist
+      --reprice-floor <n>    Never relist below this price
+      --reprice-rounding <r> none, 99 or 95
+      --marketplace <id>     ${Object.keys(MARKETPLACES).join(', ')}; repeat for several (end and relist use the first)
+      --price <n>            relist: the copy's price, instead of the markdown settings
+      --dry-run              Check everything with eBay but end and relist nothing
+      --json                 Print the result as JSON
+      --history <file>       History file (default: ${DEFAULT_HISTORY})
+      --limit <n>            history: entries to show (default: ${DEFAULT_HISTORY_LIMIT})
+      --format <csv|json>    export: output format (default: csv)
+  -o, --output <file>        export: write here instead of to stdout
+
+Exit codes:
+  ${EXIT_OK}  done (including when nothing matched, or the item was already relisted)
+  ${EXIT_FAILED}  failed — eBay refused, or the command couldn't finish
+  ${EXIT_USAGE}  bad command, options or config; nothing was sent to eBay
+  ${EXIT_STRANDED}  items were ended but couldn't be relisted`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  'item-limit': { type: 'string' },
+  keywords: { type: 'string' },
+  'max-views': { type: 'string' },
+  'days-left': { type: 'string' },
+  'max-sold': { type: 'string' },
+  'reprice-mode': { type: 'string' },
+  'reprice-amount': { type: 'string' },
+  'reprice-floor': { type: 'string' },
+  'reprice-rounding': { type: 'string' },
+  marketplace: { type: 'string', multiple: true },
+  price: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  history: { type: 'string' },
+  limit: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Flags that override a config setting, and the setting each one sets.
+const SETTING_FLAGS = {
+  'item-limit': 'item_limit',
+  keywords: 'keywords',
+  'max-views': 'max_views',
+  'days-left': 'days_left_threshold',
+  'max-sold': 'max_sold_count',
+  'reprice-mode': 'reprice_mode',
+  'reprice-amount': 'reprice_amount',
+  'reprice-floor': 'reprice_floor',
+  'reprice-rounding': 'reprice_rounding'
+};
+
+class UsageError extends Error {}
+
+// The automation modules narrate as they go. Here that goes to stderr, so
+// stdout carries only the command's result and --json output can be piped
+// straight into something else.
+const print = text => process.stdout.write(`${text}\n`);
+const logger = new Console({ stdout: process.stderr, stderr: process.stderr });
+
+function readConfig(path) {
+  if (!path) return {};
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Couldn't read config ${path}: ${error.message}`);
+  }
+}
+
+// Settings the same way the dashboard checks them (settingsSchema.mjs), so a
+// config file is held to the same limits as the settings form.
+function loadSettings(values) {
+  const config = readConfig(values.config ?? (fs.existsSync(DEFAULT_CONFIG) ? DEFAULT_CONFIG : null));
+  const form = {
+    item_limit: 10,
+    keywords: [],
+    max_views: 0,
+    days_left_threshold: 15,
+    max_sold_count: 0,
+    reprice_mode: 'off',
+    reprice_floor: 0,
+    reprice_rounding: 'none',
+    marketplaces: [process.env.EBAY_MARKETPLACE || DEFAULT_MARKETPLACE],
+    ...config
+  };
+  for (const [flag, key] of Object.entries(SETTING_FLAGS)) {
+    if (values[flag] !== undefined) form[key] = values[flag];
+  }
+  if (values.marketplace) form.marketplaces = values.marketplace.flatMap(ids => ids.split(',')).map(id => id.trim());
+
+  const { settings, errors } = validateSettings(form, { marketplaceIds: Object.keys(MARKETPLACES) });
+  const rules = config.rules ?? [];
+  const keywordThresholds = config.keyword_thresholds ?? {};
+  const protectedItems = config.protected_items ?? [];
+  errors.push(...validateRules(rules), ...validateKeywordThresholds(keywordThresholds));
+  if (!Array.isArray(protectedItems)) errors.push({ path: 'protected_items', message: 'must be a list' });
+  if (errors.length > 0) {
+    throw new UsageError(`Invalid settings:\n${errors.map(({ path, message }) => `  ${path} ${message}`).join('\n')}`);
+  }
+
+  return {
+    marketplaces: settings.marketplaces,
+    historyPath: values.history ?? config.history_file ?? DEFAULT_HISTORY,
+    // As worker.js's loadAutomationSettings builds them from a client's row.
+    automation: {
+      itemLimit: settings.item_limit,
+      keywords: settings.keywords,
+      maxViews: settings.max_views,
+      daysLeftThreshold: settings.days_left_threshold,
+      maxSoldCount: settings.max_sold_count,
+      rules,
+      keywordThresholds,
+      repricing: {
+        mode: settings.reprice_mode,
+        amount: settings.reprice_amount,
+        floor: settings.reprice_floor,
+        rounding: settings.reprice_rounding
+      },
+      protectedItems
+    }
+  };
+}
+
+function ebayClientsFor(marketplaces) {
+  if (!process.env.EBAY_USER_TOKEN) {
+    throw new UsageError("Set EBAY_USER_TOKEN (in the environment or .env) to the seller's eBay token.");
+  }
+  return marketplaces.map(marketplace => createEbayClient({
+    token: process.env.EBAY_USER_TOKEN,
+    env: process.env.EBAY_ENV,
+    baseUrl: process.env.EBAY_BASE_URL,
+    marketplace
+  }));
+}
+
+function positiveNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0)) throw new UsageError(`--${flag} must be a number above 0`);
+  return number;
+}
+
+function positiveWholeNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(Number.isInteger(number) && number > 0)) throw new UsageError(`--${flag} must be a whole number above 0`);
+  return number;
+}
+
+// One JSON object per line, so concurrent commands can't garble each other's
+// entries and a crash mid-write costs one line at most.
+function appendHistory(path, entries) {
+  const at = new Date().toISOString();
+  fs.appendFileSync(path, entries.map(entry => `${JSON.stringify({ at, ...entry })}\n`).join(''));
+}
+
+// Skips (and warns about) lines that don't parse, like one cut short by a
+// crash, rather than giving up on the whole file.
+function readHistory(path) {
+  if (!fs.existsSync(path)) return [];
+  const entries = [];
+  let unreadable = 0;
+  for (const line of fs.readFileSync(path, 'utf8').split('\n').filter(Boolean)) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      unreadable++;
+    }
+  }
+  if (unreadable > 0) logger.warn(`Skipped ${unreadable} unreadable line(s) in ${path}.`);
+  return entries;
+}
+
+function truncate(text, length = 50) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// `columns` are [heading, row => value] pairs.
+function table(rows, columns) {
+  const cells = [
+    columns.map(([heading]) => heading),
+    ...rows.map(row => columns.map(([, value]) => String(value(row) ?? '')))
+  ];
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  return cells.map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+function csv(rows, fields) {
+  const escape = value => {
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [fields.join(','), ...rows.map(row => fields.map(field => escape(row[field])).join(','))].join('\n');
+}
+
+function printSection(heading, rows, columns) {
+  if (rows.length === 0) return;
+  print(`${heading} (${rows.length}):`);
+  print(table(rows, columns));
+  print('');
+}
+
+const ITEM_COLUMNS = [
+  ['Item', item => item.itemId],
+  ['Site', item => item.marketplace],
+  ['Title', item => truncate(item.title)]
+];
+
+async function runCommand({ settings, values, dryRun }) {
+  const result = await runAutomation(ebayClientsFor(settings.marketplaces), settings.automation, console.error, { dryRun, logger });
+  if (!dryRun) {
+    appendHistory(settings.historyPath, [
+      ...result.resold.map(item => ({ action: 'relisted', ...item })),
+      ...result.stranded.map(item => ({ action: 'stranded', ...item }))
+    ]);
+  }
+
+  if (values.json) {
+    print(JSON.stringify({ dryRun, ...result }, null, 2));
+  } else {
+    printSection(dryRun ? 'Would end and relist' : 'Ended', result.ended, [
+      ...ITEM_COLUMNS, ['Rule', item => item.matchedRule], ['New price', item => item.newPrice ?? item.relistPrice]
+    ]);
+    printSection('Relisted', result.resold, [
+      ['Item', item => item.oldItemId], ['New item', item => item.newItemId], ['Site', item => item.marketplace],
+      ['Title', item => truncate(item.title)], ['Price', item => item.newPrice]
+    ]);
+    printSection('Ended but NOT relisted', result.stranded, [...ITEM_COLUMNS, ['Error', item => item.error]]);
+    printSection('Skipped', result.skipped, [...ITEM_COLUMNS, ['Reason', item => item.reason]]);
+    if (result.ended.length === 0) print('Nothing matched.');
+  }
+  return result.stranded.length > 0 ? EXIT_STRANDED : EXIT_OK;
+}
+
+// Whether the settings would have a run end each listing — before the item
+// limit and eBay's own checks, which only a preview goes through.
+async function fetchAnnotatedListings(settings) {
+  const { automation } = settings;
+  const brands = automation.keywords.length > 0 ? automation.keywords : [null];
+  const criteria = {
+    maxViews: automation.maxViews,
+    daysLeftThreshold: automation.daysLeftThreshold,
+    maxSoldCount: automation.maxSoldCount,
+    rules: automation.rules,
+    keywordThresholds: automation.keywordThresholds,
+    now: Date.now()
+  };
+
+  const listings = [];
+  for (const ebayClient of ebayClientsFor(settings.marketplaces)) {
+    for (const listing of await ebayClient.fetchActiveListings()) {
+      const matchedRule = brands.map(brandName => findMatchingRule(listing, { ...criteria, brandName })).find(Boolean);
+      const protection = findProtection(listing, automation.protectedItems);
+      listings.push({ ...listing, matchedRule: matchedRule ?? null, protection });
+    }
+  }
+  return listings;
+}
+
+async function listActiveCommand({ settings, values }) {
+  const listings = await fetchAnnotatedListings(settings);
+  if (values.json) {
+    print(JSON.stringify(listings, null, 2));
+    return EXIT_OK;
+  }
+  print(table(listings, [
+    ...ITEM_COLUMNS,
+    ['Price', listing => listing.price],
+    ['Views', listing => listing.views],
+    ['Sold', listing => listing.soldCount],
+    ['Days left', listing => listing.daysLeft.toFixed(1)],
+    ['Matches', listing => (listing.protection ? `protected (${listing.protection})` : listing.matchedRule ?? '')]
+  ]));
+  return EXIT_OK;
+}
+
+const EXPORT_FIELDS = [
+  'itemId', 'marketplace', 'title', 'sku', 'price', 'views', 'watchCount', 'soldCount', 'availableQuantity', 'daysLeft',
+  'startTime', 'categoryId', 'matchedRule', 'protection'
+];
+
+async function exportCommand({ settings, values }) {
+  const format = values.format ?? 'csv';
+  if (format !== 'csv' && format !== 'json') throw new UsageError('--format must be csv or json');
+  const listings = await fetchAnnotatedListings(settings);
+  const output = format === 'json' ? JSON.stringify(listings, null, 2) : csv(listings, EXPORT_FIELDS);
+  if (values.output) {
+    fs.writeFileSync(values.output, `${output}\n`);
+    console.error(`Wrote ${listings.length} listing(s) to ${values.output}.`);
+  } else {
+    print(output);
+  }
+  return EXIT_OK;
+}
+
+async function itemOnFirstMarketplace(settings, itemId) {
+  const [ebayClient] = ebayClientsFor(settings.marketplaces.slice(0, 1));
+  const item = await ebayClient.getItemDetails(itemId, { fresh: true });
+  return { ebayClient, item, ended: await ebayClient.isItemEnded(itemId) };
+}
+
+async function endCommand({ settings, values, dryRun }, itemId) {
+  const { ebayClient, item, ended } = await itemOnFirstMarketplace(settings, itemId);
+  let status = dryRun ? 'would_end' : 'ended';
+  if (ended) {
+    status = 'already_ended';
+  } else if (!dryRun) {
+    await ebayClient.endItem(itemId);
+    appendHistory(settings.historyPath, [
+      { action: 'ended', itemId, title: item.Title, marketplace: ebayClient.marketplace }
+    ]);
+  }
+
+  const result = { itemId, title: item.Title, status };
+  print(values.json ? JSON.stringify(result, null, 2) : `${itemId} "${item.Title}": ${status.replace('_', ' ')}`);
+  return EXIT_OK;
+}
+
+// Like a run does for each item it picks: the copy is checked with eBay
+// before the original is ended, so a copy eBay won't take doesn't strand it.
+// The copy goes up at --price, or the original's price marked down by the
+// settings' repricing. An item that's already ended and that the history
+// shows was relisted is left alone, so running this again (a cron retry, say)
+// doesn't list a second copy.
+async function relistCommand({ settings, values, dryRun }, itemId) {
+  const { ebayClient, item, ended } = await itemOnFirstMarketplace(settings, itemId);
+  const earlier = ended && readHistory(settings.historyPath)
+    .findLast(entry => entry.action === 'relisted' && entry.oldItemId === itemId);
+  if (earlier) {
+    const result = { itemId, title: item.Title, status: 'already_relisted', newItemId: earlier.newItemId };
+    print(values.json
+      ? JSON.stringify(result, null, 2)
+      : `${itemId} "${item.Title}": already relisted as ${earlier.newItemId} (${earlier.at})`);
+    return EXIT_OK;
+  }
+
+  const price = Number(item.SellingStatus?.CurrentPrice ?? item.StartPrice) || 0;
+  const relistPrice = positiveNumber(values.price, 'price') ?? relistPriceFor(price, settings.automation.repricing);
+  await ebayClient.verifyRelist(itemId, { startPrice: relistPrice });
+
+  let result;
+  if (dryRun) {
+    result = { itemId, title: item.Title, status: 'would_relist', newPrice: relistPrice ?? price };
+  } else {
+    if (!ended) await ebayClient.endItem(itemId);
+    const { resold, stranded } = await resellEndedListings(ebayClient, [
+      { itemId, title: item.Title, price, relistPrice, marketplace: ebayClient.marketplace }
+    ], { logger });
+    appendHistory(settings.historyPath, [
+      ...resold.map(entry => ({ action: 'relisted', marketplace: ebayClient.marketplace, ...entry })),
+      ...stranded.map(entry => ({ action: 'stranded', ...entry }))
+    ]);
+    result = resold.length > 0
+      ? { itemId, title: item.Title, status: 'relisted', newItemId: resold[0].newItemId, newPrice: relistPrice ?? price }
+      : { itemId, title: item.Title, status: 'stranded', error: stranded[0].error };
+  }
+
+  if (values.json) {
+    print(JSON.stringify(result, null, 2));
+  } else if (result.status === 'stranded') {
+    print(`${itemId} "${item.Title}" was ended but NOT relisted: ${result.error}`);
+  } else {
+    const newItem = result.newItemId ? ` as ${result.newItemId}` : '';
+    print(`${itemId} "${item.Title}": ${result.status.replace('_', ' ')}${newItem} at ${result.newPrice}`);
+  }
+  return result.status === 'stranded' ? EXIT_STRANDED : EXIT_OK;
+}
+
+async function historyCommand({ settings, values }) {
+  const limit = positiveWholeNumber(values.limit, 'limit') ?? DEFAULT_HISTORY_LIMIT;
+  const entries = readHistory(settings.historyPath).slice(-limit);
+  if (values.json) {
+    print(JSON.stringify(entries, null, 2));
+  } else if (entries.length === 0) {
+    print(`Nothing in ${settings.historyPath} yet.`);
+  } else {
+    print(table(entries, [
+      ['When', entry => entry.at],
+      ['Action', entry => entry.action],
+      ['Item', entry => entry.itemId ?? entry.oldItemId],
+      ['New item', entry => entry.newItemId],
+      ['Site', entry => entry.marketplace],
+      ['Title', entry => truncate(entry.title, 40)],
+      ['Note', entry => entry.error ?? (entry.newPrice === undefined ? '' : `price ${entry.oldPrice} → ${entry.newPrice}`)]
+    ]));
+  }
+  return EXIT_OK;
+}
+
+// Commands and how many positional arguments (item IDs) each takes.
+const COMMANDS = {
+  preview: { args: 0, run: context => runCommand({ ...context, dryRun: true }) },
+  run: { args: 0, run: runCommand },
+  'list-active': { args: 0, run: listActiveCommand },
+  end: { args: 1, run: endCommand },
+  relist: { args: 1, run: relistCommand },
+  history: { args: 0, run: historyCommand },
+  export: { args: 0, run: exportCommand }
+};
+
+async function main(argv) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [name, ...args] = positionals;
+    if (values.help || !name) {
+      print(USAGE);
+      return values.help ? EXIT_OK : EXIT_USAGE;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command "${name}".`);
+    if (args.length !== command.args) {
+      throw new UsageError(command.args === 0 ? `${name} takes no arguments.` : `Usage: node cli.js ${name} <itemId>`);
+    }
+
+    loadEnv();
+    return await command.run({ settings: loadSettings(values), values, dryRun: Boolean(values['dry-run']) }, ...args);
+  } catch (error) {
+    // parseArgs's own errors (unknown or malformed flags) are usage errors too.
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${error.message}\nRun \`node cli.js --help\` for usage.`);
+      return EXIT_USAGE;
+    }
+    console.error(`Failed: ${error.message}`);
+    return EXIT_FAILED;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,251 @@
+import { useEffect, useState } from 'react'
+
+const TOKEN_HEALTH = {
+  ok: 'OK',
+  expiring: 'Expires soon',
+  reauth_required: 'Needs reconnecting',
+}
+
+function describeSchedule(client) {
+  if (client.schedule_cron) return `cron ${client.schedule_cron} (${client.schedule_timezone})`
+  if (client.schedule_hours > 0) return `every ${client.schedule_hours}h`
+  return 'off'
+}
+
+function formatTime(time) {
+  return time ? new Date(time).toLocaleString() : '—'
+}
+
+function AdminLogin({ onSignedIn }) {
+  const [form, setForm] = useState({ name: '', password: '' })
+  const [error, setError] = useState(null)
+
+  async function submit(e) {
+    e.preventDefault()
+    const res = await fetch('/api/admin/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    })
+    const data = await res.json()
+    if (!res.ok) return setError(data.message)
+    onSignedIn(data.name)
+  }
+
+  return (
+    <div className="page centered">
+      <form className="card centered" onSubmit={submit}>
+        <h1>Admin</h1>
+        {error && <p className="error-banner">{error}</p>}
+        <label htmlFor="admin_name">Your name (recorded with everything you do here)</label>
+        <input id="admin_name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+        <label htmlFor="admin_password">Admin password</label>
+        <input
+          id="admin_password"
+          type="password"
+          autoComplete="current-password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+        />
+        <button type="submit">Sign in</button>
+      </form>
+    </div>
+  )
+}
+
+// Every connected seller at a glance, for whoever runs the deployment: which
+// are failing, stuck or about to lose their eBay authorization.
+function Admin() {
+  const [session, setSession] = useState(null)
+  const [clients, setClients] = useState([])
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/admin/session')
+      .then((res) => res.json())
+      .then(setSession)
+  }, [])
+
+  function load() {
+    fetch('/api/admin/clients')
+      .then((res) => res.json())
+      .then((data) => setClients(data.clients))
+    fetch('/api/admin/audit')
+      .then((res) => res.json())
+      .then((data) => setEntries(data.entries))
+  }
+
+  useEffect(() => {
+    if (session?.authenticated) load()
+  }, [session])
+
+  async function act(url, body, confirmation) {
+    if (confirmation && !confirm(confirmation)) return
+    setError(null)
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body ?? {}),
+    })
+    const data = await res.json()
+    if (!res.ok) setError(data.message ?? `Failed: ${data.error}`)
+    load()
+  }
+
+  async function logout() {
+    await fetch('/api/admin/logout', { method: 'POST' })
+    setSession({ ...session, authenticated: false, name: null })
+  }
+
+  if (!session) return null
+  if (!session.enabled) {
+    return (
+      <div className="page centered">
+        <p className="card centered">The admin console is off. Set ADMIN_PASSWORD on the server to turn it on.</p>
+      </div>
+    )
+  }
+  if (!session.authenticated) {
+    return <AdminLogin onSignedIn={(name) => setSession({ ...session, authenticated: true, name })} />
+  }
+
+  return (
+    <div className="page wide">
+      <div className="page-header">
+        <h1>Admin</h1>
+        <button type="button" className="link" onClick={logout}>
+          Log out {session.name}
+        </button>
+      </div>
+      {error && <p className="error-banner">{error}</p>}
+
+      <section className="card">
+        <h2>Sellers</h2>
+        <table>
+          <tr>
+            <th>Seller</th>
+            <th>Last run</th>
+            <th>Failed (7 days)</th>
+            <th>Schedule</th>
+            <th>eBay token</th>
+            <th>API calls today</th>
+            <th></th>
+          </tr>
+          {clients.map((client) => {
+            const active = client.last_run_status === 'queued' || client.last_run_status === 'running'
+            return (
+              <tr key={client.id}>
+                <td>
+                  {client.ebay_username}
+                  <div className="muted">{client.organization_name ?? 'no team yet'}</div>
+                </td>
+                <td>
+                  {client.last_run_id ? (
+                    <>
+                      <span className={`status-${client.last_run_status}`}>{client.last_run_status}</span> #
+                      {client.last_run_id} ({client.last_run_trigger})
+                      <div className="muted">started {formatTime(client.last_run_started_at)}</div>
+                      {client.last_run_status === 'running' && (
+                        <div className="muted">last heartbeat {formatTime(client.last_run_heartbeat_at)}</div>
+                      )}
+                    </>
+                  ) : (
+                    'never'
+                  )}
+                </td>
+                <td>{client.recent_failures}</td>
+                <td>
+                  {describeSchedule(client)}
+                  <div className="muted">
+                    {client.schedule_paused_at
+                      ? `paused since ${formatTime(client.schedule_paused_at)}`
+                      : client.next_run_at && `next ${formatTime(client.next_run_at)}`}
+                  </div>
+                </td>
+                <td className={client.token_health === 'ok' ? '' : 'status-failed'}>
+                  {TOKEN_HEALTH[client.token_health]}
+                  {client.refresh_token_expires_at && (
+                    <div className="muted">until {new Date(client.refresh_token_expires_at).toLocaleDateString()}</div>
+                  )}
+                </td>
+                <td>{client.api_calls_today}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="link inline"
+                    disabled={active}
+                    onClick={() => act(`/api/admin/clients/${client.id}/run`, {}, `Start a run for ${client.ebay_username}?`)}
+                  >
+                    Run now
+                  </button>{' '}
+                  <button
+                    type="button"
+                    className="link inline"
+                    onClick={() => act(`/api/admin/clients/${client.id}/pause`, { paused: !client.schedule_paused_at })}
+                  >
+                    {client.schedule_paused_at ? 'Resume schedule' : 'Pause schedule'}
+                  </button>{' '}
+                  {active && (
+                    <button
+                      type="button"
+                      className="link inline"
+                      onClick={() =>
+                        act(
+                          `/api/admin/runs/${client.last_run_id}/fail`,
+                          {},
+                          `Mark run #${client.last_run_id} failed? It stops after its current item, relisting what it already ended.`,
+                        )
+                      }
+                    >
+                      Force fail
+                    </button>
+                  )}
+                </td>
+              </tr>
+            )
+          })}
+          {clients.length === 0 && (
+            <tr>
+              <td colSpan="7">No sellers connected yet.</td>
+            </tr>
+          )}
+        </table>
+      </section>
+
+      <section className="card">
+        <h2>Audit trail</h2>
+        <table>
+          <tr>
+            <th>When</th>
+            <th>Who</th>
+            <th>What</th>
+            <th>Seller</th>
+            <th>IP</th>
+          </tr>
+          {entries.map((entry) => (
+            <tr key={entry.id}>
+              <td>{formatTime(entry.created_at)}</td>
+              <td>
+                {entry.actor} <span className="muted">({entry.actor_kind})</span>
+              </td>
+              <td>
+                {entry.action}
+                {entry.details.runId && <span className="muted"> run #{entry.details.runId}</span>}
+              </td>
+              <td>{entry.ebay_username ?? (entry.client_id ? `#${entry.client_id}` : '—')}</td>
+              <td>{entry.ip ?? '—'}</td>
+            </tr>
+          ))}
+          {entries.length === 0 && (
+            <tr>
+              <td colSpan="5">Nothing yet.</td>
+            </tr>
+          )}
+        </table>
+      </section>
+    </div>
+  )
+}
+
+export default Admin
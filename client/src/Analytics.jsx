@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react'
+
+const PERIODS = [30, 90, 365]
+
+function percent(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`
+}
+
+// Horizontal bars, each as wide as its value relative to `max`.
+function BarChart({ title, bars, max }) {
+  return (
+    <figure className="bar-chart">
+      <figcaption>{title}</figcaption>
+      {bars.map((bar) => (
+        <div key={bar.label} className="bar-row">
+          <span className="bar-label">{bar.label}</span>
+          <span className="bar-track">
+            <span className="bar" style={{ width: max > 0 ? `${(bar.value / max) * 100}%` : 0 }} />
+          </span>
+          <span className="bar-value">{bar.display}</span>
+        </div>
+      ))}
+    </figure>
+  )
+}
+
+function sellThroughBars(rows, labelOf) {
+  return rows.map((row) => ({
+    label: labelOf(row),
+    value: row.sellThroughRate ?? 0,
+    display: row.relisted === 0 ? '—' : `${percent(row.sellThroughRate)} of ${row.relisted}`,
+  }))
+}
+
+// Whether relisting pays off, for tuning max_views and days_left_threshold:
+// sell-through is the share of relisted items that went on to sell.
+function Analytics({ refreshKey }) {
+  const [days, setDays] = useState(90)
+  const [analytics, setAnalytics] = useState(null)
+
+  useEffect(() => {
+    fetch(`/api/analytics?days=${days}`)
+      .then((res) => res.json())
+      .then(setAnalytics)
+  }, [days, refreshKey])
+
+  if (!analytics) return null
+  const { summary, byBrand, byGeneration, byViewsBefore, byDaysLeftBefore, timeToSale } = analytics
+
+  return (
+    <section className="card">
+      <h2>Relist performance</h2>
+      <label htmlFor="analytics_days">Relisted in the last</label>
+      <select id="analytics_days" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+        {PERIODS.map((p) => (
+          <option key={p} value={p}>
+            {p} days
+          </option>
+        ))}
+      </select>
+
+      {summary.relisted === 0 ? (
+        <p className="muted">Nothing relisted in this period yet.</p>
+      ) : (
+        <>
+          <p>
+            {summary.sold} of {summary.relisted} relisted item(s) sold ({percent(summary.sellThroughRate)})
+            {timeToSale.medianDays !== null && `, typically ${timeToSale.medianDays} day(s) after relisting`}.
+          </p>
+          {summary.compared > 0 && (
+            <p>
+              Views per day: {summary.viewsPerDayBefore} before relisting, {summary.viewsPerDayAfter} after{' '}
+              <span className="muted">(across {summary.compared} item(s) seen both before and after)</span>
+            </p>
+          )}
+          <BarChart
+            title="Sell-through by brand keyword"
+            bars={sellThroughBars(byBrand, (row) => row.brand || 'all items')}
+            max={1}
+          />
+          <BarChart
+            title="Sell-through by relist generation"
+            bars={sellThroughBars(byGeneration, (row) => `relist #${row.generation}`)}
+            max={1}
+          />
+          <BarChart
+            title="Sell-through by views when ended (max_views)"
+            bars={sellThroughBars(byViewsBefore, (row) => row.bucket)}
+            max={1}
+          />
+          <BarChart
+            title="Sell-through by days left when ended (days_left_threshold)"
+            bars={sellThroughBars(byDaysLeftBefore, (row) => row.bucket)}
+            max={1}
+          />
+          <BarChart
+            title="Time from relist to sale"
+            bars={timeToSale.buckets.map((b) => ({ label: b.bucket, value: b.count, display: b.count }))}
+            max={Math.max(...timeToSale.buckets.map((b) => b.count))}
+          />
+        </>
+      )}
+    </section>
+  )
+}
+
+export default Analytics
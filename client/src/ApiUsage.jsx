@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react'
+
+const WARN_AT = 0.8
+
+function percent(usage, limit) {
+  return limit ? `${Math.round((usage / limit) * 100)}%` : '—'
+}
+
+// Calls are counted by this app as it makes them; the limits (and eBay's own
+// usage figures, which include calls from anywhere else using the same app
+// keys) come from GetApiAccessRules.
+function ApiUsage({ refreshKey }) {
+  const [usage, setUsage] = useState([])
+  const [limits, setLimits] = useState(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    fetch('/api/api-usage')
+      .then((res) => {
+        if (!res.ok) throw new Error('api_usage_failed')
+        return res.json()
+      })
+      .then((data) => {
+        setUsage(data.usage)
+        setLimits(data.limits)
+        setFailed(false)
+      })
+      .catch(() => setFailed(true))
+  }, [refreshKey])
+
+  const rules = Object.fromEntries((limits?.rules ?? []).map((rule) => [rule.callName, rule]))
+  const aggregate = rules.ApplicationAggregate
+  const callNames = [...new Set([...usage.map((u) => u.call_name), ...Object.keys(rules)])]
+    .filter((name) => name !== 'ApplicationAggregate')
+    .sort()
+  const counted = Object.fromEntries(usage.map((u) => [u.call_name, u]))
+
+  return (
+    <section className="card">
+      <h2>eBay API usage today</h2>
+      {failed && <p className="error-banner">API usage couldn't be loaded. Try again later.</p>}
+      {aggregate && (
+        <p className={aggregate.dailyUsage >= aggregate.dailyHardLimit * WARN_AT ? 'error-banner' : undefined}>
+          All calls: {aggregate.dailyUsage} of {aggregate.dailyHardLimit} allowed per day (
+          {percent(aggregate.dailyUsage, aggregate.dailyHardLimit)})
+        </p>
+      )}
+      {!limits && !failed && (
+        <p className="muted">eBay's limits couldn't be fetched right now; showing this app's own counts.</p>
+      )}
+      <table>
+        <tr>
+          <th>Call</th>
+          <th>This account</th>
+          <th>All accounts</th>
+          <th>eBay's count / daily limit</th>
+        </tr>
+        {callNames.map((name) => {
+          const rule = rules[name]
+          const nearLimit = rule?.dailyHardLimit && rule.dailyUsage >= rule.dailyHardLimit * WARN_AT
+          return (
+            <tr key={name}>
+              <td>{name}</td>
+              <td>{counted[name]?.client_count ?? 0}</td>
+              <td>{counted[name]?.app_count ?? 0}</td>
+              <td className={nearLimit ? 'status-failed' : undefined}>
+                {rule ? `${rule.dailyUsage} / ${rule.dailyHardLimit ?? 'no limit'}` : '—'}
+              </td>
+            </tr>
+          )
+        })}
+        {callNames.length === 0 && (
+          <tr>
+            <td colSpan="4">No calls yet today.</td>
+          </tr>
+        )}
+      </table>
+      {limits && <p className="muted">Limits as of {new Date(limits.fetchedAt).toLocaleTimeString()}.</p>}
+    </section>
+  )
+}
+
+export default ApiUsage
@@ -3,17 +3,17 @@ import Login from './Login.jsx'
 import Dashboard from './Dashboard.jsx'
 
 function App() {
-  const [authenticated, setAuthenticated] = useState(null)
+  const [session, setSession] = useState(null)
 
   useEffect(() => {
     fetch('/api/session')
       .then((res) => res.json())
-      .then((data) => setAuthenticated(data.authenticated))
-      .catch(() => setAuthenticated(false))
+      .then(setSession)
+      .catch(() => setSession({ authenticated: false }))
   }, [])
 
-  if (authenticated === null) return null
-  return authenticated ? <Dashboard /> : <Login />
+  if (session === null) return null
+  return session.authenticated ? <Dashboard user={session.user} /> : <Login />
 }
 
 export default App
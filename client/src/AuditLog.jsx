@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react'
+
+const ACTIONS = {
+  'settings.updated': 'Changed settings',
+  'schedule.updated': 'Changed the schedule',
+  'rules.updated': 'Changed rules',
+  'settings.restored': 'Restored earlier settings',
+  'run.requested': 'Started a run',
+  'run.triggered': 'Started a run',
+  'run.cancel_requested': 'Cancelled a run',
+  'run.force_failed': 'Marked a run failed',
+  'preview.run': 'Ran a preview',
+  'schedule.paused': 'Paused the schedule',
+  'schedule.resumed': 'Resumed the schedule',
+  'store.disconnected': 'Disconnected the store',
+  'store.deleted_by_ebay': 'Deleted the store (eBay account closed)',
+  'user.signed_up': 'Created an account',
+  'user.logged_in': 'Signed in',
+  'user.joined_team': 'Joined the team',
+  'member.removed': 'Removed a team member',
+  'protected_item.removed': 'Removed a protected item',
+  'notification_channel.removed': 'Removed a notification channel',
+  'stranded_item.dismissed': 'Dismissed a stranded item',
+}
+
+const ACTOR_KINDS = { admin: 'app operator', ebay: 'eBay' }
+
+function formatValue(value) {
+  if (value === null || value === '') return '—'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// refreshKey works like RelistHistory's. Settings entries can be restored,
+// which puts back the settings as they were right after that change.
+function AuditLog({ refreshKey, canRestore }) {
+  const [entries, setEntries] = useState([])
+  const [restoring, setRestoring] = useState(null)
+  const [restoreError, setRestoreError] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/audit')
+      .then((res) => res.json())
+      .then((data) => setEntries(data.entries))
+  }, [refreshKey])
+
+  async function restore(entry) {
+    if (!confirm('Restore the settings, schedule and rules as they were right after this change?')) return
+    setRestoring(entry.id)
+    setRestoreError(null)
+    const res = await fetch(`/api/audit/${entry.id}/restore`, { method: 'POST' })
+    setRestoring(null)
+    // Every editor on the page starts from the saved settings, so reloading
+    // is the simplest way to show the restored ones everywhere.
+    if (res.ok) return window.location.reload()
+    const data = await res.json()
+    setRestoreError({ entryId: entry.id, message: data.message ?? `Failed: ${data.error}`, details: data.details ?? [] })
+  }
+
+  return (
+    <section className="card">
+      <h2>Audit log</h2>
+      <table>
+        <tr>
+          <th>When</th>
+          <th>Who</th>
+          <th>What</th>
+        </tr>
+        {entries.map((entry) => (
+          <tr key={entry.id}>
+            <td>{new Date(entry.created_at).toLocaleString()}</td>
+            <td>
+              {entry.actor}
+              {ACTOR_KINDS[entry.actor_kind] && <span className="muted"> ({ACTOR_KINDS[entry.actor_kind]})</span>}
+              {entry.ip && <div className="muted">{entry.ip}</div>}
+            </td>
+            <td>
+              {ACTIONS[entry.action] ?? entry.action}
+              {entry.details.runId && <span className="muted"> #{entry.details.runId}</span>}
+              {entry.action.startsWith('store.') && entry.details.ebayUsername && (
+                <span className="muted"> ({entry.details.ebayUsername})</span>
+              )}
+              {entry.details.restoredFrom && <span className="muted"> (from entry #{entry.details.restoredFrom})</span>}
+              {entry.details.changes && (
+                <ul>
+                  {Object.entries(entry.details.changes).map(([field, { from, to }]) => (
+                    <li key={field}>
+                      <code>{field}</code>: {formatValue(from)} → {formatValue(to)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canRestore && entry.details.settings && (
+                <button
+                  type="button"
+                  className="link inline"
+                  onClick={() => restore(entry)}
+                  disabled={restoring !== null}
+                >
+                  {restoring === entry.id ? 'Restoring…' : 'Restore these settings'}
+                </button>
+              )}
+              {restoreError?.entryId === entry.id && (
+                <div className="error-banner">
+                  {restoreError.message}
+                  <ul>
+                    {restoreError.details.map((error) => (
+                      <li key={`${error.path} ${error.message}`}>
+                        <code>{error.path}</code> {error.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </td>
+          </tr>
+        ))}
+        {entries.length === 0 && (
+          <tr>
+            <td colSpan="3">Nothing recorded yet.</td>
+          </tr>
+        )}
+      </table>
+    </section>
+  )
+}
+
+export default AuditLog
@@ -1,78 +1,162 @@
-import { useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useState } from 'react'
+import { MARKETPLACES, itemLabel, priceChange } from './items.jsx'
+import RelistHistory from './RelistHistory.jsx'
+import RunItems from './RunItems.jsx'
+import RulesEditor from './RulesEditor.jsx'
+import ScheduleEditor from './ScheduleEditor.jsx'
+import ProtectedItems from './ProtectedItems.jsx'
+import StrandedItems from './StrandedItems.jsx'
+import Notifications from './Notifications.jsx'
+import ListingEvents from './ListingEvents.jsx'
+import ApiUsage from './ApiUsage.jsx'
+import RunProgress from './RunProgress.jsx'
+import Analytics from './Analytics.jsx'
+import StoreSwitcher from './StoreSwitcher.jsx'
+import Team from './Team.jsx'
+import AuditLog from './AuditLog.jsx'
+import { useAuthError } from './useAuthError.js'
+import { MAX_DAYS_LEFT, MAX_ITEM_LIMIT, validateSettings } from '../../modules/settingsSchema.mjs'
 
-function itemLabel({ itemId, title }, env) {
-  const label = title ? `${title} (${itemId})` : itemId
-  if (env !== 'production') return label
+function isActive(run) {
+  return run?.status === 'queued' || run?.status === 'running'
+}
+
+const REAUTH_WARNING_DAYS = 30
+
+// eBay refresh tokens last 18 months. Reconnecting early just starts a new 18
+// months, so sellers are nudged a month ahead rather than left to find out
+// from a failed run.
+function ReconnectBanner({ client }) {
+  if (client.reauth_required_at) {
+    return (
+      <div className="error-banner">
+        eBay no longer accepts this app's access to your account, so runs and your schedule are paused.{' '}
+        <a href="/auth/ebay/start">Reconnect your eBay account</a> to pick up where you left off.
+      </div>
+    )
+  }
+
+  const expiresAt = client.refresh_token_expires_at && new Date(client.refresh_token_expires_at)
+  if (!expiresAt || expiresAt - Date.now() > REAUTH_WARNING_DAYS * 86400000) return null
   return (
-    <a href={`https://www.ebay.com/itm/${itemId}`} target="_blank" rel="noreferrer">
-      {label}
-    </a>
+    <div className="warning-banner">
+      This app's access to your eBay account expires on {expiresAt.toLocaleDateString()}.{' '}
+      <a href="/auth/ebay/start">Reconnect now</a> to keep scheduled runs going.
+    </div>
   )
 }
 
-function Dashboard() {
+// The settings form starts from the saved settings.
+function settingsFormFor(client) {
+  return {
+    item_limit: client.item_limit,
+    keywords: client.keywords.join(', '),
+    days_left_threshold: client.days_left_threshold,
+    max_views: client.max_views,
+    max_sold_count: client.max_sold_count,
+    reprice_mode: client.reprice_mode,
+    reprice_amount: client.reprice_amount,
+    reprice_floor: client.reprice_floor,
+    reprice_rounding: client.reprice_rounding,
+    marketplaces: client.marketplaces,
+  }
+}
+
+function FieldError({ errors, path }) {
+  const messages = errors.filter((error) => error.path === path).map((error) => error.message)
+  if (messages.length === 0) return null
+  return <p className="field-error">This {messages.join(', and ')}.</p>
+}
+
+function Dashboard({ user }) {
+  const [authError] = useAuthError()
   const [client, setClient] = useState(null)
+  const [role, setRole] = useState(null)
+  const [noStore, setNoStore] = useState(false)
   const [runs, setRuns] = useState([])
+  const [openRuns, setOpenRuns] = useState(() => new Set())
   const [settingsForm, setSettingsForm] = useState(null)
   const [saving, setSaving] = useState(false)
+  const [settingsErrors, setSettingsErrors] = useState([])
+  // The latest settings, when a save was refused because they'd changed.
+  const [conflict, setConflict] = useState(null)
+  // Bumped to restart the schedule and rules editors from the saved settings.
+  const [editorsKey, setEditorsKey] = useState(0)
   const [running, setRunning] = useState(false)
+  const [cancelling, setCancelling] = useState(false)
   const [runError, setRunError] = useState(null)
   const [previewResult, setPreviewResult] = useState(null)
-  const pollRef = useRef(null)
+  const [protectedItems, setProtectedItems] = useState([])
+
+  // The server checks roles on every request; this just keeps viewers from
+  // reaching for controls that would only be refused.
+  const canOperate = role === 'operator' || role === 'owner'
+
+  useEffect(() => {
+    fetch('/api/protected-items')
+      .then((res) => res.json())
+      .then((data) => setProtectedItems(data.items))
+  }, [])
 
   useEffect(() => {
     fetch('/api/dashboard')
       .then((res) => res.json())
       .then((data) => {
+        if (data.error === 'no_store') return setNoStore(true)
         setClient(data.client)
+        setRole(data.role)
         setRuns(data.runs)
-        setSettingsForm({
-          item_limit: data.client.item_limit,
-          keywords: data.client.keywords.join(', '),
-          days_left_threshold: data.client.days_left_threshold,
-          max_views: data.client.max_views,
-          max_sold_count: data.client.max_sold_count,
-          schedule_hours: data.client.schedule_hours,
-        })
-        if (data.runs[0]?.status === 'running') {
-          setRunning(true)
-          pollRuns()
-        }
+        setSettingsForm(settingsFormFor(data.client))
+        if (isActive(data.runs[0])) setRunning(true)
       })
-    return () => clearInterval(pollRef.current)
   }, [])
 
-  function pollRuns() {
-    clearInterval(pollRef.current)
-    pollRef.current = setInterval(async () => {
-      const res = await fetch('/api/runs')
-      const data = await res.json()
-      setRuns(data.runs)
-      if (data.runs[0]?.status !== 'running') {
-        clearInterval(pollRef.current)
-        setRunning(false)
-      }
-    }, 3000)
-  }
+  // RunProgress calls this when the run it's following ends; the run's full
+  // result only exists once it has.
+  const runFinished = useCallback(async (status) => {
+    const data = await (await fetch('/api/runs')).json()
+    setRuns(data.runs)
+    setRunning(false)
+    setCancelling(false)
+    // A run is what discovers an expired authorization, so pick up the flag
+    // it may have just set.
+    if (status === 'failed') {
+      const dashboard = await (await fetch('/api/dashboard')).json()
+      setClient((c) => ({ ...c, reauth_required_at: dashboard.client.reauth_required_at }))
+    }
+  }, [])
 
   async function saveSettings(e) {
     e.preventDefault()
+    const { errors } = validateSettings(settingsForm, { marketplaceIds: Object.keys(MARKETPLACES) })
+    setSettingsErrors(errors)
+    if (errors.length > 0) return
+
     setSaving(true)
     const res = await fetch('/api/dashboard/settings', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(settingsForm),
+      body: JSON.stringify({ ...settingsForm, settings_version: client.settings_version }),
     })
     const data = await res.json()
-    setClient((c) => ({ ...c, ...data.client }))
-    setSettingsForm({
-      item_limit: data.client.item_limit,
-      keywords: data.client.keywords.join(', '),
-      days_left_threshold: data.client.days_left_threshold,
-      max_views: data.client.max_views,
-      schedule_hours: data.client.schedule_hours,
-    })
     setSaving(false)
+    if (res.status === 400) return setSettingsErrors(data.details)
+    if (res.status === 409) return setConflict(data.client)
+    setConflict(null)
+    setClient((c) => ({ ...c, ...data.client }))
+    setSettingsForm(settingsFormFor(data.client))
+  }
+
+  // The settings form, schedule and rules all save against the settings
+  // version this page last saw, so once any of them is refused they all start
+  // over from whatever was saved meanwhile, throwing away their edits —
+  // otherwise a form left stale would overwrite the newer settings unnoticed.
+  function loadLatestSettings() {
+    setClient((c) => ({ ...c, ...conflict }))
+    setSettingsForm(settingsFormFor(conflict))
+    setSettingsErrors([])
+    setEditorsKey((key) => key + 1)
+    setConflict(null)
   }
 
   async function runNow() {
@@ -80,8 +164,9 @@ function Dashboard() {
     setRunning(true)
     const res = await fetch('/api/dashboard/run', { method: 'POST' })
     if (res.status === 409) {
+      const data = await res.json()
       setRunning(false)
-      setRunError('A run is already in progress.')
+      setRunError(data.error === 'reauth_required' ? data.message : 'A run is already in progress.')
       return
     }
     const run = await res.json()
@@ -89,23 +174,70 @@ function Dashboard() {
       { id: run.runId, status: run.status, started_at: run.started_at, finished_at: null, log: '', result: { ended: [], resold: [] } },
       ...prev,
     ])
-    pollRuns()
+  }
+
+  // The run keeps going until it has relisted whatever it already ended, so
+  // RunProgress is what reports it finished.
+  async function cancelRun() {
+    if (!confirm('Stop this run? Items it has already ended will still be relisted first.')) return
+    setCancelling(true)
+    const res = await fetch(`/api/runs/${runs[0].id}/cancel`, { method: 'POST' })
+    if (!res.ok) {
+      const data = await res.json()
+      setCancelling(false)
+      setRunError(data.message)
+    }
   }
 
   async function preview() {
     setPreviewResult({ loading: true })
     try {
       const res = await fetch('/api/dashboard/preview', { method: 'POST' })
+      if (res.status === 409) {
+        const data = await res.json()
+        setClient((c) => ({ ...c, reauth_required_at: c.reauth_required_at ?? new Date().toISOString() }))
+        setPreviewResult({ loading: false, ended: [], log: '', error: data.message })
+        return
+      }
       if (!res.ok) throw new Error('preview_failed')
       const data = await res.json()
-      setPreviewResult({ loading: false, ended: data.ended, log: data.log })
+      setPreviewResult({ loading: false, ended: data.ended, skipped: data.skipped, log: data.log })
     } catch {
       setPreviewResult({ loading: false, ended: [], log: '', error: 'Preview failed. Try again.' })
     }
   }
 
+  // Resolves to an error message, or null once the item is on the list.
+  async function protect(entry) {
+    const res = await fetch('/api/protected-items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+    })
+    const data = await res.json()
+    if (!res.ok) return data.message
+    setProtectedItems((prev) => [data.item, ...prev])
+    return null
+  }
+
+  async function unprotect(id) {
+    await fetch(`/api/protected-items/${id}`, { method: 'DELETE' })
+    setProtectedItems((prev) => prev.filter((item) => item.id !== id))
+  }
+
+  function protectButton(itemId, { title, sku } = {}) {
+    if (!canOperate) return null
+    if (protectedItems.some((item) => item.item_id === itemId)) return <span className="muted"> (protected)</span>
+    return (
+      <button type="button" className="link inline" onClick={() => protect({ item_id: itemId, sku, title })}>
+        Protect
+      </button>
+    )
+  }
+
   async function disconnect() {
-    if (!confirm("Permanently delete your account and all stored data? This can't be undone.")) return
+    const message = `Permanently delete ${client.ebay_username} and all its stored data for the whole team? This can't be undone.`
+    if (!confirm(message)) return
     await fetch('/api/dashboard/disconnect', { method: 'POST' })
     window.location.href = '/'
   }
@@ -115,98 +247,235 @@ function Dashboard() {
     window.location.href = '/'
   }
 
+  const header = (
+    <>
+      <div className="page-header">
+        <h1>eBay Reseller</h1>
+        <span className="page-header-actions">
+          <StoreSwitcher />
+          <button type="button" className="link" onClick={logout}>
+            Log out {user.email}
+          </button>
+        </span>
+      </div>
+      {authError && <p className="error-banner">{authError}</p>}
+    </>
+  )
+
+  if (noStore) {
+    return (
+      <div className="page">
+        {header}
+        <section className="card">
+          <h2>Connect an eBay store</h2>
+          <p>
+            Connect the eBay account whose listings you want relisted, or ask an owner of your team for an invitation
+            link to theirs.
+          </p>
+          <a className="button" href="/auth/ebay/start">
+            Connect with eBay
+          </a>
+        </section>
+      </div>
+    )
+  }
+
   if (!client) return null
 
   return (
     <div className="page">
-      <div className="page-header">
-        <h1>eBay Reseller</h1>
-        <button type="button" className="link" onClick={logout}>
-          Log out
-        </button>
-      </div>
+      {header}
       <p>
-        Connected as <strong>{client.ebay_username}</strong> ({client.ebay_env})
+        Connected as <strong>{client.ebay_username}</strong> ({client.ebay_env}) — your role: {role}
       </p>
+      <ReconnectBanner client={client} />
+
+      {conflict && (
+        <div className="error-banner">
+          Someone changed this store's settings, schedule or rules (maybe you, in another tab) since this page loaded,
+          so your changes weren't saved.{' '}
+          <button type="button" className="link inline" onClick={loadLatestSettings}>
+            Load the latest settings
+          </button>{' '}
+          and make your changes again.
+        </div>
+      )}
 
       <section className="card">
         <h2>Settings</h2>
         <form onSubmit={saveSettings}>
-          <label htmlFor="item_limit">Item limit per run</label>
-          <input
-            type="number"
-            id="item_limit"
-            min="1"
-            value={settingsForm.item_limit}
-            onChange={(e) => setSettingsForm({ ...settingsForm, item_limit: e.target.value })}
-          />
-
-          <label htmlFor="keywords">Brand keywords (comma-separated, leave blank for all items)</label>
-          <textarea
-            id="keywords"
-            rows="2"
-            value={settingsForm.keywords}
-            onChange={(e) => setSettingsForm({ ...settingsForm, keywords: e.target.value })}
-          />
-
-          <label htmlFor="days_left_threshold">End listings with fewer than this many days left</label>
-          <input
-            type="number"
-            id="days_left_threshold"
-            min="1"
-            value={settingsForm.days_left_threshold}
-            onChange={(e) => setSettingsForm({ ...settingsForm, days_left_threshold: e.target.value })}
-          />
-
-          <label htmlFor="max_views">End listings with this many views or fewer</label>
-          <input
-            type="number"
-            id="max_views"
-            min="0"
-            value={settingsForm.max_views}
-            onChange={(e) => setSettingsForm({ ...settingsForm, max_views: e.target.value })}
-          />
-
-          <label htmlFor="max_sold_count">End listings with this many sales or fewer</label>
-          <input
-            type="number"
-            id="max_sold_count"
-            min="0"
-            value={settingsForm.max_sold_count}
-            onChange={(e) => setSettingsForm({ ...settingsForm, max_sold_count: e.target.value })}
-          />
-
-          <label htmlFor="schedule_hours">Run automatically</label>
-          <select
-            id="schedule_hours"
-            value={settingsForm.schedule_hours}
-            onChange={(e) => setSettingsForm({ ...settingsForm, schedule_hours: e.target.value })}
-          >
-            <option value="0">Off</option>
-            <option value="12">Every 12 hours</option>
-            <option value="24">Daily</option>
-            <option value="72">Every 3 days</option>
-            <option value="168">Weekly</option>
-          </select>
-          {client.schedule_hours > 0 && client.next_run_at && (
-            <p>Next scheduled run: {new Date(client.next_run_at).toLocaleString()}</p>
-          )}
+          <fieldset className="bare" disabled={!canOperate}>
+            <label htmlFor="item_limit">Item limit per run</label>
+            <input
+              type="number"
+              id="item_limit"
+              min="1"
+              max={MAX_ITEM_LIMIT}
+              value={settingsForm.item_limit}
+              onChange={(e) => setSettingsForm({ ...settingsForm, item_limit: e.target.value })}
+            />
+            <FieldError errors={settingsErrors} path="item_limit" />
 
-          <button type="submit" disabled={saving}>
-            {saving ? 'Saving…' : 'Save settings'}
-          </button>
+            <label htmlFor="keywords">Brand keywords (comma-separated, leave blank for all items)</label>
+            <textarea
+              id="keywords"
+              rows="2"
+              value={settingsForm.keywords}
+              onChange={(e) => setSettingsForm({ ...settingsForm, keywords: e.target.value })}
+            />
+            <FieldError errors={settingsErrors} path="keywords" />
+
+            <label>Marketplaces (each one's listings are checked separately)</label>
+            <div className="inline-fields">
+              {Object.entries(MARKETPLACES).map(([id, { label }]) => {
+                const checked = settingsForm.marketplaces.includes(id)
+                return (
+                  <label key={id} className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      disabled={checked && settingsForm.marketplaces.length === 1}
+                      onChange={() =>
+                        setSettingsForm({
+                          ...settingsForm,
+                          marketplaces: checked
+                            ? settingsForm.marketplaces.filter((m) => m !== id)
+                            : [...settingsForm.marketplaces, id],
+                        })
+                      }
+                    />{' '}
+                    {label}
+                  </label>
+                )
+              })}
+            </div>
+            <FieldError errors={settingsErrors} path="marketplaces" />
+
+            <label htmlFor="days_left_threshold">End listings with fewer than this many days left</label>
+            <input
+              type="number"
+              id="days_left_threshold"
+              min="1"
+              max={MAX_DAYS_LEFT}
+              value={settingsForm.days_left_threshold}
+              onChange={(e) => setSettingsForm({ ...settingsForm, days_left_threshold: e.target.value })}
+            />
+            <FieldError errors={settingsErrors} path="days_left_threshold" />
+
+            <label htmlFor="max_views">End listings with this many views or fewer</label>
+            <input
+              type="number"
+              id="max_views"
+              min="0"
+              value={settingsForm.max_views}
+              onChange={(e) => setSettingsForm({ ...settingsForm, max_views: e.target.value })}
+            />
+            <FieldError errors={settingsErrors} path="max_views" />
+
+            <label htmlFor="max_sold_count">End listings with this many sales or fewer</label>
+            <input
+              type="number"
+              id="max_sold_count"
+              min="0"
+              value={settingsForm.max_sold_count}
+              onChange={(e) => setSettingsForm({ ...settingsForm, max_sold_count: e.target.value })}
+            />
+            <FieldError errors={settingsErrors} path="max_sold_count" />
+
+            <label htmlFor="reprice_mode">Price markdown on each relist</label>
+            <select
+              id="reprice_mode"
+              value={settingsForm.reprice_mode}
+              onChange={(e) => setSettingsForm({ ...settingsForm, reprice_mode: e.target.value })}
+            >
+              <option value="off">Off — relist at the same price</option>
+              <option value="percent">Drop by a percentage</option>
+              <option value="fixed">Drop by a fixed amount</option>
+            </select>
+            {settingsForm.reprice_mode !== 'off' && (
+              <>
+                <label htmlFor="reprice_amount">
+                  {settingsForm.reprice_mode === 'percent' ? 'Percent to drop per relist' : 'Amount to drop per relist'}
+                </label>
+                <input
+                  type="number"
+                  id="reprice_amount"
+                  min="0"
+                  max={settingsForm.reprice_mode === 'percent' ? '99.99' : undefined}
+                  step="0.01"
+                  value={settingsForm.reprice_amount}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, reprice_amount: e.target.value })}
+                />
+                <FieldError errors={settingsErrors} path="reprice_amount" />
+
+                <label htmlFor="reprice_floor">Never go below this price</label>
+                <input
+                  type="number"
+                  id="reprice_floor"
+                  min="0"
+                  step="0.01"
+                  value={settingsForm.reprice_floor}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, reprice_floor: e.target.value })}
+                />
+                <FieldError errors={settingsErrors} path="reprice_floor" />
+
+                <label htmlFor="reprice_rounding">Round new prices to</label>
+                <select
+                  id="reprice_rounding"
+                  value={settingsForm.reprice_rounding}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, reprice_rounding: e.target.value })}
+                >
+                  <option value="none">Exact amount</option>
+                  <option value="99">.99 ending</option>
+                  <option value="95">.95 ending</option>
+                </select>
+              </>
+            )}
+
+            <button type="submit" disabled={saving}>
+              {saving ? 'Saving…' : 'Save settings'}
+            </button>
+          </fieldset>
         </form>
       </section>
 
+      <fieldset className="bare" disabled={!canOperate}>
+        <ScheduleEditor
+          key={`schedule ${editorsKey}`}
+          client={client}
+          onSaved={(saved) => setClient((c) => ({ ...c, ...saved }))}
+          onConflict={setConflict}
+        />
+
+        <RulesEditor
+          key={`rules ${editorsKey}`}
+          client={client}
+          onSaved={(saved) => setClient((c) => ({ ...c, ...saved }))}
+          onConflict={setConflict}
+        />
+      </fieldset>
+
       <section className="card">
         <h2>Run</h2>
-        <button className="run" type="button" onClick={runNow} disabled={running}>
-          {running ? 'Running…' : 'Run now'}
-        </button>{' '}
+        {canOperate && (
+          <>
+            <button className="run" type="button" onClick={runNow} disabled={running}>
+              {running ? 'Running…' : 'Run now'}
+            </button>{' '}
+          </>
+        )}
+        {canOperate && running && isActive(runs[0]) && (
+          <>
+            <button type="button" onClick={cancelRun} disabled={cancelling}>
+              {cancelling ? 'Cancelling…' : 'Cancel run'}
+            </button>{' '}
+          </>
+        )}
         <button type="button" onClick={preview} disabled={previewResult?.loading}>
           {previewResult?.loading ? 'Checking…' : 'Preview'}
         </button>
         {runError && <p className="error-banner">{runError}</p>}
+        {running && isActive(runs[0]) && <RunProgress runId={runs[0].id} env={client.ebay_env} onFinished={runFinished} />}
         {previewResult && !previewResult.loading && (
           <div>
             {previewResult.error ? (
@@ -220,6 +489,21 @@ function Dashboard() {
                   {previewResult.ended.map((item) => (
                     <li key={item.itemId}>
                       {itemLabel(item, client.ebay_env)} {item.brand && `— ${item.brand}`}
+                      {priceChange(item)}
+                      {item.matchedRule && <span className="muted"> (matched {item.matchedRule})</span>}{' '}
+                      {protectButton(item.itemId, item)}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {previewResult.skipped?.length > 0 && (
+              <>
+                <p>Skipped:</p>
+                <ul>
+                  {previewResult.skipped.map((item) => (
+                    <li key={`${item.itemId} ${item.brand}`}>
+                      {itemLabel(item, client.ebay_env)} — {item.reason}
                     </li>
                   ))}
                 </ul>
@@ -248,33 +532,77 @@ function Dashboard() {
               <td>{new Date(run.started_at).toLocaleString()}</td>
               <td className={`status-${run.status}`}>{run.status}</td>
               <td>
-                <details>
+                <details
+                  onToggle={(e) => {
+                    const { open } = e.currentTarget
+                    if (open) setOpenRuns((prev) => new Set(prev).add(run.id))
+                  }}
+                >
                   <summary>
                     {run.result?.ended?.length
-                      ? `Ended ${run.result.ended.length}, resold ${run.result.resold?.length ?? 0}`
+                      ? `Ended ${run.result.ended.length}, resold ${run.result.resold?.length ?? 0}` +
+                        (run.result.stranded?.length ? `, stranded ${run.result.stranded.length}` : '')
                       : 'Details'}
                   </summary>
-                  {run.result?.ended?.length > 0 && (
-                    <>
-                      <strong>Ended</strong>
-                      <ul>
-                        {run.result.ended.map((item) => (
-                          <li key={item.itemId}>{itemLabel(item, client.ebay_env)}</li>
-                        ))}
-                      </ul>
-                    </>
-                  )}
-                  {run.result?.resold?.length > 0 && (
-                    <>
-                      <strong>Resold</strong>
-                      <ul>
-                        {run.result.resold.map((item) => (
-                          <li key={item.newItemId}>
-                            {item.title} → {itemLabel({ itemId: item.newItemId }, client.ebay_env)}
-                          </li>
-                        ))}
-                      </ul>
-                    </>
+                  {openRuns.has(run.id) && (
+                    <RunItems
+                      runId={run.id}
+                      env={client.ebay_env}
+                      actions={(item) => item.new_item_id && protectButton(item.new_item_id, item)}
+                      fallback={
+                        <>
+                          {run.result?.ended?.length > 0 && (
+                            <>
+                              <strong>Ended</strong>
+                              <ul>
+                                {run.result.ended.map((item) => (
+                                  <li key={item.itemId}>
+                                    {itemLabel(item, client.ebay_env)} {protectButton(item.itemId, item)}
+                                  </li>
+                                ))}
+                              </ul>
+                            </>
+                          )}
+                          {run.result?.resold?.length > 0 && (
+                            <>
+                              <strong>Resold</strong>
+                              <ul>
+                                {run.result.resold.map((item) => (
+                                  <li key={item.newItemId}>
+                                    {item.title} → {itemLabel({ itemId: item.newItemId, marketplace: item.marketplace }, client.ebay_env)}
+                                    {priceChange(item)} {protectButton(item.newItemId, item)}
+                                  </li>
+                                ))}
+                              </ul>
+                            </>
+                          )}
+                          {run.result?.stranded?.length > 0 && (
+                            <>
+                              <strong>Stranded (ended but not relisted)</strong>
+                              <ul>
+                                {run.result.stranded.map((item) => (
+                                  <li key={item.itemId}>
+                                    {itemLabel(item, client.ebay_env)} — {item.error}
+                                  </li>
+                                ))}
+                              </ul>
+                            </>
+                          )}
+                          {run.result?.skipped?.length > 0 && (
+                            <>
+                              <strong>Skipped</strong>
+                              <ul>
+                                {run.result.skipped.map((item) => (
+                                  <li key={`${item.itemId} ${item.brand}`}>
+                                    {itemLabel(item, client.ebay_env)} — {item.reason}
+                                  </li>
+                                ))}
+                              </ul>
+                            </>
+                          )}
+                        </>
+                      }
+                    />
                   )}
                   <details>
                     <summary>Show raw log</summary>
@@ -292,17 +620,41 @@ function Dashboard() {
         </table>
       </section>
 
-      <section className="card">
-        <h2>Disconnect</h2>
-        <p>
-          Disconnecting permanently deletes everything we store about you: your encrypted eBay token, your
-          settings, and your run history. This can't be undone — you'd need to sign in with eBay again to
-          reconnect.
-        </p>
-        <button className="danger" type="button" onClick={disconnect}>
-          Disconnect and delete my data
-        </button>
-      </section>
+      <fieldset className="bare" disabled={!canOperate}>
+        <StrandedItems env={client.ebay_env} refreshKey={runs[0]?.status} />
+
+        <ProtectedItems items={protectedItems} onAdd={protect} onRemove={unprotect} />
+      </fieldset>
+
+      <ListingEvents env={client.ebay_env} refreshKey={runs[0]?.status} />
+
+      <RelistHistory env={client.ebay_env} refreshKey={runs[0]?.status} />
+
+      <Analytics refreshKey={runs[0]?.status} />
+
+      <AuditLog refreshKey={runs[0]?.status} canRestore={canOperate} />
+
+      <fieldset className="bare" disabled={!canOperate}>
+        <Notifications refreshKey={runs[0]?.status} />
+      </fieldset>
+
+      <ApiUsage refreshKey={runs[0]?.status} />
+
+      {role === 'owner' && <Team currentUserId={user.id} />}
+
+      {role === 'owner' && (
+        <section className="card">
+          <h2>Disconnect</h2>
+          <p>
+            Disconnecting permanently deletes everything we store about {client.ebay_username}: its encrypted eBay
+            token, its settings, and its run history, for everyone on the team. This can't be undone — you'd need to
+            connect it with eBay again.
+          </p>
+          <button className="danger" type="button" onClick={disconnect}>
+            Disconnect and delete this store's data
+          </button>
+        </section>
+      )}
     </div>
   )
 }
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react'
+import { itemLabel } from './items.jsx'
+
+const EVENT_LABELS = { ItemListed: 'Listed', ItemSold: 'Sold', ItemClosed: 'Ended' }
+
+// What eBay has pushed about this seller's listings. Empty (and hidden) until
+// the server has EBAY_PLATFORM_NOTIFICATION_URL set and eBay starts sending.
+function ListingEvents({ env, refreshKey }) {
+  const [events, setEvents] = useState([])
+
+  useEffect(() => {
+    fetch('/api/listing-events')
+      .then((res) => res.json())
+      .then((data) => setEvents(data.events))
+  }, [refreshKey])
+
+  if (events.length === 0) return null
+
+  return (
+    <section className="card">
+      <h2>Recent eBay activity</h2>
+      <table>
+        <tr>
+          <th>When</th>
+          <th>Event</th>
+          <th>Item</th>
+          <th>Price</th>
+        </tr>
+        {events.map((event) => (
+          <tr key={event.id}>
+            <td>{new Date(event.event_at).toLocaleString()}</td>
+            <td className={event.event_type === 'ItemSold' ? 'status-success' : undefined}>
+              {EVENT_LABELS[event.event_type] ?? event.event_type}
+              {event.generation > 0 && <div className="muted">relist #{event.generation}</div>}
+            </td>
+            <td>{itemLabel({ itemId: event.item_id, title: event.title, marketplace: event.marketplace }, env)}</td>
+            <td>{event.price != null && Number(event.price).toFixed(2)}</td>
+          </tr>
+        ))}
+      </table>
+    </section>
+  )
+}
+
+export default ListingEvents
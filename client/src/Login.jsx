@@ -1,26 +1,69 @@
-import { useEffect, useState } from 'react'
+import { useState } from 'react'
+import { useAuthError } from './useAuthError.js'
 
 function Login() {
-  const [authError, setAuthError] = useState(null)
+  const [authError, setAuthError] = useAuthError()
+  const [mode, setMode] = useState('login')
+  const [form, setForm] = useState({ email: '', password: '', name: '' })
+  const [submitting, setSubmitting] = useState(false)
+  const [invited] = useState(() => new URLSearchParams(location.search).has('invite'))
 
-  useEffect(() => {
-    const params = new URLSearchParams(location.search)
-    const error = params.get('authError')
-    if (error) {
-      setAuthError(error)
-      history.replaceState(null, '', location.pathname)
-    }
-  }, [])
+  async function submit(e) {
+    e.preventDefault()
+    setSubmitting(true)
+    const res = await fetch(mode === 'login' ? '/api/login' : '/api/signup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    })
+    const data = await res.json()
+    setSubmitting(false)
+    if (!res.ok) return setAuthError(data.message)
+    window.location.href = data.invitePending ? '/invite' : '/'
+  }
 
   return (
     <div className="page centered">
       <div className="card centered">
         <h1>eBay Reseller</h1>
         {authError && <p className="error-banner">{authError}</p>}
-        <p>Connect your eBay account to manage automated relisting.</p>
-        <a className="button" href="/auth/ebay/start">
-          Sign in with eBay
-        </a>
+        <p>
+          {invited
+            ? "You've been invited to a team. Sign in or create an account, then confirm you want to join it."
+            : 'Sign in to manage automated relisting for your eBay stores.'}
+        </p>
+        <form onSubmit={submit}>
+          {mode === 'signup' && (
+            <>
+              <label htmlFor="name">Name</label>
+              <input id="name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+            </>
+          )}
+          <label htmlFor="email">Email</label>
+          <input
+            id="email"
+            type="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+          />
+          <label htmlFor="password">Password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+          />
+          <button type="submit" disabled={submitting}>
+            {mode === 'login' ? 'Sign in' : 'Create account'}
+          </button>
+        </form>
+        <p>
+          <button type="button" className="link" onClick={() => setMode(mode === 'login' ? 'signup' : 'login')}>
+            {mode === 'login' ? 'New here? Create an account' : 'Already have an account? Sign in'}
+          </button>
+        </p>
       </div>
     </div>
   )
@@ -0,0 +1,201 @@
+import { useEffect, useState } from 'react'
+
+const EMPTY_FORM = {
+  kind: 'email',
+  target: '',
+  on_success: false,
+  on_failure: true,
+  stranded_threshold: '0',
+  skipped_threshold: '',
+}
+
+function describeTriggers(channel) {
+  const parts = []
+  if (channel.on_success) parts.push('every successful run')
+  if (channel.on_failure) parts.push('failed runs')
+  if (channel.stranded_threshold !== null) parts.push(`more than ${channel.stranded_threshold} stranded`)
+  if (channel.skipped_threshold !== null) parts.push(`more than ${channel.skipped_threshold} skipped`)
+  return parts.length > 0 ? parts.join(', ') : 'nothing'
+}
+
+// refreshKey works like RelistHistory's: a run finishing re-fetches the log.
+function Notifications({ refreshKey }) {
+  const [channels, setChannels] = useState([])
+  const [emailAvailable, setEmailAvailable] = useState(false)
+  const [deliveries, setDeliveries] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [error, setError] = useState(null)
+  const [newSecret, setNewSecret] = useState(null)
+  const [testing, setTesting] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/notification-channels')
+      .then((res) => res.json())
+      .then((data) => {
+        setChannels(data.channels)
+        setEmailAvailable(data.emailAvailable)
+        if (!data.emailAvailable) setForm((f) => ({ ...f, kind: 'webhook' }))
+      })
+  }, [])
+
+  function loadDeliveries() {
+    fetch('/api/notification-deliveries')
+      .then((res) => res.json())
+      .then((data) => setDeliveries(data.deliveries))
+  }
+
+  useEffect(loadDeliveries, [refreshKey])
+
+  async function add(e) {
+    e.preventDefault()
+    setError(null)
+    setNewSecret(null)
+    const res = await fetch('/api/notification-channels', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      setError(data.message)
+      return
+    }
+    setChannels((prev) => [...prev, data.channel])
+    if (data.secret) setNewSecret({ target: data.channel.target, secret: data.secret })
+    setForm({ ...EMPTY_FORM, kind: form.kind })
+  }
+
+  async function remove(channel) {
+    if (!confirm(`Stop sending notifications to ${channel.target}?`)) return
+    await fetch(`/api/notification-channels/${channel.id}`, { method: 'DELETE' })
+    setChannels((prev) => prev.filter((c) => c.id !== channel.id))
+    loadDeliveries()
+  }
+
+  async function sendTest(channel) {
+    setTesting(channel.id)
+    await fetch(`/api/notification-channels/${channel.id}/test`, { method: 'POST' })
+    setTesting(null)
+    loadDeliveries()
+  }
+
+  return (
+    <section className="card">
+      <h2>Notifications</h2>
+      <p>Get an email or a webhook call when a run finishes, fails, or leaves too many items stranded or skipped.</p>
+
+      <ul>
+        {channels.map((channel) => (
+          <li key={channel.id}>
+            <strong>{channel.kind === 'email' ? 'Email' : 'Webhook'}</strong> {channel.target} — on{' '}
+            {describeTriggers(channel)}{' '}
+            <button type="button" className="link inline" onClick={() => sendTest(channel)} disabled={testing !== null}>
+              {testing === channel.id ? 'Sending…' : 'Send test'}
+            </button>{' '}
+            <button type="button" className="link inline" onClick={() => remove(channel)}>
+              Remove
+            </button>
+          </li>
+        ))}
+        {channels.length === 0 && <li>No notification channels yet.</li>}
+      </ul>
+
+      {newSecret && (
+        <div className="secret-banner">
+          <p>
+            Signing secret for {newSecret.target} — copy it now, it won't be shown again. Each request carries{' '}
+            <code>X-Reseller-Signature: sha256=HMAC(secret, timestamp + "." + body)</code>, with the timestamp in{' '}
+            <code>X-Reseller-Timestamp</code>.
+          </p>
+          <code>{newSecret.secret}</code>
+        </div>
+      )}
+
+      <form onSubmit={add}>
+        <label htmlFor="channel_kind">Send to</label>
+        <select id="channel_kind" value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })}>
+          <option value="email" disabled={!emailAvailable}>
+            Email{emailAvailable ? '' : " (not set up on this server)"}
+          </option>
+          <option value="webhook">Webhook</option>
+        </select>
+        <label htmlFor="channel_target">{form.kind === 'email' ? 'Email address' : 'Webhook URL'}</label>
+        <input
+          id="channel_target"
+          type={form.kind === 'email' ? 'email' : 'url'}
+          value={form.target}
+          onChange={(e) => setForm({ ...form, target: e.target.value })}
+        />
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={form.on_success}
+            onChange={(e) => setForm({ ...form, on_success: e.target.checked })}
+          />{' '}
+          Every successful run
+        </label>{' '}
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={form.on_failure}
+            onChange={(e) => setForm({ ...form, on_failure: e.target.checked })}
+          />{' '}
+          Failed runs
+        </label>
+        <label htmlFor="channel_stranded">Alert when more than this many items are stranded (blank for never)</label>
+        <input
+          id="channel_stranded"
+          type="number"
+          min="0"
+          value={form.stranded_threshold}
+          onChange={(e) => setForm({ ...form, stranded_threshold: e.target.value })}
+        />
+        <label htmlFor="channel_skipped">Alert when more than this many items are skipped (blank for never)</label>
+        <input
+          id="channel_skipped"
+          type="number"
+          min="0"
+          value={form.skipped_threshold}
+          onChange={(e) => setForm({ ...form, skipped_threshold: e.target.value })}
+        />
+        {error && <p className="error-banner">{error}</p>}
+        <button type="submit">Add channel</button>
+      </form>
+
+      <h3>Delivery log</h3>
+      <table>
+        <tr>
+          <th>Queued</th>
+          <th>To</th>
+          <th>Event</th>
+          <th>Status</th>
+        </tr>
+        {deliveries.map((delivery) => (
+          <tr key={delivery.id}>
+            <td>{new Date(delivery.created_at).toLocaleString()}</td>
+            <td>{delivery.target}</td>
+            <td>
+              {delivery.event}
+              {delivery.run_id && ` (run #${delivery.run_id})`}
+            </td>
+            <td className={`status-${delivery.status}`}>
+              {delivery.status}
+              {delivery.attempts > 1 && ` after ${delivery.attempts} attempts`}
+              {delivery.last_error && <div className="muted">{delivery.last_error}</div>}
+              {delivery.status === 'pending' && delivery.next_attempt_at && (
+                <div className="muted">retrying {new Date(delivery.next_attempt_at).toLocaleTimeString()}</div>
+              )}
+            </td>
+          </tr>
+        ))}
+        {deliveries.length === 0 && (
+          <tr>
+            <td colSpan="4">Nothing sent yet.</td>
+          </tr>
+        )}
+      </table>
+    </section>
+  )
+}
+
+export default Notifications
@@ -0,0 +1,60 @@
+import { useState } from 'react'
+
+function describe(item) {
+  const parts = []
+  if (item.item_id) parts.push(`item ${item.item_id}`)
+  if (item.sku) parts.push(`SKU ${item.sku}`)
+  if (item.title) parts.push(`"${item.title}"`)
+  if (item.title_pattern) parts.push(`titles matching /${item.title_pattern}/`)
+  return parts.join(' · ')
+}
+
+// The list itself lives in Dashboard, since preview and run-history rows can
+// add to it too.
+function ProtectedItems({ items, onAdd, onRemove }) {
+  const [form, setForm] = useState({ item_id: '', sku: '', title_pattern: '' })
+  const [error, setError] = useState(null)
+
+  async function add(e) {
+    e.preventDefault()
+    setError(null)
+    const message = await onAdd(form)
+    if (message) setError(message)
+    else setForm({ item_id: '', sku: '', title_pattern: '' })
+  }
+
+  return (
+    <section className="card">
+      <h2>Protected items</h2>
+      <p>These are never ended, even when they match your settings or rules.</p>
+      <ul>
+        {items.map((item) => (
+          <li key={item.id}>
+            {describe(item)}{' '}
+            <button type="button" className="link" onClick={() => onRemove(item.id)}>
+              Unprotect
+            </button>
+          </li>
+        ))}
+        {items.length === 0 && <li>Nothing protected yet.</li>}
+      </ul>
+
+      <form onSubmit={add}>
+        <label htmlFor="protect_item_id">Item ID</label>
+        <input id="protect_item_id" value={form.item_id} onChange={(e) => setForm({ ...form, item_id: e.target.value })} />
+        <label htmlFor="protect_sku">SKU</label>
+        <input id="protect_sku" value={form.sku} onChange={(e) => setForm({ ...form, sku: e.target.value })} />
+        <label htmlFor="protect_title_pattern">Title pattern (regex)</label>
+        <input
+          id="protect_title_pattern"
+          value={form.title_pattern}
+          onChange={(e) => setForm({ ...form, title_pattern: e.target.value })}
+        />
+        {error && <p className="error-banner">{error}</p>}
+        <button type="submit">Protect</button>
+      </form>
+    </section>
+  )
+}
+
+export default ProtectedItems
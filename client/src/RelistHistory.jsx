@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react'
+import { itemLabel } from './items.jsx'
+
+function LineageChain({ lineage, env }) {
+  return (
+    <ol className="lineage-chain">
+      {lineage.items.map((item) => (
+        <li key={item.itemId}>
+          {itemLabel({ itemId: item.itemId, marketplace: item.marketplace }, env)} — {new Date(item.listedAt).toLocaleDateString()}
+          {item.price != null && ` at ${Number(item.price).toFixed(2)}`}
+          {item.generation === 0 && ' (original)'}
+          {item.itemId === lineage.sold_item_id && ' — sold'}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+// refreshKey changes whenever the latest run's status does, so a run that
+// just finished relisting things shows up here without a page reload.
+function RelistHistory({ env, refreshKey }) {
+  const [lineages, setLineages] = useState([])
+  const [lookupId, setLookupId] = useState('')
+  const [lookup, setLookup] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/lineages')
+      .then((res) => res.json())
+      .then((data) => setLineages(data.lineages))
+  }, [refreshKey])
+
+  async function lookUp(e) {
+    e.preventDefault()
+    const itemId = lookupId.trim()
+    if (!itemId) return
+    const res = await fetch(`/api/lineages/${encodeURIComponent(itemId)}`)
+    if (res.status === 404) {
+      setLookup({ error: `No relist history for item ${itemId}.` })
+      return
+    }
+    const data = await res.json()
+    setLookup({ lineage: data.lineage })
+  }
+
+  return (
+    <section className="card">
+      <h2>Relist history</h2>
+      <form onSubmit={lookUp}>
+        <label htmlFor="lineage_lookup">Look up any item ID</label>
+        <input id="lineage_lookup" value={lookupId} onChange={(e) => setLookupId(e.target.value)} />
+        <button type="submit">Look up</button>
+      </form>
+      {lookup?.error && <p className="error-banner">{lookup.error}</p>}
+      {lookup?.lineage && (
+        <div>
+          <p>
+            <strong>{lookup.lineage.title}</strong> — relisted {lookup.lineage.relist_count} time(s) since{' '}
+            {new Date(lookup.lineage.first_listed_at).toLocaleDateString()}
+            {lookup.lineage.sold_at && `, sold ${new Date(lookup.lineage.sold_at).toLocaleDateString()}`}
+          </p>
+          <LineageChain lineage={lookup.lineage} env={env} />
+        </div>
+      )}
+
+      <table>
+        <tr>
+          <th>Product</th>
+          <th>Relists</th>
+          <th>First listed</th>
+          <th>Current item</th>
+          <th>Sold</th>
+        </tr>
+        {lineages.map((lineage) => (
+          <tr key={lineage.id}>
+            <td>
+              <details>
+                <summary>{lineage.title || lineage.root_item_id}</summary>
+                <LineageChain lineage={lineage} env={env} />
+              </details>
+            </td>
+            <td>{lineage.relist_count}</td>
+            <td>{new Date(lineage.first_listed_at).toLocaleDateString()}</td>
+            <td>{itemLabel({ itemId: lineage.current_item_id, marketplace: lineage.items.at(-1).marketplace }, env)}</td>
+            <td className={lineage.sold_at ? 'status-success' : undefined}>
+              {lineage.sold_at
+                ? `${new Date(lineage.sold_at).toLocaleDateString()}${lineage.sold_price != null ? ` at ${Number(lineage.sold_price).toFixed(2)}` : ''}`
+                : '—'}
+            </td>
+          </tr>
+        ))}
+        {lineages.length === 0 && (
+          <tr>
+            <td colSpan="5">Nothing has been relisted yet.</td>
+          </tr>
+        )}
+      </table>
+    </section>
+  )
+}
+
+export default RelistHistory
@@ -0,0 +1,254 @@
+import { useState } from 'react'
+
+const FIELD_LABELS = {
+  views: 'Views',
+  daysLeft: 'Days left',
+  soldCount: 'Sold',
+  watchCount: 'Watchers',
+  price: 'Price',
+  quantity: 'Quantity available',
+  listingAgeDays: 'Listing age (days)',
+  title: 'Title matches regex',
+  categoryId: 'Category ID is one of',
+  sku: 'SKU starts with',
+}
+
+const NUMERIC_FIELDS = ['views', 'daysLeft', 'soldCount', 'watchCount', 'price', 'quantity', 'listingAgeDays']
+
+const THRESHOLD_LABELS = {
+  maxViews: 'Max views',
+  daysLeftThreshold: 'Days left under',
+  maxSoldCount: 'Max sold',
+}
+
+function conditionKind(condition) {
+  if (condition.all) return 'all'
+  if (condition.any) return 'any'
+  if (condition.not) return 'not'
+  return condition.field
+}
+
+function emptyCondition(kind) {
+  if (kind === 'all' || kind === 'any') return { [kind]: [{ field: 'views', max: 0 }] }
+  if (kind === 'not') return { not: { field: 'title', pattern: '' } }
+  if (kind === 'title') return { field: 'title', pattern: '' }
+  if (kind === 'categoryId') return { field: 'categoryId', in: [] }
+  if (kind === 'sku') return { field: 'sku', prefix: '' }
+  return { field: kind, max: 0 }
+}
+
+function numberOrUndefined(value) {
+  return value === '' ? undefined : Number(value)
+}
+
+function ConditionEditor({ condition, onChange, onRemove }) {
+  const kind = conditionKind(condition)
+
+  return (
+    <div className="condition">
+      <div className="inline-fields">
+        <select value={kind} onChange={(e) => onChange(emptyCondition(e.target.value))}>
+          <option value="all">All of…</option>
+          <option value="any">Any of…</option>
+          <option value="not">Not…</option>
+          {Object.entries(FIELD_LABELS).map(([field, label]) => (
+            <option key={field} value={field}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {NUMERIC_FIELDS.includes(kind) && (
+          <>
+            <input
+              type="number"
+              placeholder="min"
+              value={condition.min ?? ''}
+              onChange={(e) => onChange({ ...condition, min: numberOrUndefined(e.target.value) })}
+            />
+            <input
+              type="number"
+              placeholder="max"
+              value={condition.max ?? ''}
+              onChange={(e) => onChange({ ...condition, max: numberOrUndefined(e.target.value) })}
+            />
+          </>
+        )}
+        {kind === 'title' && (
+          <input
+            placeholder="e.g. nike|adidas"
+            value={condition.pattern}
+            onChange={(e) => onChange({ ...condition, pattern: e.target.value })}
+          />
+        )}
+        {kind === 'categoryId' && (
+          <input
+            placeholder="comma-separated IDs"
+            value={condition.in.join(',')}
+            onChange={(e) => onChange({ ...condition, in: e.target.value.split(',').map((id) => id.trim()) })}
+          />
+        )}
+        {kind === 'sku' && (
+          <input value={condition.prefix} onChange={(e) => onChange({ ...condition, prefix: e.target.value })} />
+        )}
+
+        {onRemove && (
+          <button type="button" className="link" onClick={onRemove}>
+            Remove
+          </button>
+        )}
+      </div>
+
+      {(kind === 'all' || kind === 'any') && (
+        <>
+          {condition[kind].map((child, i) => (
+            <ConditionEditor
+              key={i}
+              condition={child}
+              onChange={(next) => onChange({ [kind]: condition[kind].map((c, j) => (j === i ? next : c)) })}
+              onRemove={
+                condition[kind].length > 1
+                  ? () => onChange({ [kind]: condition[kind].filter((_, j) => j !== i) })
+                  : null
+              }
+            />
+          ))}
+          <button
+            type="button"
+            className="link"
+            onClick={() => onChange({ [kind]: [...condition[kind], { field: 'views', max: 0 }] })}
+          >
+            + Add condition
+          </button>
+        </>
+      )}
+      {kind === 'not' && <ConditionEditor condition={condition.not} onChange={(next) => onChange({ not: next })} />}
+    </div>
+  )
+}
+
+function RulesEditor({ client, onSaved, onConflict }) {
+  const [rules, setRules] = useState(client.rules)
+  const [keywordThresholds, setKeywordThresholds] = useState(client.keyword_thresholds)
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  function setThreshold(keyword, key, value) {
+    const overrides = { ...keywordThresholds[keyword] }
+    if (value === '') delete overrides[key]
+    else overrides[key] = Number(value)
+
+    const next = { ...keywordThresholds }
+    if (Object.keys(overrides).length === 0) delete next[keyword]
+    else next[keyword] = overrides
+    setKeywordThresholds(next)
+  }
+
+  async function save() {
+    setSaving(true)
+    setErrors([])
+    const res = await fetch('/api/dashboard/rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rules, keyword_thresholds: keywordThresholds, settings_version: client.settings_version }),
+    })
+    const data = await res.json()
+    if (res.status === 400) setErrors(data.details)
+    else if (res.status === 409) onConflict(data.client)
+    else onSaved(data.client)
+    setSaving(false)
+  }
+
+  return (
+    <section className="card">
+      <h2>Matching rules</h2>
+      <p>
+        With no rules, listings are matched by the thresholds in Settings. Add rules to match on anything else — a
+        listing is ended if any rule matches it (and it contains the brand keyword, if you've set any).
+      </p>
+
+      {rules.length > 0 && Object.keys(keywordThresholds).length > 0 && (
+        <p className="muted">
+          Your per-keyword thresholds are kept, but don't apply while there are rules. Remove the rules to use them
+          again.
+        </p>
+      )}
+
+      {client.keywords.length > 0 && rules.length === 0 && (
+        <>
+          <h3>Per-keyword thresholds</h3>
+          <p>Leave blank to use the thresholds from Settings.</p>
+          <table>
+            <tr>
+              <th>Keyword</th>
+              {Object.values(THRESHOLD_LABELS).map((label) => (
+                <th key={label}>{label}</th>
+              ))}
+            </tr>
+            {client.keywords.map((keyword) => (
+              <tr key={keyword}>
+                <td>{keyword}</td>
+                {Object.keys(THRESHOLD_LABELS).map((key) => (
+                  <td key={key}>
+                    <input
+                      type="number"
+                      min="0"
+                      value={keywordThresholds[keyword]?.[key] ?? ''}
+                      onChange={(e) => setThreshold(keyword, key, e.target.value)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </table>
+        </>
+      )}
+
+      {rules.map((rule, i) => (
+        <div className="rule" key={i}>
+          <label htmlFor={`rule_name_${i}`}>Rule name</label>
+          <div className="inline-fields">
+            <input
+              id={`rule_name_${i}`}
+              value={rule.name}
+              onChange={(e) => setRules(rules.map((r, j) => (j === i ? { ...r, name: e.target.value } : r)))}
+            />
+            <button type="button" className="link" onClick={() => setRules(rules.filter((_, j) => j !== i))}>
+              Delete rule
+            </button>
+          </div>
+          <ConditionEditor
+            condition={rule.when}
+            onChange={(when) => setRules(rules.map((r, j) => (j === i ? { ...r, when } : r)))}
+          />
+        </div>
+      ))}
+      <button
+        type="button"
+        className="link"
+        onClick={() =>
+          setRules([...rules, { name: `Rule ${rules.length + 1}`, when: { all: [{ field: 'views', max: 0 }] } }])
+        }
+      >
+        + Add rule
+      </button>
+
+      {errors.length > 0 && (
+        <ul className="error-banner">
+          {errors.map((error) => (
+            <li key={`${error.path} ${error.message}`}>
+              <code>{error.path}</code> {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div>
+        <button type="button" onClick={save} disabled={saving}>
+          {saving ? 'Saving…' : 'Save rules'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default RulesEditor
@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react'
+import { itemLabel } from './items.jsx'
+
+const OUTCOMES = ['skipped', 'checked', 'ended', 'relisted', 'stranded']
+
+function why(item) {
+  if (item.decision === 'relisted') return `matched ${item.matched_rule}`
+  if (!item.reason) return item.matched_rule ? `matched ${item.matched_rule}` : ''
+  return item.ebay_error?.codes?.length ? `${item.reason} (eBay error ${item.ebay_error.codes.join(', ')})` : item.reason
+}
+
+const COLUMNS = [
+  { key: 'title', label: 'Item', value: (item) => item.title ?? item.item_id },
+  { key: 'brand', label: 'Brand', value: (item) => item.brand },
+  { key: 'decision', label: 'Outcome', value: (item) => item.decision },
+  { key: 'reason', label: 'Why', value: why },
+  { key: 'views', label: 'Views', value: (item) => item.metrics?.views },
+  { key: 'daysLeft', label: 'Days left', value: (item) => item.metrics?.daysLeft },
+  { key: 'soldCount', label: 'Sold', value: (item) => item.metrics?.soldCount },
+  { key: 'watchCount', label: 'Watchers', value: (item) => item.metrics?.watchCount },
+  { key: 'price', label: 'Price', value: (item) => item.metrics?.price },
+]
+
+function compare(a, b) {
+  if (a === b) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b))
+}
+
+// Every listing a run looked at, with the numbers it was judged on and why it
+// was or wasn't ended. Runs from before outcomes were recorded have no rows,
+// so `fallback` (the older per-run lists) is shown for those instead.
+function RunItems({ runId, env, actions, fallback }) {
+  const [items, setItems] = useState(null)
+  const [failed, setFailed] = useState(false)
+  const [outcome, setOutcome] = useState('')
+  const [sort, setSort] = useState({ key: 'decision', ascending: true })
+
+  useEffect(() => {
+    const query = outcome ? `?outcome=${outcome}` : ''
+    fetch(`/api/runs/${runId}/items${query}`)
+      .then((res) => {
+        if (!res.ok) throw new Error('run_items_failed')
+        return res.json()
+      })
+      .then((data) => {
+        setItems(data.items)
+        setFailed(false)
+      })
+      .catch(() => setFailed(true))
+  }, [runId, outcome])
+
+  if (failed) return <p className="error-banner">This run's items couldn't be loaded. Try again later.</p>
+  if (items === null) return null
+  if (items.length === 0 && !outcome) return fallback
+
+  const column = COLUMNS.find((c) => c.key === sort.key)
+  const sorted = [...items].sort((a, b) => compare(column.value(a), column.value(b)) * (sort.ascending ? 1 : -1))
+
+  function sortBy(key) {
+    setSort((prev) => ({ key, ascending: prev.key === key ? !prev.ascending : true }))
+  }
+
+  return (
+    <div className="run-items">
+      <label htmlFor={`run_items_outcome_${runId}`}>Show</label>
+      <select id={`run_items_outcome_${runId}`} value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+        <option value="">All items</option>
+        {OUTCOMES.map((o) => (
+          <option key={o} value={o}>
+            {o}
+          </option>
+        ))}
+      </select>
+      <table>
+        <tr>
+          {COLUMNS.map((c) => (
+            <th key={c.key}>
+              <button type="button" className="link inline" onClick={() => sortBy(c.key)}>
+                {c.label}
+                {sort.key === c.key && (sort.ascending ? ' ▲' : ' ▼')}
+              </button>
+            </th>
+          ))}
+        </tr>
+        {sorted.map((item) => (
+          <tr key={`${item.brand} ${item.item_id}`}>
+            <td>
+              {itemLabel({ itemId: item.item_id, title: item.title, marketplace: item.marketplace }, env)}
+              {item.new_item_id && <> → {itemLabel({ itemId: item.new_item_id, marketplace: item.marketplace }, env)}</>} {actions?.(item)}
+            </td>
+            <td>{item.brand || 'all items'}</td>
+            <td className={item.decision === 'stranded' ? 'status-failed' : undefined}>{item.decision}</td>
+            <td>{why(item)}</td>
+            <td>{item.metrics?.views ?? '—'}</td>
+            <td>{item.metrics?.daysLeft ?? '—'}</td>
+            <td>{item.metrics?.soldCount ?? '—'}</td>
+            <td>{item.metrics?.watchCount ?? '—'}</td>
+            <td>{item.metrics?.price != null ? Number(item.metrics.price).toFixed(2) : '—'}</td>
+          </tr>
+        ))}
+        {sorted.length === 0 && (
+          <tr>
+            <td colSpan={COLUMNS.length}>No {outcome} items in this run.</td>
+          </tr>
+        )}
+      </table>
+    </div>
+  )
+}
+
+export default RunItems
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { itemLabel } from './items.jsx'
+
+const MAX_FEED_ITEMS = 200
+
+function describe(event, env) {
+  const item = event.itemId && itemLabel({ itemId: event.itemId, title: event.title, marketplace: event.marketplace }, env)
+  switch (event.type) {
+    case 'brand_started':
+      return `Checking "${event.brand || 'all items'}" (${event.index} of ${event.of})`
+    case 'items_matched':
+      return `${event.count} listing(s) match`
+    case 'item_checked':
+      return <>Checked {item}</>
+    case 'item_ended':
+      return <>Ended {item}</>
+    case 'item_relisted':
+      return (
+        <>
+          Relisted {item} as {itemLabel({ itemId: event.newItemId, marketplace: event.marketplace }, env)}
+        </>
+      )
+    case 'item_skipped':
+      return (
+        <>
+          Skipped {item} — {event.reason}
+        </>
+      )
+    case 'item_stranded':
+      return (
+        <>
+          Couldn't relist {item} — {event.reason}
+        </>
+      )
+    default:
+      return event.type
+  }
+}
+
+// Follows a queued or running run over /api/runs/:id/events until it ends,
+// then calls onFinished(status). EventSource reconnects on its own (sending
+// Last-Event-ID), so a dropped connection just resumes where it left off.
+function RunProgress({ runId, env, onFinished }) {
+  const [events, setEvents] = useState([])
+
+  useEffect(() => {
+    setEvents([])
+    const source = new EventSource(`/api/runs/${runId}/events`)
+    source.addEventListener('progress', (e) => {
+      const event = JSON.parse(e.data)
+      setEvents((prev) => [event, ...prev].slice(0, MAX_FEED_ITEMS))
+    })
+    source.addEventListener('end', (e) => {
+      source.close()
+      onFinished(JSON.parse(e.data).status)
+    })
+    return () => source.close()
+  }, [runId, onFinished])
+
+  const progress = events[0]?.progress
+
+  return (
+    <div className="run-progress">
+      {progress && progress.total > 0 ? (
+        <>
+          <progress value={progress.done} max={progress.total} />
+          <span className="muted">
+            {' '}
+            {progress.done} of {progress.total} item(s) done
+          </span>
+        </>
+      ) : (
+        <p className="muted">Waiting for the run to start…</p>
+      )}
+      {events.length > 0 && (
+        <ul className="run-feed">
+          {events
+            .filter((event) => event.type !== 'items_matched')
+            .map((event, i) => (
+              <li key={events.length - i} className={event.type === 'item_stranded' ? 'status-failed' : undefined}>
+                {describe(event, env)}
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default RunProgress
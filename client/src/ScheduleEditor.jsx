@@ -0,0 +1,232 @@
+import { useEffect, useState } from 'react'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const INTERVALS = { 12: 'Every 12 hours', 24: 'Daily', 72: 'Every 3 days', 168: 'Weekly' }
+const WEEKLY_CRON = /^(\d{1,2}) (\d{1,2}) \* \* ([0-6](?:,[0-6])*)$/
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+function pad(n) {
+  return String(n).padStart(2, '0')
+}
+
+// The server only knows interval and cron schedules; the weekly picker is just
+// a friendlier way to write (and read back) the common cron shape.
+function formFromClient(client) {
+  const timezone = client.schedule_cron || client.schedule_hours > 0 ? client.schedule_timezone : BROWSER_TIMEZONE
+  const form = { mode: 'off', hours: '24', days: [0], time: '20:00', cron: '', timezone, blackouts: client.schedule_blackouts }
+
+  if (client.schedule_hours > 0) return { ...form, mode: 'interval', hours: String(client.schedule_hours) }
+  if (!client.schedule_cron) return form
+
+  const weekly = WEEKLY_CRON.exec(client.schedule_cron)
+  if (weekly && Number(weekly[1]) < 60 && Number(weekly[2]) < 24) {
+    const [, minute, hour, days] = weekly
+    return { ...form, mode: 'weekly', days: days.split(',').map(Number), time: `${pad(hour)}:${pad(minute)}` }
+  }
+  return { ...form, mode: 'cron', cron: client.schedule_cron }
+}
+
+function scheduleFromForm(form) {
+  let cron = null
+  if (form.mode === 'cron') cron = form.cron
+  if (form.mode === 'weekly') {
+    const [hour, minute] = form.time.split(':').map(Number)
+    cron = `${minute} ${hour} * * ${[...form.days].sort().join(',')}`
+  }
+  return {
+    schedule_hours: form.mode === 'interval' ? Number(form.hours) : 0,
+    schedule_cron: cron,
+    schedule_timezone: form.timezone,
+    schedule_blackouts: form.blackouts,
+  }
+}
+
+function ScheduleEditor({ client, onSaved, onConflict }) {
+  const [form, setForm] = useState(() => formFromClient(client))
+  const [upcoming, setUpcoming] = useState({ runTimes: [] })
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  // Re-previewed on every edit (debounced), so the run times below always
+  // match what saving would do.
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      const res = await fetch('/api/dashboard/schedule/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scheduleFromForm(form)),
+      })
+      const data = await res.json()
+      setErrors(res.status === 400 ? data.details : [])
+      // Kept with the timezone it was computed for — formatting in one that's
+      // still being typed would throw.
+      setUpcoming(res.ok ? { runTimes: data.runTimes, timezone: form.timezone } : { runTimes: [] })
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [form])
+
+  function setBlackout(i, changes) {
+    setForm({ ...form, blackouts: form.blackouts.map((b, j) => (j === i ? { ...b, ...changes } : b)) })
+  }
+
+  function toggleDay(day) {
+    const days = form.days.includes(day) ? form.days.filter((d) => d !== day) : [...form.days, day]
+    setForm({ ...form, days })
+  }
+
+  async function save() {
+    setSaving(true)
+    const res = await fetch('/api/dashboard/schedule', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...scheduleFromForm(form), settings_version: client.settings_version }),
+    })
+    const data = await res.json()
+    if (res.status === 400) setErrors(data.details)
+    else if (res.status === 409) onConflict(data.client)
+    else onSaved(data.client)
+    setSaving(false)
+  }
+
+  const formatRunTime = (time) =>
+    new Date(time).toLocaleString(undefined, { timeZone: upcoming.timezone, dateStyle: 'full', timeStyle: 'short' })
+
+  return (
+    <section className="card">
+      <h2>Schedule</h2>
+      {client.schedule_paused_at && (
+        <p className="warning-banner">
+          Scheduled runs are paused by the app's operator (since{' '}
+          {new Date(client.schedule_paused_at).toLocaleString()}). You can still run manually.
+        </p>
+      )}
+
+      <label htmlFor="schedule_mode">Run automatically</label>
+      <select id="schedule_mode" value={form.mode} onChange={(e) => setForm({ ...form, mode: e.target.value })}>
+        <option value="off">Off</option>
+        <option value="interval">Every few hours</option>
+        <option value="weekly">On certain days at a set time</option>
+        <option value="cron">Custom (cron expression)</option>
+      </select>
+
+      {form.mode === 'interval' && (
+        <select aria-label="Interval" value={form.hours} onChange={(e) => setForm({ ...form, hours: e.target.value })}>
+          {Object.entries(INTERVALS).map(([hours, label]) => (
+            <option key={hours} value={hours}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {form.mode === 'weekly' && (
+        <div className="inline-fields">
+          {WEEKDAYS.map((label, day) => (
+            <label key={label} className="checkbox">
+              <input type="checkbox" checked={form.days.includes(day)} onChange={() => toggleDay(day)} /> {label}
+            </label>
+          ))}
+          <input
+            type="time"
+            aria-label="Time"
+            value={form.time}
+            onChange={(e) => setForm({ ...form, time: e.target.value })}
+          />
+        </div>
+      )}
+
+      {form.mode === 'cron' && (
+        <input
+          aria-label="Cron expression"
+          placeholder="minute hour day-of-month month day-of-week, e.g. 0 20 * * 0"
+          value={form.cron}
+          onChange={(e) => setForm({ ...form, cron: e.target.value })}
+        />
+      )}
+
+      {form.mode !== 'off' && (
+        <>
+          <label htmlFor="schedule_timezone">Timezone</label>
+          <input
+            id="schedule_timezone"
+            list="timezones"
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+          />
+          <datalist id="timezones">
+            {Intl.supportedValuesOf('timeZone').map((tz) => (
+              <option key={tz} value={tz} />
+            ))}
+          </datalist>
+
+          <h3>Blackout dates</h3>
+          <p>No scheduled runs on these days (in the timezone above), e.g. during a sale.</p>
+          {form.blackouts.map((blackout, i) => (
+            <div className="inline-fields" key={i}>
+              <input
+                type="date"
+                aria-label="From"
+                value={blackout.start}
+                onChange={(e) => setBlackout(i, { start: e.target.value })}
+              />
+              to
+              <input
+                type="date"
+                aria-label="To"
+                value={blackout.end}
+                onChange={(e) => setBlackout(i, { end: e.target.value })}
+              />
+              <input
+                placeholder="label (optional)"
+                value={blackout.label ?? ''}
+                onChange={(e) => setBlackout(i, { label: e.target.value })}
+              />
+              <button
+                type="button"
+                className="link"
+                onClick={() => setForm({ ...form, blackouts: form.blackouts.filter((_, j) => j !== i) })}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="link"
+            onClick={() => setForm({ ...form, blackouts: [...form.blackouts, { start: '', end: '' }] })}
+          >
+            + Add blackout
+          </button>
+
+          {upcoming.runTimes.length > 0 && (
+            <>
+              <h3>Next runs</h3>
+              <ul>
+                {upcoming.runTimes.map((time) => (
+                  <li key={time}>{formatRunTime(time)}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="error-banner">
+          {errors.map((error) => (
+            <li key={`${error.path} ${error.message}`}>
+              <code>{error.path}</code> {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div>
+        <button type="button" onClick={save} disabled={saving}>
+          {saving ? 'Saving…' : 'Save schedule'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default ScheduleEditor
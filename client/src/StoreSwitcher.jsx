@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react'
+
+// Switching stores changes the session's current store server-side, so the
+// page reloads rather than every section re-fetching for the new one.
+function StoreSwitcher() {
+  const [stores, setStores] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/stores')
+      .then((res) => res.json())
+      .then(setStores)
+  }, [])
+
+  async function select(id) {
+    await fetch(`/api/stores/${id}/select`, { method: 'POST' })
+    window.location.reload()
+  }
+
+  if (!stores) return null
+  return (
+    <span className="store-switcher">
+      {stores.stores.length > 1 && (
+        <select value={stores.currentStoreId ?? ''} onChange={(e) => select(e.target.value)} aria-label="Store">
+          {stores.stores.map((store) => (
+            <option key={store.id} value={store.id}>
+              {store.ebay_username} — {store.organization_name} ({store.role})
+            </option>
+          ))}
+        </select>
+      )}
+      {stores.canConnect && (
+        <a href="/auth/ebay/start">Connect {stores.stores.length > 0 ? 'another' : 'an'} eBay store</a>
+      )}
+    </span>
+  )
+}
+
+export default StoreSwitcher
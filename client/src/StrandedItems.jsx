@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import { itemLabel } from './items.jsx'
+
+// Items a run ended but couldn't relist. The worker keeps retrying these on
+// its own; this is for retrying sooner, or giving up on one for good.
+function StrandedItems({ env, refreshKey }) {
+  const [items, setItems] = useState([])
+  const [busyId, setBusyId] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  function load() {
+    fetch('/api/stranded-items')
+      .then((res) => res.json())
+      .then((data) => setItems(data.items))
+  }
+
+  useEffect(load, [refreshKey])
+
+  async function retry(item) {
+    setBusyId(item.id)
+    setMessage(null)
+    const res = await fetch(`/api/stranded-items/${item.id}/retry`, { method: 'POST' })
+    const data = await res.json()
+    if (res.ok) setMessage({ text: `Relisted ${item.item_id} as ${data.newItemId}.` })
+    else if (data.error === 'not_retryable') setMessage({ error: 'A retry of this item is already in progress.' })
+    else setMessage({ error: `Retry failed: ${data.message}` })
+    setBusyId(null)
+    load()
+  }
+
+  async function dismiss(item) {
+    if (!confirm(`Stop trying to relist ${item.item_id}? It stays ended on eBay.`)) return
+    await fetch(`/api/stranded-items/${item.id}/dismiss`, { method: 'POST' })
+    setItems((prev) => prev.filter((i) => i.id !== item.id))
+  }
+
+  if (items.length === 0 && !message) return null
+
+  return (
+    <section className="card">
+      <h2>Stranded items</h2>
+      <p>These were ended but never relisted, so they're currently off eBay.</p>
+      {message?.text && <p>{message.text}</p>}
+      {message?.error && <p className="error-banner">{message.error}</p>}
+      <table>
+        <tr>
+          <th>Item</th>
+          <th>Ended</th>
+          <th>Last error</th>
+          <th>Next retry</th>
+          <th></th>
+        </tr>
+        {items.map((item) => (
+          <tr key={item.id}>
+            <td>{itemLabel({ itemId: item.item_id, title: item.title, marketplace: item.marketplace }, env)}</td>
+            <td>{new Date(item.ended_at).toLocaleString()}</td>
+            <td>
+              {item.last_error}
+              {item.attempts > 0 && <span className="muted"> ({item.attempts} retries)</span>}
+            </td>
+            <td>{item.status === 'retrying' ? 'retrying now…' : new Date(item.next_retry_at).toLocaleString()}</td>
+            <td>
+              <button
+                type="button"
+                className="link inline"
+                onClick={() => retry(item)}
+                disabled={busyId !== null || item.status === 'retrying'}
+              >
+                {busyId === item.id ? 'Retrying…' : 'Retry now'}
+              </button>{' '}
+              <button
+                type="button"
+                className="link inline"
+                onClick={() => dismiss(item)}
+                disabled={busyId !== null || item.status === 'retrying'}
+              >
+                Dismiss
+              </button>
+            </td>
+          </tr>
+        ))}
+      </table>
+    </section>
+  )
+}
+
+export default StrandedItems
@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react'
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'can see previews and history',
+  operator: 'can also run and change settings',
+  owner: 'can also connect stores and manage the team',
+}
+
+// Owners only. Members are of the current store's organization, so they
+// see all of its stores.
+function Team({ currentUserId }) {
+  const [members, setMembers] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [inviteRole, setInviteRole] = useState('viewer')
+  const [newLink, setNewLink] = useState(null)
+  const [error, setError] = useState(null)
+
+  function load() {
+    fetch('/api/members')
+      .then((res) => res.json())
+      .then((data) => {
+        setMembers(data.members)
+        setInvitations(data.invitations)
+      })
+  }
+
+  useEffect(load, [])
+
+  async function request(url, method, body) {
+    setError(null)
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    })
+    const data = await res.json()
+    if (!res.ok) setError(data.message ?? 'Something went wrong.')
+    return res.ok ? data : null
+  }
+
+  async function changeRole(member, role) {
+    if (await request(`/api/members/${member.id}`, 'POST', { role })) load()
+  }
+
+  async function remove(member) {
+    if (!confirm(`Remove ${member.email} from the team?`)) return
+    if (await request(`/api/members/${member.id}`, 'DELETE')) load()
+  }
+
+  async function invite(e) {
+    e.preventDefault()
+    const data = await request('/api/invitations', 'POST', { role: inviteRole })
+    if (!data) return
+    setNewLink({ role: data.invitation.role, url: `${location.origin}${data.link}` })
+    load()
+  }
+
+  async function revoke(invitation) {
+    if (await request(`/api/invitations/${invitation.id}`, 'DELETE')) load()
+  }
+
+  return (
+    <section className="card">
+      <h2>Team</h2>
+      {error && <p className="error-banner">{error}</p>}
+      <table>
+        <tr>
+          <th>Member</th>
+          <th>Role</th>
+          <th></th>
+        </tr>
+        {members.map((member) => (
+          <tr key={member.id}>
+            <td>
+              {member.name ? `${member.name} (${member.email})` : member.email}
+              {member.id === currentUserId && <span className="muted"> — you</span>}
+            </td>
+            <td>
+              <select value={member.role} onChange={(e) => changeRole(member, e.target.value)} aria-label="Role">
+                {Object.keys(ROLE_DESCRIPTIONS).map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+            </td>
+            <td>
+              <button type="button" className="link inline" onClick={() => remove(member)}>
+                Remove
+              </button>
+            </td>
+          </tr>
+        ))}
+      </table>
+
+      {newLink && (
+        <div className="secret-banner">
+          <p>
+            Invitation link for a new {newLink.role} — copy it now, it won't be shown again. It works once, for 7
+            days.
+          </p>
+          <code>{newLink.url}</code>
+        </div>
+      )}
+
+      <form onSubmit={invite}>
+        <label htmlFor="invite_role">Invite someone as</label>
+        <div className="inline-fields">
+          <select id="invite_role" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+            {Object.entries(ROLE_DESCRIPTIONS).map(([role, description]) => (
+              <option key={role} value={role}>
+                {role} — {description}
+              </option>
+            ))}
+          </select>
+          <button type="submit">Create invitation link</button>
+        </div>
+      </form>
+
+      {invitations.length > 0 && (
+        <>
+          <p>Unused invitation links:</p>
+          <ul>
+            {invitations.map((invitation) => (
+              <li key={invitation.id}>
+                {invitation.role}, expires {new Date(invitation.expires_at).toLocaleDateString()}{' '}
+                <button type="button" className="link inline" onClick={() => revoke(invitation)}>
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default Team
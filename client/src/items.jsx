@@ -0,0 +1,25 @@
+// The marketplaces a seller can pick, and where each one's listings live —
+// the same set as modules/marketplaces.js on the server.
+export const MARKETPLACES = {
+  EBAY_US: { label: 'eBay US', domain: 'www.ebay.com' },
+  EBAY_GB: { label: 'eBay UK', domain: 'www.ebay.co.uk' },
+  EBAY_DE: { label: 'eBay Germany', domain: 'www.ebay.de' },
+  EBAY_AU: { label: 'eBay Australia', domain: 'www.ebay.com.au' },
+}
+
+// Items recorded before marketplaces existed have none, and were all eBay US.
+export function itemLabel({ itemId, title, marketplace }, env) {
+  const label = title ? `${title} (${itemId})` : itemId
+  if (env !== 'production') return label
+  const domain = (MARKETPLACES[marketplace] ?? MARKETPLACES.EBAY_US).domain
+  return (
+    <a href={`https://${domain}/itm/${itemId}`} target="_blank" rel="noreferrer">
+      {label}
+    </a>
+  )
+}
+
+export function priceChange({ price, oldPrice = price, newPrice }) {
+  if (newPrice === undefined || oldPrice === undefined) return null
+  return ` — ${Number(oldPrice).toFixed(2)} → ${Number(newPrice).toFixed(2)}`
+}
@@ -2,9 +2,9 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Admin from './Admin.jsx'
 
+// The admin console has a login of its own, separate from sellers'.
 createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
+  <StrictMode>{location.pathname === '/admin' ? <Admin /> : <App />}</StrictMode>,
 )
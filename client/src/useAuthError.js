@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react'
+
+// Errors from server-side redirects (eBay sign-in, invitation links) arrive
+// as ?authError=…; read once, then dropped from the URL.
+export function useAuthError() {
+  const [authError, setAuthError] = useState(null)
+
+  useEffect(() => {
+    const params = new URLSearchParams(location.search)
+    const error = params.get('authError')
+    if (error) {
+      setAuthError(error)
+      history.replaceState(null, '', location.pathname)
+    }
+  }, [])
+
+  return [authError, setAuthError]
+}
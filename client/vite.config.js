@@ -5,10 +5,13 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   server: {
+    // The settings form shares its validation with the server.
+    fs: { allow: ['.', '../modules/settingsSchema.mjs'] },
     proxy: {
       '/api': 'http://localhost:3000',
       '/auth': 'http://localhost:3000',
       '/ebay': 'http://localhost:3000',
+      '/invite': 'http://localhost:3000',
     },
   },
 })
@@ -1,15 +1,29 @@
 // ponytail: one-off helper for seeding a sandbox test listing, not part of the
-// reseller automation itself. Run with `node createTestListing.js`.
+// reseller automation itself. Run with `node createTestListing.js`; set
+// EBAY_MARKETPLACE (e.g. EBAY_GB) to list on a site other than eBay US.
 const { loadEnv } = require('./modules/utils');
 const { createEbayClient } = require('./modules/ebayApi');
+const { DEFAULT_MARKETPLACE, getMarketplace } = require('./modules/marketplaces');
 
 loadEnv();
 
+const marketplace = getMarketplace(process.env.EBAY_MARKETPLACE || DEFAULT_MARKETPLACE);
+
 const { callTradingApi } = createEbayClient({
   token: process.env.EBAY_USER_TOKEN,
-  env: process.env.EBAY_ENV
+  env: process.env.EBAY_ENV,
+  baseUrl: process.env.EBAY_BASE_URL,
+  marketplace: marketplace.id
 });
 
+// A domestic shipping service and a postal code each site accepts.
+const SITE_DEFAULTS = {
+  EBAY_US: { shippingService: 'USPSPriority', postalCode: '95125' },
+  EBAY_GB: { shippingService: 'UK_RoyalMailFirstClassStandard', postalCode: 'SW1A 1AA' },
+  EBAY_DE: { shippingService: 'DE_DHLPaket', postalCode: '10115' },
+  EBAY_AU: { shippingService: 'AU_Regular', postalCode: '2000' }
+};
+
 // ponytail: GetCategories is a known-flaky sandbox call (long history of 503s on
 // eBay's own status page), so this hardcodes a leaf category that's widely used
 // in working sandbox examples instead of looking one up live. Audiobooks, unlike
@@ -17,6 +31,7 @@ const { callTradingApi } = createEbayClient({
 const CATEGORY_ID = '29792';
 
 async function createTestListing() {
+  const { shippingService, postalCode } = SITE_DEFAULTS[marketplace.id];
   const body = await callTradingApi('AddFixedPriceItem', `<?xml version="1.0" encoding="utf-8"?>
 <AddFixedPriceItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
   <Item>
@@ -33,15 +48,15 @@ async function createTestListing() {
     <StartPrice>9.99</StartPrice>
     <CategoryMappingAllowed>true</CategoryMappingAllowed>
     <ConditionID>1000</ConditionID>
-    <Country>US</Country>
-    <Currency>USD</Currency>
+    <Country>${marketplace.country}</Country>
+    <Currency>${marketplace.currency}</Currency>
     <DispatchTimeMax>3</DispatchTimeMax>
     <ListingDuration>GTC</ListingDuration>
     <ListingType>FixedPriceItem</ListingType>
     <PictureDetails>
       <PictureURL>https://placehold.co/500x500.png</PictureURL>
     </PictureDetails>
-    <PostalCode>95125</PostalCode>
+    <PostalCode>${postalCode}</PostalCode>
     <Quantity>1</Quantity>
     <ReturnPolicy>
       <ReturnsAcceptedOption>ReturnsAccepted</ReturnsAcceptedOption>
@@ -53,15 +68,15 @@ async function createTestListing() {
       <ShippingType>Flat</ShippingType>
       <ShippingServiceOptions>
         <ShippingServicePriority>1</ShippingServicePriority>
-        <ShippingService>USPSPriority</ShippingService>
+        <ShippingService>${shippingService}</ShippingService>
         <ShippingServiceCost>0.0</ShippingServiceCost>
       </ShippingServiceOptions>
     </ShippingDetails>
-    <Site>US</Site>
+    <Site>${marketplace.site}</Site>
   </Item>
 </AddFixedPriceItemRequest>`);
 
-  console.log(`Created sandbox listing ${body.ItemID}`);
+  console.log(`Created sandbox listing ${body.ItemID} on eBay ${marketplace.site}`);
 }
 
 createTestListing().catch(error => {
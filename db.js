@@ -21,6 +21,26 @@ async function migrate() {
     ALTER TABLE clients ADD COLUMN IF NOT EXISTS schedule_hours INTEGER NOT NULL DEFAULT 0;
     ALTER TABLE clients ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ;
     ALTER TABLE clients ADD COLUMN IF NOT EXISTS max_sold_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reprice_mode TEXT NOT NULL DEFAULT 'off';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reprice_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reprice_floor NUMERIC(10, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reprice_rounding TEXT NOT NULL DEFAULT 'none';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS rules JSONB NOT NULL DEFAULT '[]';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS keyword_thresholds JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS schedule_cron TEXT;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS schedule_timezone TEXT NOT NULL DEFAULT 'UTC';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS schedule_blackouts JSONB NOT NULL DEFAULT '[]';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS notifications_subscribed_at TIMESTAMPTZ;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS refresh_token_expires_at TIMESTAMPTZ;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS access_token_encrypted TEXT;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS access_token_expires_at TIMESTAMPTZ;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reauth_required_at TIMESTAMPTZ;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS reauth_reason TEXT;
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS marketplaces TEXT[] NOT NULL DEFAULT '{EBAY_US}';
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS schedule_paused_at TIMESTAMPTZ;
+    -- Bumped by every settings save and restore, so a save made from a stale
+    -- copy of the settings (another tab, another team member) is caught.
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS settings_version INTEGER NOT NULL DEFAULT 1;
 
     CREATE TABLE IF NOT EXISTS runs (
       id SERIAL PRIMARY KEY,
@@ -32,6 +52,285 @@ async function migrate() {
     );
 
     ALTER TABLE runs ADD COLUMN IF NOT EXISTS result JSONB NOT NULL DEFAULT '{"ended":[],"resold":[]}';
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS trigger TEXT NOT NULL DEFAULT 'manual';
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS worker_id TEXT;
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMPTZ;
+    ALTER TABLE runs ADD COLUMN IF NOT EXISTS fail_note TEXT;
+
+    -- Runs left 'running' by the old fire-and-forget runner never had a lease,
+    -- and would otherwise block the unique index below from being created.
+    UPDATE runs SET status = 'failed', finished_at = now(), log = log || E'\\nRun abandoned: server restarted mid-run.'
+      WHERE status = 'running' AND worker_id IS NULL;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS runs_one_active_per_client ON runs (client_id) WHERE status IN ('queued', 'running');
+    CREATE INDEX IF NOT EXISTS runs_queued ON runs (id) WHERE status = 'queued';
+
+    CREATE TABLE IF NOT EXISTS listing_lineages (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      root_item_id TEXT NOT NULL,
+      current_item_id TEXT NOT NULL,
+      title TEXT,
+      relist_count INTEGER NOT NULL DEFAULT 0,
+      first_listed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_relisted_at TIMESTAMPTZ,
+      UNIQUE (client_id, root_item_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS lineage_items (
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      item_id TEXT NOT NULL,
+      lineage_id INTEGER NOT NULL REFERENCES listing_lineages(id) ON DELETE CASCADE,
+      generation INTEGER NOT NULL,
+      previous_item_id TEXT,
+      run_id INTEGER REFERENCES runs(id) ON DELETE SET NULL,
+      price NUMERIC(10, 2),
+      listed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (client_id, item_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS lineage_items_lineage ON lineage_items (lineage_id, generation);
+    CREATE INDEX IF NOT EXISTS lineage_items_run ON lineage_items (run_id);
+
+    ALTER TABLE listing_lineages ADD COLUMN IF NOT EXISTS sold_at TIMESTAMPTZ;
+    ALTER TABLE listing_lineages ADD COLUMN IF NOT EXISTS sold_item_id TEXT;
+    ALTER TABLE listing_lineages ADD COLUMN IF NOT EXISTS sold_price NUMERIC(10, 2);
+    ALTER TABLE lineage_items ADD COLUMN IF NOT EXISTS brand TEXT;
+    ALTER TABLE lineage_items ADD COLUMN IF NOT EXISTS marketplace TEXT NOT NULL DEFAULT 'EBAY_US';
+
+    CREATE TABLE IF NOT EXISTS protected_items (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      item_id TEXT,
+      sku TEXT,
+      title TEXT,
+      title_pattern TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS protected_items_client ON protected_items (client_id);
+
+    CREATE TABLE IF NOT EXISTS ended_items (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      run_id INTEGER REFERENCES runs(id) ON DELETE SET NULL,
+      item_id TEXT NOT NULL,
+      title TEXT,
+      sku TEXT,
+      start_time TIMESTAMPTZ,
+      price NUMERIC(10, 2),
+      relist_price NUMERIC(10, 2),
+      status TEXT NOT NULL DEFAULT 'relisting',
+      new_item_id TEXT,
+      last_error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_retry_at TIMESTAMPTZ,
+      ended_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      resolved_at TIMESTAMPTZ,
+      UNIQUE (client_id, item_id)
+    );
+
+    ALTER TABLE ended_items ADD COLUMN IF NOT EXISTS marketplace TEXT NOT NULL DEFAULT 'EBAY_US';
+
+    CREATE INDEX IF NOT EXISTS ended_items_retry ON ended_items (next_retry_at) WHERE status IN ('stranded', 'retrying');
+    CREATE INDEX IF NOT EXISTS ended_items_run ON ended_items (run_id) WHERE status = 'relisting';
+
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL,
+      target TEXT NOT NULL,
+      secret_encrypted TEXT,
+      on_success BOOLEAN NOT NULL DEFAULT false,
+      on_failure BOOLEAN NOT NULL DEFAULT true,
+      stranded_threshold INTEGER,
+      skipped_threshold INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id SERIAL PRIMARY KEY,
+      channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      run_id INTEGER REFERENCES runs(id) ON DELETE SET NULL,
+      event TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMPTZ DEFAULT now(),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      delivered_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS notification_deliveries_due ON notification_deliveries (next_attempt_at) WHERE status IN ('pending', 'sending');
+    CREATE TABLE IF NOT EXISTS deletion_notifications (
+      id SERIAL PRIMARY KEY,
+      notification_id TEXT NOT NULL UNIQUE,
+      ebay_username TEXT,
+      ebay_user_id TEXT,
+      event_date TIMESTAMPTZ,
+      signing_kid TEXT NOT NULL,
+      deleted_client_id INTEGER,
+      payload JSONB NOT NULL,
+      received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS notification_deliveries_client ON notification_deliveries (client_id, created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS listing_events (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      title TEXT,
+      sku TEXT,
+      price NUMERIC(10, 2),
+      quantity_sold INTEGER,
+      lineage_id INTEGER REFERENCES listing_lineages(id) ON DELETE SET NULL,
+      generation INTEGER,
+      event_at TIMESTAMPTZ NOT NULL,
+      received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (client_id, event_type, item_id, event_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS listing_events_client ON listing_events (client_id, event_at DESC);
+    ALTER TABLE listing_events ADD COLUMN IF NOT EXISTS marketplace TEXT;
+
+    CREATE TABLE IF NOT EXISTS api_call_counts (
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      call_name TEXT NOT NULL,
+      day DATE NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (client_id, call_name, day)
+    );
+
+    CREATE INDEX IF NOT EXISTS api_call_counts_day ON api_call_counts (day);
+
+    CREATE TABLE IF NOT EXISTS run_events (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS run_events_run ON run_events (run_id, id);
+
+    -- One row per listing a run evaluated: what it looked like, what was
+    -- decided and why. decision ends as skipped, relisted or stranded; a run
+    -- that died partway leaves 'checked' (passed eBay's checks, not yet
+    -- ended) or 'ended' (not yet relisted). reason_code says why for
+    -- stranded items and skips.
+    CREATE TABLE IF NOT EXISTS run_items (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      brand TEXT NOT NULL DEFAULT '',
+      item_id TEXT NOT NULL,
+      title TEXT,
+      sku TEXT,
+      metrics JSONB,
+      matched_rule TEXT,
+      decision TEXT NOT NULL,
+      reason_code TEXT,
+      reason TEXT,
+      ebay_error JSONB,
+      new_item_id TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (run_id, brand, item_id)
+    );
+
+    ALTER TABLE run_items ADD COLUMN IF NOT EXISTS marketplace TEXT;
+
+    -- HitCount, QuantitySold and time left of every active listing, as of
+    -- each run. The analytics compare an item's numbers before and after it
+    -- was relisted.
+    CREATE TABLE IF NOT EXISTS listing_snapshots (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      run_id INTEGER REFERENCES runs(id) ON DELETE SET NULL,
+      item_id TEXT NOT NULL,
+      hit_count INTEGER NOT NULL,
+      quantity_sold INTEGER NOT NULL,
+      price NUMERIC(10, 2),
+      days_left NUMERIC(6, 2),
+      taken_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS listing_snapshots_item ON listing_snapshots (client_id, item_id, taken_at DESC);
+
+    -- People sign in as users; each eBay account (a clients row) belongs to
+    -- one organization, and members see its stores with their role's rights.
+    -- Stores connected before organizations existed have none until an owner
+    -- reconnects them.
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS organizations (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS memberships (
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'operator', 'viewer')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (organization_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS memberships_user ON memberships (user_id);
+
+    ALTER TABLE clients ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+    -- Only a hash of the token is kept; the link itself is shown once.
+    CREATE TABLE IF NOT EXISTS invitations (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'operator', 'viewer')),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      accepted_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+
+    -- Who did what, from where. client_id is kept loose (SET NULL) so the
+    -- trail outlives the client it's about.
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+      actor_kind TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      details JSONB NOT NULL DEFAULT '{}',
+      ip TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS audit_log_client ON audit_log (client_id, created_at DESC);
+
+    -- The signed-in user behind an entry, so a team's dashboard can also show
+    -- its members' sign-ins, which aren't about any one store.
+    ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+    -- The organization of the entry's store, kept when the store is deleted
+    -- so its team can still see the store was disconnected.
+    ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+    UPDATE audit_log a SET organization_id = c.organization_id FROM clients c
+      WHERE a.client_id = c.id AND a.organization_id IS NULL AND c.organization_id IS NOT NULL;
   `);
 }
 
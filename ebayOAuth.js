@@ -3,6 +3,25 @@ const AUTH_HOST = ENV === 'production' ? 'auth.ebay.com' : 'auth.sandbox.ebay.co
 const API_HOST = ENV === 'production' ? 'api.ebay.com' : 'api.sandbox.ebay.com';
 const SCOPE = 'https://api.ebay.com/oauth/api_scope'; // base scope covers Trading API calls
 
+// EBAY_BASE_URL points both the OAuth and Trading API traffic somewhere other
+// than eBay — in practice, the local fake in fakeEbayServer.js.
+const AUTH_BASE_URL = process.env.EBAY_BASE_URL || `https://${AUTH_HOST}`;
+const API_BASE_URL = process.env.EBAY_BASE_URL || `https://${API_HOST}`;
+
+// Carries eBay's OAuth error code (e.g. 'invalid_grant' for a refresh token
+// that has expired or been revoked) so callers can tell that apart from an
+// outage.
+class OAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function oauthError(prefix, data, status) {
+  return new OAuthError(`${prefix}: ${data.error_description || data.error || status}`, data.error || null);
+}
+
 function basicAuthHeader() {
   return 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64');
 }
@@ -15,11 +34,11 @@ function authorizeUrl(state) {
     scope: SCOPE,
     state
   });
-  return `https://${AUTH_HOST}/oauth2/authorize?${params}`;
+  return `${AUTH_BASE_URL}/oauth2/authorize?${params}`;
 }
 
 async function exchangeCodeForToken(code) {
-  const res = await fetch(`https://${API_HOST}/identity/v1/oauth2/token`, {
+  const res = await fetch(`${API_BASE_URL}/identity/v1/oauth2/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -33,13 +52,18 @@ async function exchangeCodeForToken(code) {
   });
 
   const data = await res.json();
-  if (!res.ok) throw new Error(`Token exchange failed: ${data.error_description || data.error || res.status}`);
+  if (!res.ok) throw oauthError('Token exchange failed', data, res.status);
 
-  return { accessToken: data.access_token, refreshToken: data.refresh_token };
+  return {
+    accessToken: data.access_token,
+    expiresIn: data.expires_in,
+    refreshToken: data.refresh_token,
+    refreshTokenExpiresIn: data.refresh_token_expires_in
+  };
 }
 
 async function refreshAccessToken(refreshToken) {
-  const res = await fetch(`https://${API_HOST}/identity/v1/oauth2/token`, {
+  const res = await fetch(`${API_BASE_URL}/identity/v1/oauth2/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -53,9 +77,41 @@ async function refreshAccessToken(refreshToken) {
   });
 
   const data = await res.json();
-  if (!res.ok) throw new Error(`Access token refresh failed: ${data.error_description || data.error || res.status}`);
+  if (!res.ok) throw oauthError('Access token refresh failed', data, res.status);
+
+  return { accessToken: data.access_token, expiresIn: data.expires_in };
+}
+
+// Application tokens (client_credentials) act as the app rather than any
+// seller — e.g. for fetching notification signing keys. One is cached until
+// shortly before it expires, since they're the same for every caller.
+let applicationToken = null;
+
+async function getApplicationToken() {
+  if (applicationToken && applicationToken.expiresAt > Date.now() + 60 * 1000) return applicationToken.value;
+
+  const res = await fetch(`${API_BASE_URL}/identity/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: basicAuthHeader()
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials', scope: SCOPE })
+  });
+
+  const data = await res.json();
+  if (!res.ok) throw oauthError('Application token request failed', data, res.status);
 
-  return data.access_token;
+  applicationToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  return applicationToken.value;
 }
 
-module.exports = { ENV, authorizeUrl, exchangeCodeForToken, refreshAccessToken };
+module.exports = {
+  ENV,
+  API_BASE_URL,
+  OAuthError,
+  authorizeUrl,
+  exchangeCodeForToken,
+  refreshAccessToken,
+  getApplicationToken
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const ebayOAuth = require('./ebayOAuth');
+
+// eBay signs each notification it pushes. X-EBAY-SIGNATURE is base64-encoded
+// JSON — { alg: "ECDSA", kid, signature, digest: "SHA1" } — where `signature`
+// is a base64 DER ECDSA signature over the exact request body, and `kid` names
+// the public key to check it with, fetched from the Notification API.
+
+const KEY_CACHE_MS = 60 * 60 * 1000;
+
+// Thrown for anything that means "this request wasn't signed by eBay": the
+// route answers these with 412, and anything else (e.g. eBay's key endpoint
+// being down) with a 5xx so eBay retries the notification later.
+class SignatureError extends Error {}
+
+function parseSignatureHeader(header) {
+  if (!header) throw new SignatureError('Missing X-EBAY-SIGNATURE header');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch {
+    throw new SignatureError('X-EBAY-SIGNATURE is not base64-encoded JSON');
+  }
+  if (!parsed || typeof parsed.kid !== 'string' || typeof parsed.signature !== 'string') {
+    throw new SignatureError('X-EBAY-SIGNATURE is missing kid or signature');
+  }
+  if (parsed.alg && String(parsed.alg).toUpperCase() !== 'ECDSA') {
+    throw new SignatureError(`Unsupported signature algorithm ${parsed.alg}`);
+  }
+  return { kid: parsed.kid, signature: parsed.signature, digest: parsed.digest || 'SHA1' };
+}
+
+// eBay returns the key as PEM but without the line breaks PEM requires, so
+// only the base64 between the markers is trusted.
+function toPublicKey(key) {
+  const base64 = key.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '');
+  return crypto.createPublicKey({ key: Buffer.from(base64, 'base64'), format: 'der', type: 'spki' });
+}
+
+// The production key source. Resolves to the key's PEM text; an unknown kid
+// is the sender's problem (SignatureError), anything else is ours.
+async function notificationApiKeySource(kid) {
+  const res = await fetch(`${ebayOAuth.API_BASE_URL}/commerce/notification/v1/public_key/${encodeURIComponent(kid)}`, {
+    headers: { Authorization: `Bearer ${await ebayOAuth.getApplicationToken()}` }
+  });
+  if (res.status === 404 || res.status === 400) throw new SignatureError(`Unknown signing key ${kid}`);
+  if (!res.ok) throw new Error(`Fetching public key ${kid} failed with ${res.status}`);
+  return (await res.json()).key;
+}
+
+// For tests and local setups signing with their own keypair: maps each kid
+// straight to its PEM public key.
+function staticKeySource(keysByKid) {
+  return async (kid) => {
+    if (!keysByKid[kid]) throw new SignatureError(`Unknown signing key ${kid}`);
+    return keysByKid[kid];
+  };
+}
+
+// Returns verify(header, rawBody), which resolves to the signing kid or
+// throws. Keys are cached per kid — eBay rotates them rarely, and a burst of
+// notifications shouldn't mean a burst of key fetches.
+function createSignatureVerifier({ keySource = notificationApiKeySource, cacheMs = KEY_CACHE_MS } = {}) {
+  const cache = new Map();
+
+  function publicKeyFor(kid) {
+    const cached = cache.get(kid);
+    if (cached && cached.expiresAt > Date.now()) return cached.key;
+
+    const key = keySource(kid).then(toPublicKey);
+    cache.set(kid, { key, expiresAt: Date.now() + cacheMs });
+    // Failed lookups aren't cached, so a transient error doesn't stick.
+    key.catch(() => cache.delete(kid));
+    return key;
+  }
+
+  return async function verify(header, rawBody) {
+    const { kid, signature, digest } = parseSignatureHeader(header);
+    if (!rawBody) throw new SignatureError('Empty request body');
+
+    const publicKey = await publicKeyFor(kid);
+    let valid;
+    try {
+      valid = crypto.verify(digest.toLowerCase(), rawBody, publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      throw new SignatureError(`Signature could not be checked: ${error.message}`);
+    }
+    if (!valid) throw new SignatureError('Signature does not match the request body');
+    return kid;
+  };
+}
+
+module.exports = {
+  SignatureError,
+  createSignatureVerifier,
+  notificationApiKeySource,
+  staticKeySource
+};
@@ -0,0 +1,30 @@
+// A local stand-in for eBay's Trading API and OAuth endpoints, for
+// offline end-to-end testing. Run with `node fakeEbayServer.js [seed.json]`,
+// then start the app with EBAY_BASE_URL=http://localhost:4000 (and
+// FAKE_EBAY_REDIRECT_URL if the app isn't on localhost:3000). The seed file is
+// a JSON array of listings — see createFakeEbayStore's addListing for fields.
+const fs = require('fs');
+const { loadEnv } = require('./modules/utils');
+const { createFakeEbayStore, createFakeEbayApp } = require('./modules/fakeEbay');
+
+loadEnv();
+
+const seedPath = process.argv[2];
+const listings = seedPath
+  ? JSON.parse(fs.readFileSync(seedPath, 'utf8'))
+  : [
+      { title: 'Nike Air Max 90 Sneakers', views: 0, daysLeft: 5 },
+      { title: 'Nike Dri-FIT Running Shirt', views: 3, daysLeft: 10, endDelayMs: 15000 },
+      { title: 'Adidas Ultraboost 22', views: 0, daysLeft: 2 },
+      { title: 'Adidas Samba OG', views: 40, daysLeft: 20 },
+      { title: 'Levi 501 Jeans', views: 0, daysLeft: 1, hideFromSearch: 'VeRO' }
+    ];
+
+const store = createFakeEbayStore({ listings });
+const app = createFakeEbayApp({
+  store,
+  redirectUrl: process.env.FAKE_EBAY_REDIRECT_URL || 'http://localhost:3000/auth/ebay/callback'
+});
+
+const PORT = process.env.FAKE_EBAY_PORT || 4000;
+app.listen(PORT, () => console.log(`Fake eBay listening on port ${PORT} with ${store.items().length} listing(s).`));
@@ -0,0 +1,116 @@
+const { pool } = require('./db');
+const { DEFAULT_MARKETPLACE } = require('./modules/marketplaces');
+
+// A lineage is one product across all the item IDs it's been relisted under:
+// generation 0 is the listing the automation first ended (its "root"), and
+// each relist adds the next generation pointing back at the one it replaced,
+// tagged with the brand keyword whose run relisted it (null for "all items").
+
+async function recordRelist(clientId, { oldItemId, newItemId, title, oldStartTime, newPrice, brand = null, marketplace = DEFAULT_MARKETPLACE, runId = null, relistedAt = null }, db = pool) {
+  const { rows: [existing] } = await db.query(
+    'SELECT lineage_id, generation FROM lineage_items WHERE client_id = $1 AND item_id = $2',
+    [clientId, oldItemId]
+  );
+
+  let lineageId = existing?.lineage_id;
+  const generation = existing?.generation ?? 0;
+
+  if (!existing) {
+    const { rows: [lineage] } = await db.query(
+      `INSERT INTO listing_lineages (client_id, root_item_id, current_item_id, title, first_listed_at)
+       VALUES ($1, $2, $2, $3, COALESCE($4::timestamptz, now()))
+       ON CONFLICT (client_id, root_item_id) DO UPDATE SET title = EXCLUDED.title
+       RETURNING id`,
+      [clientId, oldItemId, title, oldStartTime || null]
+    );
+    lineageId = lineage.id;
+    await db.query(
+      `INSERT INTO lineage_items (client_id, item_id, lineage_id, generation, marketplace, listed_at)
+       VALUES ($1, $2, $3, 0, $4, COALESCE($5::timestamptz, now()))
+       ON CONFLICT (client_id, item_id) DO NOTHING`,
+      [clientId, oldItemId, lineageId, marketplace, oldStartTime || null]
+    );
+  }
+
+  const { rowCount } = await db.query(
+    `INSERT INTO lineage_items (client_id, item_id, lineage_id, generation, previous_item_id, run_id, price, brand, marketplace, listed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamptz, now()))
+     ON CONFLICT (client_id, item_id) DO NOTHING`,
+    [clientId, newItemId, lineageId, generation + 1, oldItemId, runId, newPrice ?? null, brand, marketplace, relistedAt]
+  );
+  if (rowCount === 0) return;
+
+  await db.query(
+    `UPDATE listing_lineages SET current_item_id = $2, title = COALESCE($3, title),
+       relist_count = relist_count + 1, last_relisted_at = COALESCE($4::timestamptz, now())
+     WHERE id = $1`,
+    [lineageId, newItemId, title, relistedAt]
+  );
+}
+
+// Replays the { oldItemId, newItemId } pairs that runs recorded in their
+// result JSON before lineages existed. Safe to call on every startup — pairs
+// already in lineage_items are skipped.
+async function backfillLineages() {
+  const { rows: runs } = await pool.query(
+    `SELECT id, client_id, started_at, result->'resold' AS resold FROM runs
+     WHERE jsonb_array_length(COALESCE(result->'resold', '[]')) > 0
+       AND NOT EXISTS (SELECT 1 FROM lineage_items li WHERE li.run_id = runs.id)
+     ORDER BY id`
+  );
+
+  for (const run of runs) {
+    for (const item of run.resold) {
+      if (!item.oldItemId || !item.newItemId) continue;
+      await recordRelist(run.client_id, { ...item, runId: run.id, relistedAt: run.started_at });
+    }
+  }
+}
+
+async function listLineages(clientId, { limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT l.id, l.root_item_id, l.current_item_id, l.title, l.relist_count, l.first_listed_at, l.last_relisted_at,
+       l.sold_at, l.sold_item_id, l.sold_price,
+       json_agg(json_build_object(
+         'itemId', li.item_id, 'generation', li.generation, 'previousItemId', li.previous_item_id,
+         'runId', li.run_id, 'listedAt', li.listed_at, 'price', li.price, 'marketplace', li.marketplace
+       ) ORDER BY li.generation) AS items
+     FROM listing_lineages l JOIN lineage_items li ON li.lineage_id = l.id
+     WHERE l.client_id = $1
+     GROUP BY l.id
+     ORDER BY l.last_relisted_at DESC NULLS LAST
+     LIMIT $2`,
+    [clientId, limit]
+  );
+  return rows;
+}
+
+// Looks up the whole chain that any one of its item IDs belongs to.
+async function findLineage(clientId, itemId) {
+  const { rows: [match] } = await pool.query(
+    'SELECT lineage_id FROM lineage_items WHERE client_id = $1 AND item_id = $2',
+    [clientId, itemId]
+  );
+  if (!match) return null;
+
+  const { rows: [lineage] } = await pool.query(
+    `SELECT id, root_item_id, current_item_id, title, relist_count, first_listed_at, last_relisted_at,
+       sold_at, sold_item_id, sold_price
+     FROM listing_lineages WHERE id = $1`,
+    [match.lineage_id]
+  );
+  const { rows: items } = await pool.query(
+    `SELECT item_id AS "itemId", generation, previous_item_id AS "previousItemId", run_id AS "runId",
+       listed_at AS "listedAt", price, marketplace
+     FROM lineage_items WHERE lineage_id = $1 ORDER BY generation`,
+    [match.lineage_id]
+  );
+  return { ...lineage, items };
+}
+
+module.exports = {
+  recordRelist,
+  backfillLineages,
+  listLineages,
+  findLineage
+};
@@ -2,54 +2,139 @@ const { endLowTrafficListings } = require('./listings');
 const { resellEndedListings } = require('./reseller');
 const { waitForDelay } = require('./utils');
 
-async function runAutomation(ebayClient, { itemLimit, keywords, maxViews, daysLeftThreshold, maxSoldCount }, log = console.log, { dryRun = false } = {}) {
+// Items worked on at once, within a brand. The web app also rate-limits each
+// seller's calls (apiUsage.js), so raising this mostly just queues requests.
+const ITEM_CONCURRENCY = 4;
+
+// `onProgress(event)` gets a structured event for each step — see
+// endLowTrafficListings and resellEndedListings for the item-level ones —
+// tagged with the brand and a running { done, total } count of matched items,
+// where an item is done once it's relisted, stranded or skipped (or, in a
+// dry run, would be ended).
+//
+// `isCancelled()` stops the run early: no more items are ended, but the ones
+// already ended are still relisted before it returns, with `cancelled: true`
+// and the result so far.
+//
+// `logger` gets the item-by-item narration the steps below print as they go,
+// which is more detail than `log` wants; it's the console by default.
+//
+// `onListings(listings)` gets the active listings as fetched, before anything
+// is ended (the web app snapshots their views and sales for its analytics);
+// `onRelisted` gets each relist tagged with the brand it was found under.
+//
+// `ebayClients` is one client per marketplace (or just one client): each
+// marketplace's ActiveList is worked through separately, brand by brand, and
+// every item in the result and every event says which marketplace it's from.
+async function runAutomation(ebayClients, { itemLimit, keywords, maxViews, daysLeftThreshold, maxSoldCount, rules, keywordThresholds, repricing, protectedItems }, log = console.log, { dryRun = false, isCancelled = () => false, onListings, onEnded, onRelisted, onStranded, onProgress = () => {}, logger = console } = {}) {
   const brands = keywords && keywords.length > 0 ? keywords : [null];
-  const searchCriteria = { maxViews, daysLeftThreshold, maxSoldCount };
+  const searchCriteria = { maxViews, daysLeftThreshold, maxSoldCount, rules, keywordThresholds };
   const ended = [];
   const resold = [];
+  const skipped = [];
+  const stranded = [];
 
-  // Fetched once and reused across brands — endLowTrafficListings used to call
-  // this itself, so N configured keywords meant N redundant full-inventory
-  // re-fetches of the same active listings.
-  const listings = await ebayClient.fetchActiveListings();
+  const progress = { done: 0, total: 0 };
+  const doneEvents = dryRun ? ['item_skipped', 'item_ended'] : ['item_skipped', 'item_relisted', 'item_stranded'];
 
-  for (let i = 0; i < brands.length; i++) {
-    const brandName = brands[i];
-    log(`--- Brand ${i + 1} of ${brands.length}: "${brandName || 'all items'}" ---`);
+  const clients = [].concat(ebayClients);
 
-    let endedItems = [];
-    try {
-      endedItems = await endLowTrafficListings(ebayClient, listings, itemLimit, brandName, searchCriteria, { dryRun });
-      if (endedItems.length === 0) {
-        log(`No items found for ${brandName || 'all items'}. Skipping.`);
-        continue;
+  for (const ebayClient of clients) {
+    if (isCancelled()) break;
+    const { marketplace } = ebayClient;
+    if (clients.length > 1) log(`=== Marketplace ${marketplace} ===`);
+
+    // Fetched once and reused across brands — endLowTrafficListings used to
+    // call this itself, so N configured keywords meant N redundant
+    // full-inventory re-fetches of the same active listings.
+    const listings = await ebayClient.fetchActiveListings();
+    if (onListings) {
+      try {
+        await onListings(listings);
+      } catch (error) {
+        log(`Failed to record listing snapshots: ${error.message}`);
       }
-      log(`${dryRun ? 'Would end' : 'Ended'} ${endedItems.length} listing(s).`);
-      ended.push(...endedItems.map(item => ({ ...item, brand: brandName })));
-    } catch (error) {
-      log(`Step 1 failed: ${error.message}`);
-      continue;
     }
 
-    // Dry-run stops here: reselling has no separate eligibility filter beyond
-    // "did it get ended," so "would be resold" is exactly the same set.
-    if (!dryRun) {
+    for (let i = 0; i < brands.length; i++) {
+      const brandName = brands[i];
+      if (isCancelled()) {
+        log(`Cancelled — not checking the remaining ${brands.length - i} brand(s).`);
+        break;
+      }
+      log(`--- Brand ${i + 1} of ${brands.length}: "${brandName || 'all items'}" ---`);
+
+      const tags = { brand: brandName, marketplace };
+      const progressFor = (type, data = {}) => {
+        if (type === 'items_matched') progress.total += data.count;
+        if (doneEvents.includes(type)) progress.done++;
+        onProgress({ type, ...tags, ...data, progress: { ...progress } });
+      };
+      progressFor('brand_started', { index: i + 1, of: brands.length });
+
+      let endedItems = [];
       try {
-        const resoldItems = await resellEndedListings(ebayClient, endedItems);
-        log(`Relisted ${resoldItems.length} item(s).`);
-        resold.push(...resoldItems.map(item => ({ ...item, brand: brandName })));
+        endedItems = await endLowTrafficListings(ebayClient, listings, itemLimit, brandName, searchCriteria, {
+          dryRun,
+          protectedItems,
+          repricing,
+          concurrency: ITEM_CONCURRENCY,
+          isCancelled,
+          onEnded,
+          logger,
+          onProgress: progressFor,
+          onSkip: (listing, reason) => {
+            log(`skipped: ${reason} — ${listing.itemId} "${listing.title}"`);
+            skipped.push({ itemId: listing.itemId, title: listing.title, sku: listing.sku, ...tags, reason });
+          }
+        });
+        if (endedItems.length === 0) {
+          if (!isCancelled()) log(`No items found for ${brandName || 'all items'}. Skipping.`);
+          continue;
+        }
+        log(`${dryRun ? 'Would end' : 'Ended'} ${endedItems.length} listing(s).`);
+        // Preview has no resold list to carry the markdown, so the price each
+        // item would be relisted at rides along on its "ended" entry instead.
+        ended.push(...endedItems.map(item => (dryRun && item.relistPrice !== undefined
+          ? { ...item, ...tags, newPrice: item.relistPrice }
+          : { ...item, ...tags })));
       } catch (error) {
-        log(`Step 2 failed: ${error.message}`);
+        log(`Step 1 failed: ${error.message}`);
+        continue;
       }
-    }
 
-    if (i < brands.length - 1) {
-      await waitForDelay(3000, 'Waiting 3 seconds before next brand...');
+      // Dry-run stops here: reselling has no separate eligibility filter beyond
+      // "did it get ended," so "would be resold" is exactly the same set.
+      if (!dryRun) {
+        if (isCancelled()) log(`Cancelled — relisting the ${endedItems.length} item(s) already ended before stopping.`);
+        try {
+          const { resold: resoldItems, stranded: strandedItems } = await resellEndedListings(ebayClient, endedItems, {
+            onRelisted: onRelisted && (relist => onRelisted({ ...relist, ...tags })),
+            onStranded,
+            onProgress: progressFor,
+            concurrency: ITEM_CONCURRENCY,
+            logger
+          });
+          log(`Relisted ${resoldItems.length} item(s).`);
+          resold.push(...resoldItems.map(item => ({ ...item, ...tags })));
+          for (const item of strandedItems) {
+            log(`Stranded ${item.itemId} "${item.title}" — ended but not relisted: ${item.error}`);
+          }
+          stranded.push(...strandedItems.map(item => ({ ...item, ...tags })));
+        } catch (error) {
+          log(`Step 2 failed: ${error.message}`);
+        }
+      }
+
+      if (i < brands.length - 1 && !isCancelled()) {
+        await waitForDelay(3000, 'Waiting 3 seconds before next brand...', logger);
+      }
     }
   }
 
-  log(dryRun ? 'Preview complete.' : 'Automation complete.');
-  return { ended, resold };
+  const cancelled = isCancelled();
+  log(cancelled ? 'Run cancelled.' : dryRun ? 'Preview complete.' : 'Automation complete.');
+  return { ended, resold, skipped, stranded, ...(cancelled && { cancelled }) };
 }
 
 module.exports = { runAutomation };
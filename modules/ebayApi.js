@@ -1,9 +1,19 @@
 const { XMLParser } = require('fast-xml-parser');
+const { TransportError, sendWithRetry } = require('./ebayRequests');
+const { DEFAULT_MARKETPLACE, getMarketplace, marketplaceForSite, siteProblem } = require('./marketplaces');
 
-const SITE_ID = 0; // US
 const COMPATIBILITY_LEVEL = '1193';
-
-const parser = new XMLParser({ ignoreAttributes: true });
+const DUPLICATE_LISTING_ERROR = '21919067';
+const MAX_TITLE_LENGTH = 80;
+const VERIFY_TITLE_SUFFIX = ' (relist check)';
+
+// Numeric-looking strings still become numbers (prices, counts), but not ones
+// with leading zeros, hex or exponents — SKUs like "00123" or "1E5" have to
+// survive intact for SKU matching and to be copied onto relists.
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  numberParseOptions: { leadingZeros: false, hex: false, eNotation: false }
+});
 
 function apiHost(env) {
   return env === 'production' ? 'api.ebay.com' : 'api.sandbox.ebay.com';
@@ -38,8 +48,14 @@ function toListing(item) {
     // call per item (IncludeItemSpecifics not needed, just the base ItemType).
     views: Number(item.HitCount) || 0,
     daysLeft: parseIsoDurationDays(item.TimeLeft),
+    price: Number(item.SellingStatus?.CurrentPrice ?? item.BuyItNowPrice) || 0,
     soldCount,
-    availableQuantity: quantity - soldCount
+    availableQuantity: quantity - soldCount,
+    startTime: item.ListingDetails?.StartTime || null,
+    watchCount: Number(item.WatchCount) || 0,
+    sku: item.SKU !== undefined ? String(item.SKU) : null,
+    categoryId: item.PrimaryCategory?.CategoryID !== undefined ? String(item.PrimaryCategory.CategoryID) : null,
+    marketplace: item.Site ? marketplaceForSite(item.Site) : null
   };
 }
 
@@ -87,36 +103,101 @@ function sellerProfilesXml(sellerProfiles) {
   </SellerProfiles>`;
 }
 
+// The request body for a new fixed-price listing copied from `item` (a
+// GetItem ReturnAll response). AddFixedPriceItem and VerifyAddFixedPriceItem
+// take the identical payload, so both are built here to keep the pre-flight
+// check honest.
+function addItemRequestXml(callName, item, { startPrice } = {}) {
+  const pictureUrls = asArray(item.PictureDetails?.PictureURL).length
+    ? asArray(item.PictureDetails.PictureURL)
+    : asArray(item.PictureDetails?.GalleryURL);
+
+  const policyXml = item.SellerProfiles
+    ? sellerProfilesXml(item.SellerProfiles)
+    : `<ReturnPolicy>
+      <ReturnsAcceptedOption>${item.ReturnPolicy?.ReturnsAcceptedOption}</ReturnsAcceptedOption>
+      <RefundOption>${item.ReturnPolicy?.RefundOption}</RefundOption>
+      <ReturnsWithinOption>${item.ReturnPolicy?.ReturnsWithinOption}</ReturnsWithinOption>
+      <ShippingCostPaidByOption>${item.ReturnPolicy?.ShippingCostPaidByOption}</ShippingCostPaidByOption>
+    </ReturnPolicy>
+    <ShippingDetails>
+      <ShippingType>${item.ShippingDetails?.ShippingType || 'Flat'}</ShippingType>
+      ${shippingServiceOptionsXml(item.ShippingDetails?.ShippingServiceOptions)}
+    </ShippingDetails>`;
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<${callName}Request xmlns="urn:ebay:apis:eBLBaseComponents">
+  <Item>
+    <Title>${escapeXml(item.Title)}</Title>
+    <Description>${escapeXml(item.Description)}</Description>
+    <PrimaryCategory>
+      <CategoryID>${item.PrimaryCategory.CategoryID}</CategoryID>
+    </PrimaryCategory>
+    <ItemSpecifics>${itemSpecificsXml(item.ItemSpecifics?.NameValueList)}</ItemSpecifics>
+    <StartPrice>${startPrice ?? item.StartPrice ?? item.BuyItNowPrice}</StartPrice>
+    <CategoryMappingAllowed>true</CategoryMappingAllowed>
+    <ConditionID>${item.ConditionID}</ConditionID>
+    <Country>${item.Country}</Country>
+    <Currency>${item.Currency}</Currency>
+    <DispatchTimeMax>${item.DispatchTimeMax}</DispatchTimeMax>
+    <ListingDuration>${item.ListingDuration}</ListingDuration>
+    <ListingType>FixedPriceItem</ListingType>
+    <PictureDetails>${pictureUrls.map(u => `<PictureURL>${escapeXml(u)}</PictureURL>`).join('')}</PictureDetails>
+    ${item.Location ? `<Location>${escapeXml(item.Location)}</Location>` : ''}
+    ${item.PostalCode ? `<PostalCode>${item.PostalCode}</PostalCode>` : ''}
+    <Quantity>${item.Quantity}</Quantity>
+    ${item.SKU !== undefined ? `<SKU>${escapeXml(item.SKU)}</SKU>` : ''}
+    ${policyXml}
+    <Site>${item.Site}</Site>
+  </Item>
+</${callName}Request>`;
+}
+
 // ponytail: EBAY_USER_TOKEN / a client's stored refresh-derived token is used
 // directly via X-EBAY-API-IAF-TOKEN — no OAuth refresh-token exchange needed for
 // the long-lived Auth'n'Auth case (CLI usage); the web app's per-client tokens
 // come from the real 3-legged OAuth flow instead (see server.js).
-function createEbayClient({ token, env }) {
-  const host = apiHost(env);
+// `baseUrl` overrides the env-derived host (e.g. to hit fakeEbayServer.js).
+// `limiters` (see ebayRequests.js) are waited on before every request, and
+// `onCall(callName)` is told about each one sent, retries included.
+// A client is meant to last one run (or preview): GetItem responses are
+// cached on it, so a long-lived one would keep serving stale listings.
+// A client works on one `marketplace` (see marketplaces.js): its calls carry
+// that site's ID, and it only sees and relists that site's listings.
+function createEbayClient({ token, env, baseUrl, marketplace: marketplaceId = DEFAULT_MARKETPLACE, limiters = [], retry, onCall }) {
+  const marketplace = getMarketplace(marketplaceId);
+  const apiUrl = `${baseUrl || `https://${apiHost(env)}`}/ws/api.dll`;
+  const itemDetails = new Map(); // itemId -> Promise of the GetItem ReturnAll response
 
   async function callTradingApi(callName, bodyXml) {
-    const res = await fetch(`https://${host}/ws/api.dll`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/xml',
-        'X-EBAY-API-SITEID': String(SITE_ID),
-        'X-EBAY-API-COMPATIBILITY-LEVEL': COMPATIBILITY_LEVEL,
-        'X-EBAY-API-CALL-NAME': callName,
-        'X-EBAY-API-IAF-TOKEN': token
-      },
-      body: bodyXml
-    });
-
-    const parsed = parser.parse(await res.text());
-    const body = parsed[`${callName}Response`];
-
-    if (!body || body.Ack === 'Failure') {
-      const errors = body?.Errors ? [].concat(body.Errors) : [];
-      const message = errors.map(e => e.LongMessage || e.ShortMessage).join('; ') || `${callName} failed`;
-      throw new Error(message);
-    }
-
-    return body;
+    return sendWithRetry(callName, async (signal) => {
+      const res = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/xml',
+          'X-EBAY-API-SITEID': String(marketplace.siteId),
+          'X-EBAY-API-COMPATIBILITY-LEVEL': COMPATIBILITY_LEVEL,
+          'X-EBAY-API-CALL-NAME': callName,
+          'X-EBAY-API-IAF-TOKEN': token
+        },
+        body: bodyXml,
+        signal
+      });
+
+      const parsed = parser.parse(await res.text());
+      const body = parsed[`${callName}Response`];
+      if (!body && !res.ok) throw new TransportError(`${callName} failed with HTTP ${res.status}`, { status: res.status });
+
+      if (!body || body.Ack === 'Failure') {
+        const errors = body?.Errors ? [].concat(body.Errors) : [];
+        const message = errors.map(e => e.LongMessage || e.ShortMessage).join('; ') || `${callName} failed`;
+        const error = new Error(message);
+        error.codes = errors.map(e => String(e.ErrorCode));
+        throw error;
+      }
+
+      return body;
+    }, { limiters, retry, onAttempt: onCall });
   }
 
   async function fetchMyEbaySellingList(listName) {
@@ -137,6 +218,14 @@ function createEbayClient({ token, env }) {
       `${listName}.ItemArray.Item.HitCount`,
       `${listName}.ItemArray.Item.SellingStatus`,
       `${listName}.ItemArray.Item.Quantity`,
+      `${listName}.ItemArray.Item.ListingDetails`,
+      `${listName}.ItemArray.Item.WatchCount`,
+      `${listName}.ItemArray.Item.SKU`,
+      // ponytail: PrimaryCategory isn't listed among GetMyeBaySelling's
+      // returned fields, but asking costs nothing — if it never comes back,
+      // categoryId rules will need a GetItem per candidate instead.
+      `${listName}.ItemArray.Item.PrimaryCategory`,
+      `${listName}.ItemArray.Item.Site`,
       `${listName}.PaginationResult`
     ].map(p => `<OutputSelector>${p}</OutputSelector>`).join('\n  ');
 
@@ -171,15 +260,43 @@ function createEbayClient({ token, env }) {
     return listings;
   }
 
+  // ponytail: GetMyeBaySelling's ActiveList isn't documented as filtered by
+  // the site header, so other sites' listings are dropped here. One without a
+  // Site (never seen, but it's an optional field) is assumed to be this one's.
   async function fetchActiveListings() {
-    return fetchMyEbaySellingList('ActiveList');
+    const listings = await fetchMyEbaySellingList('ActiveList');
+    return listings
+      .filter(listing => listing.marketplace === null || listing.marketplace === marketplace.id)
+      .map(listing => ({ ...listing, marketplace: marketplace.id }));
+  }
+
+  function checkSite(item) {
+    const problem = siteProblem(item, marketplace);
+    if (problem) throw Object.assign(new Error(`Can't relist on eBay ${marketplace.site}: ${problem}`), { codes: [] });
   }
 
-  async function isItemEnded(itemId) {
-    const { Item: item } = await callTradingApi('GetItem', `<?xml version="1.0" encoding="utf-8"?>
+  // One full GetItem serves every question asked about an item — ended?
+  // hidden? what would its copy look like? — instead of one request each.
+  // `fresh` skips the cache, for when the answer is expected to change (e.g.
+  // polling for an end to go through); the new response replaces the cached
+  // one, so sellSimilarItem then builds from the latest.
+  function getItemDetails(itemId, { fresh = false } = {}) {
+    if (!fresh && itemDetails.has(itemId)) return itemDetails.get(itemId);
+
+    const details = callTradingApi('GetItem', `<?xml version="1.0" encoding="utf-8"?>
 <GetItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
   <ItemID>${itemId}</ItemID>
-</GetItemRequest>`);
+  <DetailLevel>ReturnAll</DetailLevel>
+  <IncludeItemSpecifics>true</IncludeItemSpecifics>
+</GetItemRequest>`).then(body => body.Item);
+    itemDetails.set(itemId, details);
+    // Failures aren't cached, so the next caller gets a real retry.
+    details.catch(() => { if (itemDetails.get(itemId) === details) itemDetails.delete(itemId); });
+    return details;
+  }
+
+  async function isItemEnded(itemId, { fresh = false } = {}) {
+    const item = await getItemDetails(itemId, { fresh });
     return item.SellingStatus?.ListingStatus === 'Ended' || item.SellingStatus?.ListingStatus === 'Completed';
   }
 
@@ -187,85 +304,108 @@ function createEbayClient({ token, env }) {
   // before we end the item — ending one is harmless, but reselling it just
   // recreates the same flagged content and fails the same way every time.
   async function getHideFromSearchReason(itemId) {
-    const { Item: item } = await callTradingApi('GetItem', `<?xml version="1.0" encoding="utf-8"?>
-<GetItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-  <ItemID>${itemId}</ItemID>
-</GetItemRequest>`);
-    return item.HideFromSearch === 'true' ? (item.ReasonHideFromSearch || 'unspecified reason') : null;
+    const item = await getItemDetails(itemId);
+    // The parser turns <HideFromSearch>true</HideFromSearch> into a boolean.
+    return String(item.HideFromSearch) === 'true' ? (item.ReasonHideFromSearch || 'unspecified reason') : null;
   }
 
+  // Whatever the outcome, the cached copy no longer says whether the item is
+  // live — even a timed-out EndItem may have gone through.
   async function endItem(itemId) {
-    await callTradingApi('EndItem', `<?xml version="1.0" encoding="utf-8"?>
+    try {
+      await callTradingApi('EndItem', `<?xml version="1.0" encoding="utf-8"?>
 <EndItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
   <ItemID>${itemId}</ItemID>
   <EndingReason>NotAvailable</EndingReason>
 </EndItemRequest>`);
+    } finally {
+      itemDetails.delete(itemId);
+    }
+  }
+
+  // Dry-runs the exact AddFixedPriceItem request sellSimilarItem would send,
+  // so a copy eBay won't accept (retired category, newly required item
+  // specifics, discontinued shipping service) is caught before the original
+  // is ended. Throws with eBay's errors if the copy would be rejected.
+  //
+  // The original is still live while this runs, so eBay may see the copy as
+  // a duplicate of it — which ending the original is exactly what fixes, but
+  // eBay can report that alone and skip checking the rest. So a duplicate is
+  // verified again under a title eBay can't match to the original, and only
+  // that second answer counts.
+  async function verifyRelist(itemId, { startPrice } = {}) {
+    const item = await getItemDetails(itemId);
+    checkSite(item);
+    try {
+      await callTradingApi('VerifyAddFixedPriceItem', addItemRequestXml('VerifyAddFixedPriceItem', item, { startPrice }));
+      return;
+    } catch (error) {
+      if (!(error.codes?.length > 0 && error.codes.every(code => code === DUPLICATE_LISTING_ERROR))) throw error;
+    }
+    const title = `${String(item.Title).slice(0, MAX_TITLE_LENGTH - VERIFY_TITLE_SUFFIX.length)}${VERIFY_TITLE_SUFFIX}`;
+    await callTradingApi('VerifyAddFixedPriceItem', addItemRequestXml('VerifyAddFixedPriceItem', { ...item, Title: title }, { startPrice }));
   }
 
   // "Sell Similar" in Seller Hub just pre-fills a brand-new listing from an old
   // one's details — unlike Relist, it doesn't reference the original ItemID,
   // isn't bound to the 90-day relist window, and doesn't carry over watchers.
-  async function sellSimilarItem(itemId) {
-    const { Item: item } = await callTradingApi('GetItem', `<?xml version="1.0" encoding="utf-8"?>
-<GetItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-  <ItemID>${itemId}</ItemID>
-  <DetailLevel>ReturnAll</DetailLevel>
-  <IncludeItemSpecifics>true</IncludeItemSpecifics>
-</GetItemRequest>`);
-
-    const pictureUrls = asArray(item.PictureDetails?.PictureURL).length
-      ? asArray(item.PictureDetails.PictureURL)
-      : asArray(item.PictureDetails?.GalleryURL);
-
-    const policyXml = item.SellerProfiles
-      ? sellerProfilesXml(item.SellerProfiles)
-      : `<ReturnPolicy>
-      <ReturnsAcceptedOption>${item.ReturnPolicy?.ReturnsAcceptedOption}</ReturnsAcceptedOption>
-      <RefundOption>${item.ReturnPolicy?.RefundOption}</RefundOption>
-      <ReturnsWithinOption>${item.ReturnPolicy?.ReturnsWithinOption}</ReturnsWithinOption>
-      <ShippingCostPaidByOption>${item.ReturnPolicy?.ShippingCostPaidByOption}</ShippingCostPaidByOption>
-    </ReturnPolicy>
-    <ShippingDetails>
-      <ShippingType>${item.ShippingDetails?.ShippingType || 'Flat'}</ShippingType>
-      ${shippingServiceOptionsXml(item.ShippingDetails?.ShippingServiceOptions)}
-    </ShippingDetails>`;
+  // `startPrice` replaces the old listing's price (the relist markdown).
+  async function sellSimilarItem(itemId, { startPrice } = {}) {
+    const item = await getItemDetails(itemId);
+    checkSite(item);
+    const body = await callTradingApi('AddFixedPriceItem', addItemRequestXml('AddFixedPriceItem', item, { startPrice }));
+    return String(body.ItemID);
+  }
 
-    const body = await callTradingApi('AddFixedPriceItem', `<?xml version="1.0" encoding="utf-8"?>
-<AddFixedPriceItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-  <Item>
-    <Title>${escapeXml(item.Title)}</Title>
-    <Description>${escapeXml(item.Description)}</Description>
-    <PrimaryCategory>
-      <CategoryID>${item.PrimaryCategory.CategoryID}</CategoryID>
-    </PrimaryCategory>
-    <ItemSpecifics>${itemSpecificsXml(item.ItemSpecifics?.NameValueList)}</ItemSpecifics>
-    <StartPrice>${item.StartPrice ?? item.BuyItNowPrice}</StartPrice>
-    <CategoryMappingAllowed>true</CategoryMappingAllowed>
-    <ConditionID>${item.ConditionID}</ConditionID>
-    <Country>${item.Country}</Country>
-    <Currency>${item.Currency}</Currency>
-    <DispatchTimeMax>${item.DispatchTimeMax}</DispatchTimeMax>
-    <ListingDuration>${item.ListingDuration}</ListingDuration>
-    <ListingType>FixedPriceItem</ListingType>
-    <PictureDetails>${pictureUrls.map(u => `<PictureURL>${escapeXml(u)}</PictureURL>`).join('')}</PictureDetails>
-    ${item.Location ? `<Location>${escapeXml(item.Location)}</Location>` : ''}
-    ${item.PostalCode ? `<PostalCode>${item.PostalCode}</PostalCode>` : ''}
-    <Quantity>${item.Quantity}</Quantity>
-    ${policyXml}
-    <Site>${item.Site}</Site>
-  </Item>
-</AddFixedPriceItemRequest>`);
+  // Points eBay's Platform Notifications for this app at `applicationUrl` and
+  // turns on `eventTypes` for the seller whose token this is. The URL part is
+  // app-wide — every seller's call sets the same one.
+  async function setNotificationPreferences(applicationUrl, eventTypes) {
+    const notificationsXml = eventTypes.map(eventType => `
+    <NotificationEnable>
+      <EventType>${eventType}</EventType>
+      <EventEnable>Enable</EventEnable>
+    </NotificationEnable>`).join('');
+
+    await callTradingApi('SetNotificationPreferences', `<?xml version="1.0" encoding="utf-8"?>
+<SetNotificationPreferencesRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+  <ApplicationDeliveryPreferences>
+    <ApplicationEnable>Enable</ApplicationEnable>
+    <ApplicationURL>${escapeXml(applicationUrl)}</ApplicationURL>
+    <DeviceType>Platform</DeviceType>
+  </ApplicationDeliveryPreferences>
+  <UserDeliveryPreferenceArray>${notificationsXml}
+  </UserDeliveryPreferenceArray>
+</SetNotificationPreferencesRequest>`);
+  }
 
-    return String(body.ItemID);
+  // eBay's own count of this app's calls against its limits, one rule per
+  // call name plus 'ApplicationAggregate' for the app-wide total.
+  async function getApiAccessRules() {
+    const body = await callTradingApi('GetApiAccessRules', `<?xml version="1.0" encoding="utf-8"?>
+<GetApiAccessRulesRequest xmlns="urn:ebay:apis:eBLBaseComponents"></GetApiAccessRulesRequest>`);
+    return asArray(body.ApiAccessRule).map(rule => ({
+      callName: rule.CallName,
+      dailyHardLimit: Number(rule.DailyHardLimit) || null,
+      dailySoftLimit: Number(rule.DailySoftLimit) || null,
+      dailyUsage: Number(rule.DailyUsage) || 0,
+      hourlyHardLimit: Number(rule.HourlyHardLimit) || null,
+      hourlyUsage: Number(rule.HourlyUsage) || 0
+    }));
   }
 
   return {
+    marketplace: marketplace.id,
     callTradingApi,
+    getApiAccessRules,
     fetchActiveListings,
+    getItemDetails,
     isItemEnded,
     getHideFromSearchReason,
     endItem,
-    sellSimilarItem
+    verifyRelist,
+    sellSimilarItem,
+    setNotificationPreferences
   };
 }
 
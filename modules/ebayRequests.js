@@ -0,0 +1,120 @@
+// The plumbing under callTradingApi: rate limiting, a per-request timeout,
+// and retrying the failures that are eBay's problem rather than the request's.
+
+// 10007 is eBay's "Internal error to the application"; 21916 shows up when a
+// backend is briefly unavailable. Both usually succeed on a second try.
+const TRANSIENT_ERROR_CODES = ['10007', '21916'];
+const TRANSIENT_HTTP_STATUSES = [429, 500, 502, 503, 504];
+// The statuses that mean the request was turned away before eBay did
+// anything with it.
+const REJECTED_HTTP_STATUSES = [429, 503];
+
+// These change something on eBay. When one times out, the connection drops,
+// or eBay answers with a server error, there's no telling whether eBay acted
+// on it, and sending it again could end an already-ended item or list a
+// duplicate — so those failures are surfaced instead of retried. Only a
+// request eBay plainly refused (rate limited or unavailable) is sent again.
+const NON_IDEMPOTENT_CALLS = ['AddFixedPriceItem', 'EndItem', 'ReviseFixedPriceItem', 'RelistFixedPriceItem'];
+
+const DEFAULT_RETRY = { attempts: 4, baseDelayMs: 1000, maxDelayMs: 15000, timeoutMs: 30000 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A token bucket: up to `burst` calls at once, refilling at `perSecond`.
+// acquire() resolves once the caller may go ahead.
+function createRateLimiter({ perSecond, burst = perSecond }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * perSecond);
+    refilledAt = now;
+  }
+
+  // Chained so waiters go in arrival order instead of all waking at once and
+  // racing for the same token.
+  function acquire() {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / perSecond) * 1000);
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  }
+
+  return { acquire };
+}
+
+// Thrown when eBay couldn't be reached or answered with a non-XML error
+// status; eBay's own Ack=Failure errors are thrown by callTradingApi instead.
+class TransportError extends Error {
+  constructor(message, { status = null, timedOut = false } = {}) {
+    super(message);
+    this.status = status;
+    this.timedOut = timedOut;
+  }
+}
+
+function isRetryable(callName, error) {
+  const idempotent = !NON_IDEMPOTENT_CALLS.includes(callName);
+  if (error instanceof TransportError) {
+    if (error.status === null) return idempotent;
+    return (idempotent ? TRANSIENT_HTTP_STATUSES : REJECTED_HTTP_STATUSES).includes(error.status);
+  }
+  return idempotent && error.codes?.length > 0 && error.codes.every(code => TRANSIENT_ERROR_CODES.includes(code));
+}
+
+// Whether a call that failed with `error` may still have been acted on by
+// eBay: it timed out, the connection dropped, or eBay answered with a server
+// error rather than a refusal or an Ack=Failure saying what was wrong.
+function mayHaveGoneThrough(error) {
+  return error instanceof TransportError && !REJECTED_HTTP_STATUSES.includes(error.status);
+}
+
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2); // jittered, so concurrent runs don't retry in lockstep
+}
+
+// Calls `attempt()` — one HTTP round trip, given an AbortSignal for the
+// timeout — until it succeeds, fails for good, or runs out of attempts.
+// Every limiter is waited on before each attempt, retries included, since
+// each one counts against eBay's limits. `onAttempt` hears about every one.
+async function sendWithRetry(callName, attempt, { limiters = [], retry = {}, onAttempt = () => {} } = {}) {
+  const options = { ...DEFAULT_RETRY, ...retry };
+
+  for (let n = 1; ; n++) {
+    for (const limiter of limiters) await limiter.acquire();
+    onAttempt(callName, n);
+
+    try {
+      return await attempt(AbortSignal.timeout(options.timeoutMs));
+    } catch (caught) {
+      let error = caught;
+      if (error.name === 'TimeoutError') {
+        error = new TransportError(`${callName} timed out after ${options.timeoutMs}ms`, { timedOut: true });
+      } else if (error.name === 'TypeError' && error.message === 'fetch failed') {
+        error = new TransportError(`${callName} could not reach eBay: ${error.cause?.message || error.message}`);
+      }
+
+      if (n >= options.attempts || !isRetryable(callName, error)) throw error;
+      const delay = backoffMs(n, options);
+      console.warn(`${callName} failed (${error.message}); retrying in ${Math.round(delay)}ms (attempt ${n + 1} of ${options.attempts}).`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  TRANSIENT_ERROR_CODES,
+  TransportError,
+  mayHaveGoneThrough,
+  createRateLimiter,
+  sendWithRetry
+};
@@ -0,0 +1,656 @@
+const crypto = require('crypto');
+const express = require('express');
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { MARKETPLACES } = require('./marketplaces');
+
+// A stand-in for the slice of eBay this app talks to — the Trading API calls in
+// modules/ebayApi.js plus the OAuth endpoints in ebayOAuth.js — backed by an
+// in-memory listing store. Point EBAY_BASE_URL at it to run the whole app
+// (server routes, scheduler, runAutomation) end to end without the sandbox.
+// Once the app subscribes with SetNotificationPreferences, the fake also pushes
+// signed Platform Notifications to it as listings go up, sell and close.
+
+const SELLER_USER_ID = 'fake_seller';
+const FIRST_ITEM_ID = 110000000001;
+const ACCESS_TOKEN_TTL_SECONDS = 7200;
+const REFRESH_TOKEN_TTL_SECONDS = 47304000; // 18 months, same as eBay's
+const NOTIFICATION_KEY_ID = 'fake-notification-key';
+const DAILY_CALL_LIMIT = 5000; // eBay's default for a new app
+
+const requestParser = new XMLParser({ ignoreAttributes: true, parseTagValue: false });
+const builder = new XMLBuilder({ format: true });
+const soapBuilder = new XMLBuilder({ format: true, ignoreAttributes: false });
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isoDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `P${days}DT${hours}H${minutes}M${seconds}S`;
+}
+
+// Keeps only the parts of `item` named by `paths` (already stripped of their
+// list/ItemArray prefix). Selecting a container keeps it whole; selecting a
+// leaf inside one keeps just that leaf — same as the real OutputSelector.
+function pickPaths(item, paths) {
+  const picked = {};
+  for (const path of paths) {
+    const segments = path.split('.');
+    let source = item;
+    let target = picked;
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (source?.[segment] === undefined) break;
+      if (i === segments.length - 1) {
+        target[segment] = source[segment];
+      } else {
+        target[segment] = target[segment] || {};
+        target = target[segment];
+        source = source[segment];
+      }
+    }
+  }
+  return picked;
+}
+
+function createFakeEbayStore({ listings = [], now = () => Date.now() } = {}) {
+  let nextItemId = FIRST_ITEM_ID;
+  let items = new Map();
+  let failures = [];
+  const calls = [];
+  // Kept across reset(), like the app that's listening.
+  const listeners = new Set();
+
+  function emit(eventType, item) {
+    listeners.forEach(listener => listener(eventType, item));
+  }
+
+  function addListing(fields) {
+    const itemId = String(fields.itemId || nextItemId++);
+    const startTime = fields.startTime ? new Date(fields.startTime).getTime() : now();
+    items.set(itemId, {
+      itemId,
+      title: fields.title || `Fake listing ${itemId}`,
+      description: fields.description || 'Fake listing description.',
+      categoryId: String(fields.categoryId || '29792'),
+      itemSpecifics: fields.itemSpecifics || { Brand: 'Unbranded' },
+      price: Number(fields.price ?? 9.99),
+      currency: fields.currency || 'USD',
+      country: fields.country || 'US',
+      site: fields.site || 'US',
+      conditionId: fields.conditionId || 1000,
+      quantity: Number(fields.quantity ?? 1),
+      quantitySold: Number(fields.quantitySold ?? 0),
+      views: Number(fields.views ?? 0),
+      watchCount: Number(fields.watchCount ?? 0),
+      sku: fields.sku,
+      postalCode: fields.postalCode || '95125',
+      location: fields.location,
+      pictureUrls: fields.pictureUrls || ['https://placehold.co/500x500.png'],
+      startTime,
+      endTime: fields.endTime ? new Date(fields.endTime).getTime() : startTime + (fields.daysLeft ?? 30) * 86400000,
+      status: fields.status || 'Active',
+      hideFromSearch: fields.hideFromSearch || null,
+      endDelayMs: Number(fields.endDelayMs ?? 0),
+      endRequestedAt: null,
+      relistedFrom: fields.relistedFrom || null,
+      raw: fields.raw || null
+    });
+    if (Number(itemId) >= nextItemId) nextItemId = Number(itemId) + 1;
+    return items.get(itemId);
+  }
+
+  // A buyer purchasing `quantity` of a listing; selling the last one ends it.
+  function sell(itemId, quantity = 1) {
+    const item = items.get(String(itemId));
+    if (!item || listingStatus(item) !== 'Active') return null;
+    item.quantitySold += quantity;
+    if (item.quantitySold >= item.quantity) {
+      item.status = 'Completed';
+      item.endTime = now();
+    }
+    emit('ItemSold', item);
+    return item;
+  }
+
+  // EndItem with endDelayMs set leaves the item reporting Active to GetItem for
+  // that long, reproducing the lag the reseller's waitUntilEnded polls through.
+  function listingStatus(item) {
+    if (item.status === 'Active' && item.endRequestedAt !== null && now() - item.endRequestedAt >= item.endDelayMs) {
+      item.status = 'Completed';
+      item.endTime = item.endRequestedAt + item.endDelayMs;
+    }
+    return item.status;
+  }
+
+  function reset({ listings: seed = [] } = {}) {
+    items = new Map();
+    failures = [];
+    calls.length = 0;
+    nextItemId = FIRST_ITEM_ID;
+    seed.forEach(addListing);
+  }
+
+  // Each injected failure makes the next matching call(s) come back Ack=Failure.
+  // `callName` and `itemId` narrow what it matches; `times` (default 1) is how
+  // many calls it applies to before it's used up. `httpStatus` fails at the
+  // HTTP level instead (e.g. a 503 from eBay's load balancer), and `delayMs`
+  // holds the response back first, for exercising timeouts.
+  function injectFailure({
+    callName, itemId, times = 1, code = '10007', message = 'Internal error to the application.', httpStatus = null, delayMs = 0
+  }) {
+    failures.push({
+      callName, itemId: itemId && String(itemId), remaining: times, code: String(code), message, httpStatus, delayMs: Number(delayMs)
+    });
+  }
+
+  function takeFailure(callName, itemId) {
+    const failure = failures.find(f =>
+      f.remaining > 0 && (!f.callName || f.callName === callName) && (!f.itemId || f.itemId === itemId)
+    );
+    if (!failure) return null;
+    failure.remaining--;
+    failures = failures.filter(f => f.remaining > 0);
+    return failure;
+  }
+
+  reset({ listings });
+
+  return {
+    items: () => [...items.values()],
+    getListing: (itemId) => items.get(String(itemId)),
+    addListing,
+    listingStatus,
+    sell,
+    reset,
+    emit,
+    onEvent: (listener) => listeners.add(listener),
+    injectFailure,
+    takeFailure,
+    calls,
+    now
+  };
+}
+
+function itemXmlFields(store, item, { detailed = false } = {}) {
+  const status = store.listingStatus(item);
+  const fields = {
+    ItemID: item.itemId,
+    Title: item.title,
+    Quantity: item.quantity,
+    HitCount: item.views,
+    WatchCount: item.watchCount,
+    TimeLeft: status === 'Active' ? isoDuration(item.endTime - store.now()) : 'PT0S',
+    ListingDetails: {
+      StartTime: new Date(item.startTime).toISOString(),
+      EndTime: new Date(item.endTime).toISOString()
+    },
+    SellingStatus: {
+      CurrentPrice: item.price,
+      QuantitySold: item.quantitySold,
+      ListingStatus: status
+    },
+    PrimaryCategory: { CategoryID: item.categoryId },
+    Site: item.site
+  };
+  if (item.sku) fields.SKU = item.sku;
+
+  if (detailed) {
+    Object.assign(fields, {
+      Description: item.description,
+      ItemSpecifics: {
+        NameValueList: Object.entries(item.itemSpecifics).map(([Name, Value]) => ({ Name, Value }))
+      },
+      StartPrice: item.price,
+      ConditionID: item.conditionId,
+      Country: item.country,
+      Currency: item.currency,
+      DispatchTimeMax: 3,
+      ListingDuration: 'GTC',
+      ListingType: 'FixedPriceItem',
+      PictureDetails: { PictureURL: item.pictureUrls },
+      PostalCode: item.postalCode,
+      ReturnPolicy: {
+        ReturnsAcceptedOption: 'ReturnsAccepted',
+        RefundOption: 'MoneyBack',
+        ReturnsWithinOption: 'Days_30',
+        ShippingCostPaidByOption: 'Buyer'
+      },
+      ShippingDetails: {
+        ShippingType: 'Flat',
+        ShippingServiceOptions: [{ ShippingServicePriority: 1, ShippingService: 'USPSPriority', ShippingServiceCost: 0 }]
+      },
+      HideFromSearch: item.hideFromSearch ? 'true' : 'false'
+    });
+    if (item.location) fields.Location = item.location;
+    if (item.hideFromSearch) fields.ReasonHideFromSearch = item.hideFromSearch;
+  }
+
+  return fields;
+}
+
+function ebayError(code, message) {
+  return { ShortMessage: message, LongMessage: message, ErrorCode: code, SeverityCode: 'Error', ErrorClassification: 'RequestError' };
+}
+
+class FakeEbayError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function requireItem(store, itemId) {
+  const item = store.getListing(itemId);
+  if (!item) throw new FakeEbayError('17', `Item "${itemId}" is invalid, not activated, or no longer in our database.`);
+  return item;
+}
+
+const tradingCalls = {
+  GetUser() {
+    return { User: { UserID: SELLER_USER_ID, Site: 'US' } };
+  },
+
+  // Usage is counted from the calls this fake has seen since midnight UTC.
+  GetApiAccessRules(store) {
+    const today = new Date(store.now()).toISOString().slice(0, 10);
+    const counts = {};
+    store.calls
+      .filter(call => new Date(call.at).toISOString().slice(0, 10) === today)
+      .forEach(call => { counts[call.callName] = (counts[call.callName] || 0) + 1; });
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+    const rule = (callName, usage) => ({
+      CallName: callName,
+      CountsTowardAggregate: 'true',
+      DailyHardLimit: DAILY_CALL_LIMIT,
+      DailySoftLimit: DAILY_CALL_LIMIT,
+      DailyUsage: usage,
+      HourlyHardLimit: DAILY_CALL_LIMIT,
+      HourlySoftLimit: DAILY_CALL_LIMIT,
+      HourlyUsage: usage,
+      RuleCurrentStatus: 'NotSet',
+      RuleStatus: 'RuleOn'
+    });
+    return {
+      ApiAccessRule: [
+        rule('ApplicationAggregate', total),
+        ...Object.keys(tradingCalls).filter(name => name !== 'GetApiAccessRules').map(name => rule(name, counts[name] || 0))
+      ]
+    };
+  },
+
+  GetMyeBaySelling(store, request) {
+    const listName = ['ActiveList', 'UnsoldList', 'SoldList'].find(name => request[name]);
+    const entriesPerPage = Number(request[listName]?.Pagination?.EntriesPerPage) || 200;
+    const pageNumber = Number(request[listName]?.Pagination?.PageNumber) || 1;
+
+    const matching = store.items().filter(item => {
+      const status = store.listingStatus(item);
+      if (listName === 'ActiveList') return status === 'Active';
+      if (listName === 'SoldList') return item.quantitySold > 0;
+      return status !== 'Active' && item.quantitySold === 0;
+    });
+
+    const totalPages = Math.max(1, Math.ceil(matching.length / entriesPerPage));
+    const page = matching.slice((pageNumber - 1) * entriesPerPage, pageNumber * entriesPerPage);
+    let list = {
+      ItemArray: { Item: page.map(item => itemXmlFields(store, item)) },
+      PaginationResult: { TotalNumberOfPages: totalPages, TotalNumberOfEntries: matching.length }
+    };
+
+    const selectors = asArray(request.OutputSelector).filter(s => s.startsWith(`${listName}.`));
+    if (selectors.length > 0) {
+      const itemPaths = selectors
+        .filter(s => s.startsWith(`${listName}.ItemArray.Item.`))
+        .map(s => s.slice(`${listName}.ItemArray.Item.`.length));
+      list = {
+        ItemArray: { Item: list.ItemArray.Item.map(item => pickPaths(item, itemPaths)) },
+        ...(selectors.includes(`${listName}.PaginationResult`) ? { PaginationResult: list.PaginationResult } : {})
+      };
+    }
+
+    return { [listName]: list };
+  },
+
+  GetItem(store, request) {
+    const item = requireItem(store, request.ItemID);
+    return { Item: itemXmlFields(store, item, { detailed: true }) };
+  },
+
+  EndItem(store, request) {
+    const item = requireItem(store, request.ItemID);
+    if (item.endRequestedAt !== null || store.listingStatus(item) !== 'Active') {
+      throw new FakeEbayError('1047', 'The auction has already been closed.');
+    }
+    item.endRequestedAt = store.now();
+    store.listingStatus(item);
+    store.emit('ItemClosed', item);
+    return { EndTime: new Date(store.now() + item.endDelayMs).toISOString() };
+  },
+
+  AddFixedPriceItem(store, request, app, siteId) {
+    const item = validateNewItem(store, request.Item, siteId);
+    const specifics = {};
+    asArray(item.ItemSpecifics?.NameValueList).forEach(nv => { specifics[nv.Name] = nv.Value; });
+
+    const listing = store.addListing({
+      title: item.Title,
+      description: item.Description,
+      categoryId: item.PrimaryCategory.CategoryID,
+      itemSpecifics: specifics,
+      price: Number(item.StartPrice),
+      currency: item.Currency,
+      country: item.Country,
+      site: item.Site,
+      conditionId: item.ConditionID,
+      quantity: Number(item.Quantity) || 1,
+      sku: item.SKU,
+      postalCode: item.PostalCode,
+      location: item.Location,
+      pictureUrls: asArray(item.PictureDetails?.PictureURL),
+      raw: item
+    });
+    store.emit('ItemListed', listing);
+
+    return {
+      ItemID: listing.itemId,
+      StartTime: new Date(listing.startTime).toISOString(),
+      EndTime: new Date(listing.endTime).toISOString(),
+      Fees: { Fee: [] }
+    };
+  },
+
+  VerifyAddFixedPriceItem(store, request, app, siteId) {
+    validateNewItem(store, request.Item, siteId);
+    return { ItemID: 0, Fees: { Fee: [] } };
+  },
+
+  SetNotificationPreferences(store, request, app) {
+    const delivery = request.ApplicationDeliveryPreferences;
+    if (delivery?.ApplicationURL) app.notificationPreferences.applicationUrl = delivery.ApplicationURL;
+    if (delivery?.ApplicationEnable) app.notificationPreferences.enabled = delivery.ApplicationEnable === 'Enable';
+    for (const entry of asArray(request.UserDeliveryPreferenceArray?.NotificationEnable)) {
+      if (entry.EventEnable === 'Enable') app.notificationPreferences.eventTypes.add(entry.EventType);
+      else app.notificationPreferences.eventTypes.delete(entry.EventType);
+    }
+    return {};
+  }
+};
+
+// Shared by AddFixedPriceItem and its Verify twin, which reject exactly the
+// same requests. The duplicate check mirrors eBay's duplicate-listing policy:
+// a fixed-price item can't go up while an identical one is still live, and
+// like eBay the fake only lists an item on the site the call was sent to.
+function validateNewItem(store, item = {}, siteId = 0) {
+  if (!item.Title) throw new FakeEbayError('37', 'Input data for tag <Item.Title> is invalid or missing.');
+  if (!item.PrimaryCategory?.CategoryID) throw new FakeEbayError('87', 'The category selected is not a leaf category.');
+
+  const site = Object.values(MARKETPLACES).find(marketplace => marketplace.siteId === siteId);
+  if (!site) throw new FakeEbayError('37', `Site ID ${siteId} isn't one the fake supports.`);
+  if (item.Site && item.Site !== site.site) {
+    throw new FakeEbayError('37', `Input data for tag <Item.Site> is invalid: the request was sent to site ${site.site}.`);
+  }
+  if (item.Currency && item.Currency !== site.currency) {
+    throw new FakeEbayError('37', `Input data for tag <Item.Currency> is invalid: site ${site.site} lists in ${site.currency}.`);
+  }
+
+  const duplicate = store.items().find(existing =>
+    store.listingStatus(existing) === 'Active' &&
+    existing.title.toLowerCase() === item.Title.toLowerCase() &&
+    (existing.sku ?? null) === (item.SKU ?? null)
+  );
+  if (duplicate) {
+    throw new FakeEbayError('21919067', `This Listing is a duplicate of your item: ${duplicate.title} (${duplicate.itemId}).`);
+  }
+  return item;
+}
+
+function tradingResponse(callName, fields) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build({
+    [`${callName}Response`]: { Timestamp: new Date().toISOString(), ...fields, Version: 1193 }
+  })}`;
+}
+
+// The SOAP envelope eBay POSTs for a Platform Notification: the item as
+// GetItem would return it, signed with the app's own keys as
+// base64(MD5(Timestamp + DevID + AppID + CertID)).
+function platformNotificationXml(store, eventType, item, credentials) {
+  const timestamp = new Date(store.now()).toISOString();
+  const signature = crypto.createHash('md5')
+    .update(`${timestamp}${credentials.devId}${credentials.appId}${credentials.certId}`)
+    .digest('base64');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${soapBuilder.build({
+    'soapenv:Envelope': {
+      '@_xmlns:soapenv': 'http://schemas.xmlsoap.org/soap/envelope/',
+      '@_xmlns:ebl': 'urn:ebay:apis:eBLBaseComponents',
+      'soapenv:Header': { 'ebl:RequesterCredentials': { 'ebl:NotificationSignature': signature } },
+      'soapenv:Body': {
+        GetItemResponse: {
+          '@_xmlns': 'urn:ebay:apis:eBLBaseComponents',
+          Timestamp: timestamp,
+          Ack: 'Success',
+          Version: 1193,
+          NotificationEventName: eventType,
+          RecipientUserID: SELLER_USER_ID,
+          Item: itemXmlFields(store, item)
+        }
+      }
+    }
+  })}`;
+}
+
+// `notificationCredentials` defaults to the same env vars the app checks
+// signatures with, so the two agree when run side by side.
+function createFakeEbayApp({
+  store = createFakeEbayStore(),
+  redirectUrl = 'http://localhost:3000/auth/ebay/callback',
+  notificationCredentials = null
+} = {}) {
+  const app = express();
+  const issuedAccessTokens = new Set();
+  const issuedRefreshTokens = new Set();
+  const issuedApplicationTokens = new Set();
+  const authorizationCodes = new Set();
+  const notificationKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  // Produces the X-EBAY-SIGNATURE header eBay would send with `body` (the
+  // exact bytes of the request body), signed with this fake's own key.
+  function signNotification(body) {
+    const signature = crypto.sign('sha1', Buffer.from(body), notificationKeys.privateKey).toString('base64');
+    const header = { alg: 'ECDSA', kid: NOTIFICATION_KEY_ID, signature, digest: 'SHA1' };
+    return Buffer.from(JSON.stringify(header)).toString('base64');
+  }
+
+  app.notificationPreferences = { applicationUrl: null, enabled: false, eventTypes: new Set() };
+  app.notificationDeliveries = [];
+
+  // Delivered in the background like eBay's, and recorded (with the app's
+  // response status) so a test can wait on them.
+  store.onEvent((eventType, item) => {
+    const { applicationUrl, enabled, eventTypes } = app.notificationPreferences;
+    if (!applicationUrl || !enabled || !eventTypes.has(eventType)) return;
+
+    const credentials = notificationCredentials || {
+      devId: process.env.EBAY_DEV_ID, appId: process.env.EBAY_CLIENT_ID, certId: process.env.EBAY_CLIENT_SECRET
+    };
+    const delivery = { eventType, itemId: item.itemId, status: null };
+    app.notificationDeliveries.push(delivery);
+    fetch(applicationUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${eventType}"` },
+      body: platformNotificationXml(store, eventType, item, credentials)
+    })
+      .then(res => { delivery.status = res.status; })
+      .catch(error => { delivery.status = `error: ${error.message}`; });
+  });
+
+  app.post('/ws/api.dll', express.text({ type: () => true }), async (req, res) => {
+    const callName = req.get('X-EBAY-API-CALL-NAME');
+    const token = req.get('X-EBAY-API-IAF-TOKEN');
+    const request = requestParser.parse(req.body || '')[`${callName}Request`] || {};
+    const itemId = request.ItemID !== undefined ? String(request.ItemID) : undefined;
+    const siteId = Number(req.get('X-EBAY-API-SITEID') ?? 0);
+    store.calls.push({ callName, itemId, at: store.now() });
+
+    res.type('text/xml');
+
+    const handler = tradingCalls[callName];
+    if (!handler) {
+      return res.send(tradingResponse(callName, { Ack: 'Failure', Errors: ebayError('2', `Unsupported API call "${callName}".`) }));
+    }
+    if (!issuedAccessTokens.has(token)) {
+      return res.send(tradingResponse(callName, { Ack: 'Failure', Errors: ebayError('21917053', 'Invalid access token.') }));
+    }
+
+    const failure = store.takeFailure(callName, itemId);
+    if (failure) {
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+      if (failure.httpStatus) return res.status(failure.httpStatus).type('text/html').send(`<html><body>${failure.message}</body></html>`);
+      return res.send(tradingResponse(callName, { Ack: 'Failure', Errors: ebayError(failure.code, failure.message) }));
+    }
+
+    try {
+      res.send(tradingResponse(callName, { Ack: 'Success', ...handler(store, request, app, siteId) }));
+    } catch (error) {
+      if (!(error instanceof FakeEbayError)) throw error;
+      res.send(tradingResponse(callName, { Ack: 'Failure', Errors: ebayError(error.code, error.message) }));
+    }
+  });
+
+  // Real eBay redirects to the URL registered against the RuName, not the
+  // RuName itself — so the fake needs its own idea of where "back" is.
+  app.get('/oauth2/authorize', (req, res) => {
+    const code = crypto.randomBytes(12).toString('hex');
+    authorizationCodes.add(code);
+    const params = new URLSearchParams({ code, state: req.query.state || '' });
+    res.redirect(`${redirectUrl}?${params}`);
+  });
+
+  app.post('/identity/v1/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+    const accessToken = `fake-access-${crypto.randomBytes(12).toString('hex')}`;
+
+    if (req.body.grant_type === 'authorization_code') {
+      if (!authorizationCodes.delete(req.body.code)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'the provided authorization grant code is invalid or was issued to another client' });
+      }
+      const refreshToken = `fake-refresh-${crypto.randomBytes(12).toString('hex')}`;
+      issuedAccessTokens.add(accessToken);
+      issuedRefreshTokens.add(refreshToken);
+      return res.json({
+        access_token: accessToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+        refresh_token: refreshToken,
+        refresh_token_expires_in: REFRESH_TOKEN_TTL_SECONDS,
+        token_type: 'User Access Token'
+      });
+    }
+
+    if (req.body.grant_type === 'refresh_token') {
+      if (!issuedRefreshTokens.has(req.body.refresh_token)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'the provided authorization refresh token is invalid or was issued to another client' });
+      }
+      issuedAccessTokens.add(accessToken);
+      return res.json({ access_token: accessToken, expires_in: ACCESS_TOKEN_TTL_SECONDS, token_type: 'User Access Token' });
+    }
+
+    if (req.body.grant_type === 'client_credentials') {
+      issuedApplicationTokens.add(accessToken);
+      return res.json({ access_token: accessToken, expires_in: ACCESS_TOKEN_TTL_SECONDS, token_type: 'Application Access Token' });
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `grant type ${req.body.grant_type} is not supported` });
+  });
+
+  // Like eBay's, the key comes back as PEM with its line breaks stripped.
+  app.get('/commerce/notification/v1/public_key/:kid', (req, res) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!issuedApplicationTokens.has(token)) {
+      return res.status(401).json({ errors: [{ errorId: 1001, message: 'Invalid access token' }] });
+    }
+    if (req.params.kid !== NOTIFICATION_KEY_ID) {
+      return res.status(404).json({ errors: [{ errorId: 195001, message: 'The specified key id is invalid.' }] });
+    }
+    const pem = notificationKeys.publicKey.export({ type: 'spki', format: 'pem' });
+    res.json({ algorithm: 'ECDSA', digest: 'SHA1', key: pem.replace(/\n/g, '') });
+  });
+
+  // Test-only control surface for seeding listings, scripting failures and
+  // inspecting what the app did. Not part of any real eBay API.
+  app.use('/__fake', express.json());
+
+  app.get('/__fake/listings', (req, res) => {
+    res.json({ listings: store.items().map(item => ({ ...item, status: store.listingStatus(item) })) });
+  });
+
+  app.post('/__fake/listings', (req, res) => {
+    const created = asArray(req.body.listings || req.body).map(store.addListing);
+    res.json({ listings: created });
+  });
+
+  // A buyer purchasing the listing, which ends it once none are left.
+  app.post('/__fake/listings/:itemId/sell', (req, res) => {
+    const item = store.sell(req.params.itemId, Number(req.body.quantity) || 1);
+    if (!item) return res.status(404).json({ error: 'not_active' });
+    res.json({ listing: item });
+  });
+
+  app.get('/__fake/platform-notifications', (req, res) => {
+    const { eventTypes, ...preferences } = app.notificationPreferences;
+    res.json({ preferences: { ...preferences, eventTypes: [...eventTypes] }, deliveries: app.notificationDeliveries });
+  });
+
+  app.post('/__fake/failures', (req, res) => {
+    asArray(req.body.failures || req.body).forEach(store.injectFailure);
+    res.json({ ok: true });
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    store.reset({ listings: asArray(req.body.listings) });
+    res.json({ ok: true });
+  });
+
+  app.get('/__fake/calls', (req, res) => {
+    res.json({ calls: store.calls });
+  });
+
+  // Lets a test grab a usable token without going through the browser
+  // redirect dance (e.g. for cli.js's EBAY_USER_TOKEN).
+  app.post('/__fake/token', (req, res) => {
+    const accessToken = `fake-access-${crypto.randomBytes(12).toString('hex')}`;
+    const refreshToken = `fake-refresh-${crypto.randomBytes(12).toString('hex')}`;
+    issuedAccessTokens.add(accessToken);
+    issuedRefreshTokens.add(refreshToken);
+    res.json({ accessToken, refreshToken });
+  });
+
+  // Revokes every refresh token issued so far (as a seller revoking the app's
+  // access, or 18 months passing would), so refreshes fail with invalid_grant.
+  // Access tokens already issued keep working until they'd expire, as on eBay.
+  app.post('/__fake/revoke-refresh-tokens', (req, res) => {
+    issuedRefreshTokens.clear();
+    res.json({ ok: true });
+  });
+
+  // Signs `body` (a string, sent byte for byte) the way eBay signs
+  // notifications, for scripting deletion notifications against the app.
+  app.post('/__fake/notification-signature', (req, res) => {
+    const body = typeof req.body.body === 'string' ? req.body.body : JSON.stringify(req.body.body);
+    res.json({ body, signature: signNotification(body) });
+  });
+
+  app.signNotification = signNotification;
+  return app;
+}
+
+module.exports = {
+  SELLER_USER_ID,
+  createFakeEbayStore,
+  createFakeEbayApp
+};
@@ -1,14 +1,86 @@
-const { matchesCriteria } = require('./ebayApi');
+const { findMatchingRule } = require('./rules');
+const { findProtection } = require('./protection');
+const { relistPriceFor } = require('./repricing');
+const { mapWithConcurrency } = require('./utils');
+const { mayHaveGoneThrough } = require('./ebayRequests');
 
-async function endLowTrafficListings(ebayClient, listings, itemLimit, brandName, searchCriteria = {}, { dryRun = false } = {}) {
+// What the listing looked like when it was judged, for explaining the
+// decision afterwards (views and days left change by the next run).
+function metricsOf(listing) {
+  return {
+    views: listing.views,
+    daysLeft: Math.round(listing.daysLeft * 10) / 10,
+    soldCount: listing.soldCount,
+    watchCount: listing.watchCount,
+    price: listing.price,
+    availableQuantity: listing.availableQuantity
+  };
+}
+
+function ebayErrorOf(error) {
+  return { message: error.message, codes: error.codes ?? [] };
+}
+
+// `onSkip(listing, reason)` hears about every matching listing this decided
+// not to end. Protected items are dropped before the item limit is applied, so
+// they never use up a slot that an unprotected match could have had.
+// Listings whose relist eBay would reject are skipped too, with eBay's error
+// as the reason. `onEnded(item)` is awaited right after each successful
+// EndItem, so the caller can record it durably before anything else has a
+// chance to go wrong. Up to `concurrency` listings are worked on at once.
+// `onProgress(type, data)` follows along: 'items_matched' once (protected
+// matches included), then for each match either 'item_skipped' (including the
+// skips onSkip doesn't hear about, e.g. items already ended) or 'item_checked'
+// once eBay's checks pass, then 'item_ended' — or 'item_skipped' after all, if
+// eBay refuses EndItem. An EndItem whose outcome is unknown (a timeout, a
+// dropped connection) counts as ended, so it's relisted or stranded rather
+// than forgotten. The first event for each item carries its metrics; skips
+// carry a `reasonCode` and, when eBay refused something, its `ebayError`.
+// `isCancelled()` is checked before each item and again right before its
+// EndItem; once it's true the remaining items are skipped as 'cancelled', and
+// only the items already ended are returned. What it's doing is narrated to
+// `logger`, the console unless the caller has somewhere better for it.
+async function endLowTrafficListings(ebayClient, listings, itemLimit, brandName, searchCriteria = {}, { dryRun = false, protectedItems = [], repricing, concurrency = 1, isCancelled = () => false, onSkip = () => {}, onEnded = async () => {}, onProgress = () => {}, logger = console } = {}) {
+  const now = Date.now();
+  const protectedMatches = [];
   const matches = listings
-    .filter(l => matchesCriteria(l, { ...searchCriteria, brandName }))
+    .map(listing => ({ listing, matchedRule: findMatchingRule(listing, { ...searchCriteria, brandName, now }) }))
+    .filter(m => m.matchedRule)
+    .filter(match => {
+      const protection = findProtection(match.listing, protectedItems);
+      if (protection) {
+        onSkip(match.listing, `protected (${protection})`);
+        protectedMatches.push({ ...match, protection });
+      }
+      return !protection;
+    })
     .slice(0, itemLimit);
 
-  console.log(`Found ${matches.length} matching listing(s) for ${brandName || 'all items'}.`);
+  logger.log(`Found ${matches.length} matching listing(s) for ${brandName || 'all items'}.`);
+  onProgress('items_matched', { count: matches.length + protectedMatches.length });
+
+  const skip = (listing, reasonCode, reason, { matchedRule, error } = {}) => onProgress('item_skipped', {
+    itemId: listing.itemId,
+    title: listing.title,
+    sku: listing.sku,
+    matchedRule,
+    reasonCode,
+    reason,
+    ...(error && { ebayError: ebayErrorOf(error) }),
+    metrics: metricsOf(listing)
+  });
+  for (const { listing, matchedRule, protection } of protectedMatches) {
+    skip(listing, 'protected', `protected (${protection})`, { matchedRule });
+  }
+
+  const cancelled = (listing, matchedRule) => {
+    if (!isCancelled()) return false;
+    skip(listing, 'cancelled', 'run cancelled before this item was ended', { matchedRule });
+    return true;
+  };
 
-  const endedItems = [];
-  for (const listing of matches) {
+  const results = await mapWithConcurrency(matches, concurrency, async ({ listing, matchedRule }) => {
+    if (cancelled(listing, matchedRule)) return null;
     try {
       // ponytail: fetchActiveListings can lag behind an item's real-time status
       // (e.g. eBay force-ends a listing for a VeRO/IP takedown after it was
@@ -16,25 +88,70 @@ async function endLowTrafficListings(ebayClient, listings, itemLimit, brandName,
       // trusting the list snapshot. Done even in dryRun so a preview accurately
       // reflects what a real run would skip.
       if (await ebayClient.isItemEnded(listing.itemId)) {
-        console.log(`Skipping ${listing.itemId} — already ended (likely by eBay itself since it was listed as active).`);
-        continue;
+        logger.log(`Skipping ${listing.itemId} — already ended (likely by eBay itself since it was listed as active).`);
+        skip(listing, 'already_ended', 'already ended', { matchedRule });
+        return null;
       }
 
       const hiddenReason = await ebayClient.getHideFromSearchReason(listing.itemId);
       if (hiddenReason) {
-        console.log(`Skipping ${listing.itemId} — hidden from search (${hiddenReason}); ending/reselling it won't help.`);
-        continue;
+        logger.log(`Skipping ${listing.itemId} — hidden from search (${hiddenReason}); ending/reselling it won't help.`);
+        skip(listing, 'hidden_from_search', `hidden from search (${hiddenReason})`, { matchedRule });
+        return null;
+      }
+
+      // Ending an item whose copy eBay won't take just strands it, so verify
+      // the exact relist (markdown included) first. Part of dryRun too, for
+      // the same reason as the checks above.
+      const relistPrice = relistPriceFor(listing.price, repricing);
+      try {
+        await ebayClient.verifyRelist(listing.itemId, { startPrice: relistPrice });
+      } catch (error) {
+        logger.log(`Skipping ${listing.itemId} — eBay would reject the relist: ${error.message}`);
+        onSkip(listing, `eBay would reject the relist: ${error.message}`);
+        skip(listing, 'relist_rejected', `eBay would reject the relist: ${error.message}`, { matchedRule, error });
+        return null;
       }
+      onProgress('item_checked', {
+        itemId: listing.itemId, title: listing.title, sku: listing.sku, matchedRule, metrics: metricsOf(listing)
+      });
 
-      if (!dryRun) await ebayClient.endItem(listing.itemId);
-      console.log(`${dryRun ? '(preview) would end' : '✓ Ended'} ${listing.itemId} — "${listing.title}"`);
-      endedItems.push({ itemId: listing.itemId, title: listing.title });
+      if (cancelled(listing, matchedRule)) return null;
+      const item = { itemId: listing.itemId, title: listing.title, sku: listing.sku, price: listing.price, relistPrice, startTime: listing.startTime, matchedRule, marketplace: listing.marketplace };
+      let outcome = dryRun ? '(preview) would end' : '✓ Ended';
+      if (!dryRun) {
+        try {
+          await ebayClient.endItem(listing.itemId);
+        } catch (error) {
+          // An EndItem that timed out or hit a server error may well have
+          // ended the item, so it's treated as ended: the reseller checks
+          // with eBay and relists it, or strands it if it never ends.
+          if (!mayHaveGoneThrough(error)) throw error;
+          logger.error(`EndItem for ${listing.itemId} failed, but may have gone through:`, error.message);
+          outcome = '? May have ended';
+        }
+      }
+      logger.log(`${outcome} ${listing.itemId} — "${listing.title}" (matched ${matchedRule})`);
+      onProgress('item_ended', { itemId: listing.itemId, title: listing.title, matchedRule });
+
+      if (!dryRun) {
+        try {
+          await onEnded(item);
+        } catch (error) {
+          logger.error(`Failed to record end of ${listing.itemId}:`, error.message);
+        }
+      }
+      return item;
     } catch (error) {
-      console.error(`Error ending item ${listing.itemId}:`, error.message);
+      logger.error(`Error ending item ${listing.itemId}:`, error.message);
+      // Only failures that left the item live get here — eBay refused
+      // EndItem outright, or a check before it failed.
+      skip(listing, 'end_failed', `couldn't be ended: ${error.message}`, { matchedRule, error });
+      return null;
     }
-  }
+  });
 
-  return endedItems;
+  return results.filter(Boolean);
 }
 
 module.exports = {
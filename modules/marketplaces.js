@@ -0,0 +1,45 @@
+// The eBay sites a seller can run the automation on. `site` is the Trading
+// API's SiteCodeType (what an item's <Site> says), `siteId` the numeric
+// X-EBAY-API-SITEID header its calls have to carry, and `domain` where its
+// listings are viewed.
+const MARKETPLACES = {
+  EBAY_US: { siteId: 0, site: 'US', currency: 'USD', country: 'US', domain: 'www.ebay.com' },
+  EBAY_GB: { siteId: 3, site: 'UK', currency: 'GBP', country: 'GB', domain: 'www.ebay.co.uk' },
+  EBAY_DE: { siteId: 77, site: 'Germany', currency: 'EUR', country: 'DE', domain: 'www.ebay.de' },
+  EBAY_AU: { siteId: 15, site: 'Australia', currency: 'AUD', country: 'AU', domain: 'www.ebay.com.au' }
+};
+
+const DEFAULT_MARKETPLACE = 'EBAY_US';
+
+function getMarketplace(id) {
+  const marketplace = MARKETPLACES[id];
+  if (!marketplace) throw new Error(`Unknown eBay marketplace "${id}"`);
+  return { id, ...marketplace };
+}
+
+// The marketplace an item's <Site> belongs to, or null for a site this app
+// doesn't support.
+function marketplaceForSite(site) {
+  return Object.keys(MARKETPLACES).find(id => MARKETPLACES[id].site === site) ?? null;
+}
+
+// Why a copy of `item` (a GetItem response) can't be listed on `marketplace`
+// as-is, or null. eBay rejects these too, but only after the original has
+// been looked up and priced; catching them here gives a clearer reason.
+function siteProblem(item, marketplace) {
+  if (item.Site && item.Site !== marketplace.site) {
+    return `item is listed on eBay ${item.Site}, not eBay ${marketplace.site}`;
+  }
+  if (item.Currency && item.Currency !== marketplace.currency) {
+    return `item is priced in ${item.Currency}, but eBay ${marketplace.site} lists in ${marketplace.currency}`;
+  }
+  return null;
+}
+
+module.exports = {
+  MARKETPLACES,
+  DEFAULT_MARKETPLACE,
+  getMarketplace,
+  marketplaceForSite,
+  siteProblem
+};
@@ -0,0 +1,22 @@
+const { matchesTitlePattern } = require('./titlePatterns');
+
+// A protected-items entry can name a listing several ways at once. Protecting
+// an item by ID stores its SKU and title too (looked up from eBay if not
+// given — see server.js's withListingDetails), so if the seller later ends
+// and relists it by hand under a new item ID, the SKU/title still match and
+// it stays protected.
+function findProtection(listing, protectedItems = []) {
+  const title = (listing.title || '').toLowerCase();
+
+  for (const entry of protectedItems) {
+    if (entry.item_id && entry.item_id === listing.itemId) return `item ${entry.item_id}`;
+    if (entry.sku && listing.sku && entry.sku === listing.sku) return `SKU ${entry.sku}`;
+    if (entry.title && entry.title.toLowerCase() === title) return `title "${entry.title}"`;
+    if (entry.title_pattern && matchesTitlePattern(entry.title_pattern, listing.title)) {
+      return `title pattern /${entry.title_pattern}/`;
+    }
+  }
+  return null;
+}
+
+module.exports = { findProtection };
@@ -0,0 +1,150 @@
+// Turns one row per relisted item (see analytics.js) into the numbers the
+// analytics view charts: did relisting help, for which brands, and how many
+// relists in does it stop helping.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each bucket holds values up to and including its `max`.
+const TIME_TO_SALE_BUCKETS = [
+  { max: 1, label: 'within a day' },
+  { max: 3, label: '1–3 days' },
+  { max: 7, label: '3–7 days' },
+  { max: 14, label: '1–2 weeks' },
+  { max: 30, label: '2–4 weeks' },
+  { max: Infinity, label: 'over 30 days' }
+];
+const VIEWS_BEFORE_BUCKETS = [
+  { max: 0, label: '0 views' },
+  { max: 5, label: '1–5 views' },
+  { max: 20, label: '6–20 views' },
+  { max: 50, label: '21–50 views' },
+  { max: Infinity, label: 'over 50 views' }
+];
+const DAYS_LEFT_BEFORE_BUCKETS = [
+  { max: 3, label: 'up to 3 days' },
+  { max: 7, label: '3–7 days' },
+  { max: 15, label: '7–15 days' },
+  { max: 30, label: '15–30 days' },
+  { max: Infinity, label: 'over 30 days' }
+];
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+const round = (n, places = 2) => (n === null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+// Views per day over a listing's life up to its snapshot. Under a day old
+// counts as a day, so a fresh listing with a handful of views doesn't read as
+// hundreds per day.
+function perDay(count, from, to) {
+  if (count === null || !from || !to) return null;
+  return count / Math.max(1, daysBetween(from, to));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function average(values) {
+  return values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function bucketOf(buckets, value) {
+  return buckets.find(bucket => value <= bucket.max);
+}
+
+// One relisted item's before/after comparison. "Before" is the listing it
+// replaced, as last seen (i.e. by the run that ended it); "after" is the
+// relist as last seen. An item sold once eBay told us so, or once a snapshot
+// shows it selling.
+function compareItem(row) {
+  const soldAt = row.sold_at ?? row.first_sale_seen_at ?? null;
+  return {
+    itemId: row.item_id,
+    previousItemId: row.previous_item_id,
+    title: row.title,
+    brand: row.brand,
+    generation: row.generation,
+    relistedAt: row.listed_at,
+    viewsBefore: row.views_before,
+    daysLeftBefore: row.days_left_before === null ? null : Number(row.days_left_before),
+    viewsAfter: row.views_after,
+    viewsPerDayBefore: round(perDay(row.views_before, row.previous_listed_at, row.before_taken_at)),
+    viewsPerDayAfter: round(perDay(row.views_after, row.listed_at, row.after_taken_at)),
+    soldBefore: row.sold_before,
+    soldAfter: row.sold_after,
+    sold: soldAt !== null,
+    soldAt,
+    daysToSale: soldAt === null ? null : round(daysBetween(row.listed_at, soldAt), 1)
+  };
+}
+
+function sellThrough(items) {
+  const sold = items.filter(item => item.sold);
+  return {
+    relisted: items.length,
+    sold: sold.length,
+    sellThroughRate: items.length === 0 ? null : round(sold.length / items.length, 3),
+    medianDaysToSale: round(median(sold.map(item => item.daysToSale)), 1)
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function summarizeRelists(rows) {
+  const items = rows.map(compareItem);
+  const compared = items.filter(item => item.viewsPerDayBefore !== null && item.viewsPerDayAfter !== null);
+  const sold = items.filter(item => item.sold);
+
+  const byBrand = [...groupBy(items, item => item.brand ?? '').entries()]
+    .map(([brand, group]) => ({ brand, ...sellThrough(group) }))
+    .sort((a, b) => b.relisted - a.relisted);
+
+  const byGeneration = [...groupBy(items, item => item.generation).entries()]
+    .map(([generation, group]) => ({ generation, ...sellThrough(group) }))
+    .sort((a, b) => a.generation - b.generation);
+
+  // Where the item stood when it was ended, on the two numbers max_views and
+  // days_left_threshold are compared against, against how the relist went.
+  const byBucket = (buckets, valueOf) => {
+    const groups = groupBy(items.filter(item => valueOf(item) !== null), item => bucketOf(buckets, valueOf(item)));
+    return buckets.map(bucket => ({ bucket: bucket.label, ...sellThrough(groups.get(bucket) ?? []) }));
+  };
+  const byViewsBefore = byBucket(VIEWS_BEFORE_BUCKETS, item => item.viewsBefore);
+  const byDaysLeftBefore = byBucket(DAYS_LEFT_BEFORE_BUCKETS, item => item.daysLeftBefore);
+
+  const saleTimes = groupBy(sold, item => bucketOf(TIME_TO_SALE_BUCKETS, item.daysToSale));
+  const timeToSale = {
+    medianDays: round(median(sold.map(item => item.daysToSale)), 1),
+    averageDays: round(average(sold.map(item => item.daysToSale)), 1),
+    buckets: TIME_TO_SALE_BUCKETS.map(bucket => ({ bucket: bucket.label, count: saleTimes.get(bucket)?.length ?? 0 }))
+  };
+
+  return {
+    summary: {
+      ...sellThrough(items),
+      compared: compared.length,
+      viewsPerDayBefore: round(average(compared.map(item => item.viewsPerDayBefore))),
+      viewsPerDayAfter: round(average(compared.map(item => item.viewsPerDayAfter)))
+    },
+    byBrand,
+    byGeneration,
+    byViewsBefore,
+    byDaysLeftBefore,
+    timeToSale,
+    items
+  };
+}
+
+module.exports = {
+  summarizeRelists
+};
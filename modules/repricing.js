@@ -0,0 +1,59 @@
+const ROUNDING_ENDINGS = { none: null, 99: 0.99, 95: 0.95 };
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// Largest price ending in `ending` (e.g. .99) that's <= cents, or the smallest
+// one >= cents when `up` is set. Works in cents throughout to dodge float drift.
+function roundToEnding(cents, ending, { up = false } = {}) {
+  const endingCents = toCents(ending);
+  let candidate = Math.floor(cents / 100) * 100 + endingCents;
+  if (up) {
+    if (candidate < cents) candidate += 100;
+  } else if (candidate > cents) {
+    candidate -= 100;
+  }
+  return candidate;
+}
+
+// One relist cycle's markdown: a percentage or fixed drop off the current
+// price, snapped to a .99/.95 ending, never below `floor` and never above the
+// price it started from (a floor higher than the current price just means
+// "leave it alone"). Returns the price unchanged when repricing is off.
+function applyMarkdown(price, { mode = 'off', amount = 0, floor = 0, rounding = 'none' } = {}) {
+  const priceCents = toCents(Number(price));
+  if (mode === 'off' || !Number.isFinite(priceCents) || priceCents <= 0) return Number(price);
+
+  const dropCents = mode === 'percent'
+    ? Math.round(priceCents * Number(amount) / 100)
+    : toCents(Number(amount));
+  const floorCents = toCents(Number(floor) || 0);
+  const ending = ROUNDING_ENDINGS[rounding] ?? null;
+
+  let cents = Math.max(priceCents - dropCents, floorCents);
+  if (ending !== null) {
+    cents = roundToEnding(cents, ending);
+    if (cents < floorCents) cents = roundToEnding(floorCents, ending, { up: true });
+  }
+  cents = Math.min(Math.max(cents, 1), priceCents);
+
+  return cents / 100;
+}
+
+function isRepricingEnabled(repricing) {
+  return Boolean(repricing) && repricing.mode !== 'off';
+}
+
+// The price a relist of this listing goes up at, or undefined to keep
+// whatever the old listing had.
+function relistPriceFor(price, repricing) {
+  return isRepricingEnabled(repricing) && price > 0 ? applyMarkdown(price, repricing) : undefined;
+}
+
+module.exports = {
+  ROUNDING_ENDINGS,
+  applyMarkdown,
+  isRepricingEnabled,
+  relistPriceFor
+};
@@ -1,39 +1,105 @@
-const { waitForDelay } = require('./utils');
+const { waitForDelay, mapWithConcurrency } = require('./utils');
 
 const POLL_INTERVAL_MS = 5000;
-const MAX_POLL_ATTEMPTS = 24; // ~2 minutes per item, well above the ~15s lag observed in practice
-
-async function waitUntilEnded(ebayClient, itemId) {
-  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-    if (await ebayClient.isItemEnded(itemId)) return true;
-    await waitForDelay(POLL_INTERVAL_MS);
-  }
-  return false;
-}
+const MAX_POLL_ATTEMPTS = 24; // ~2 minutes, well above the ~15s lag observed in practice
 
 // Resells exactly the items this run ended — not "whatever's in UnsoldList", which
 // also contains every historically-ended-unsold item (including ones already
-// resold earlier) and would otherwise get reprocessed forever.
-async function resellEndedListings(ebayClient, endedItems) {
-  console.log(`Reselling ${endedItems.length} item(s) just ended.`);
+// resold earlier) and would otherwise get reprocessed forever. `onRelisted` is
+// called with each successful relist (the web app uses it to extend the
+// item's lineage); a failure there is logged but doesn't undo the relist.
+// `onStranded` gets every item that was ended but couldn't be relisted, with
+// the reason — the item is already gone from eBay at that point, so the caller
+// has to keep track of it for a later retry. Each item goes up at its
+// `relistPrice`, settled (and verified with eBay) when it was ended.
+//
+// eBay takes a few seconds to report an ended item as ended, so the items are
+// polled as a batch: each round checks every item still waiting (up to
+// `concurrency` at a time), relists the ones that have ended, and only then
+// sleeps — rather than waiting out each item's lag one after another.
+// Cancelling a run doesn't stop this: every item passed in is already gone
+// from eBay, so it's relisted (or stranded) regardless — the run stops after.
+// `onProgress(type, data)` hears 'item_relisted' or 'item_stranded' per item;
+// the latter with a `reasonCode` and, when eBay refused something, its
+// `ebayError`. Progress is narrated to `logger`, as endLowTrafficListings does.
+async function resellEndedListings(ebayClient, endedItems, { onRelisted, onStranded, onProgress = () => {}, concurrency = 1, logger = console } = {}) {
+  logger.log(`Reselling ${endedItems.length} item(s) just ended.`);
 
   const resold = [];
-  for (const { itemId, title } of endedItems) {
-    try {
-      const ended = await waitUntilEnded(ebayClient, itemId);
-      if (!ended) {
-        console.error(`Timed out waiting for ${itemId} to end — skipping.`);
-        continue;
+  const stranded = [];
+
+  async function strand(item, reasonCode, error) {
+    const message = typeof error === 'string' ? error : error.message;
+    logger.error(`Error reselling item ${item.itemId}:`, message);
+    const strandedItem = { ...item, error: message };
+    stranded.push(strandedItem);
+    onProgress('item_stranded', {
+      itemId: item.itemId,
+      title: item.title,
+      reasonCode,
+      reason: message,
+      ...(typeof error !== 'string' && { ebayError: { message, codes: error.codes ?? [] } })
+    });
+    if (onStranded) {
+      try {
+        await onStranded(strandedItem);
+      } catch (hookError) {
+        logger.error(`Failed to record stranded item ${item.itemId}:`, hookError.message);
       }
-      const newItemId = await ebayClient.sellSimilarItem(itemId);
-      console.log(`✓ Sold similar for ${itemId} → ${newItemId}`);
-      resold.push({ oldItemId: itemId, newItemId, title });
+    }
+  }
+
+  async function relist(item) {
+    const { itemId, title, sku, price, startTime, relistPrice: newPrice } = item;
+
+    let newItemId;
+    try {
+      newItemId = await ebayClient.sellSimilarItem(itemId, { startPrice: newPrice });
     } catch (error) {
-      console.error(`Error reselling item ${itemId}:`, error.message);
+      await strand(item, 'relist_failed', error);
+      return;
+    }
+
+    // The SKU rides along so the copy can be protected by it from the run's
+    // results, and stays protected through later relists.
+    const record = newPrice === undefined
+      ? { oldItemId: itemId, newItemId, title, sku }
+      : { oldItemId: itemId, newItemId, title, sku, oldPrice: price, newPrice };
+    logger.log(`✓ Sold similar for ${itemId} → ${newItemId}${newPrice === undefined ? '' : ` at ${newPrice} (was ${price})`}`);
+    resold.push(record);
+    onProgress('item_relisted', { itemId, title, newItemId, newPrice });
+
+    if (onRelisted) {
+      try {
+        await onRelisted({ ...record, oldStartTime: startTime });
+      } catch (error) {
+        logger.error(`Failed to record relist of ${itemId}:`, error.message);
+      }
     }
   }
 
-  return resold;
+  let waiting = endedItems;
+  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS && waiting.length > 0; attempt++) {
+    if (attempt > 0) await waitForDelay(POLL_INTERVAL_MS);
+
+    const stillActive = [];
+    await mapWithConcurrency(waiting, concurrency, async (item) => {
+      let ended;
+      try {
+        ended = await ebayClient.isItemEnded(item.itemId, { fresh: true });
+      } catch (error) {
+        await strand(item, 'status_check_failed', error);
+        return;
+      }
+      if (ended) await relist(item);
+      else stillActive.push(item);
+    });
+    waiting = stillActive;
+  }
+
+  for (const item of waiting) await strand(item, 'end_timeout', 'Timed out waiting for the item to end');
+
+  return { resold, stranded };
 }
 
 module.exports = {
@@ -0,0 +1,167 @@
+const { matchesCriteria } = require('./ebayApi');
+const { validateTitlePattern, matchesTitlePattern } = require('./titlePatterns');
+
+// A rule set is a list of named rules; a listing is a candidate for ending if
+// any one of them matches, and the first that does is reported back (so
+// preview can say *why* an item was picked). Each rule's `when` is a condition
+// tree — `{ all: [...] }`, `{ any: [...] }` and `{ not: ... }` combine leaf
+// conditions on a single listing field:
+//
+//   { field: 'views', min: 0, max: 3 }          (any NUMERIC_FIELDS entry)
+//   { field: 'title', pattern: 'nike|adidas' }  (case-insensitive regex; see titlePatterns.js)
+//   { field: 'categoryId', in: ['29792'] }
+//   { field: 'sku', prefix: 'SHOE-' }
+
+const NUMERIC_FIELDS = {
+  views: listing => listing.views,
+  daysLeft: listing => listing.daysLeft,
+  soldCount: listing => listing.soldCount,
+  watchCount: listing => listing.watchCount,
+  price: listing => listing.price,
+  quantity: listing => listing.availableQuantity,
+  listingAgeDays: (listing, now) => listing.startTime ? (now - new Date(listing.startTime).getTime()) / 86400000 : null
+};
+
+const MAX_RULES = 20;
+const MAX_DEPTH = 6;
+
+function evaluateCondition(condition, listing, now) {
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, listing, now));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, listing, now));
+  if (condition.not) return !evaluateCondition(condition.not, listing, now);
+
+  if (condition.field === 'title') return matchesTitlePattern(condition.pattern, listing.title);
+  if (condition.field === 'categoryId') return condition.in.map(String).includes(String(listing.categoryId ?? ''));
+  if (condition.field === 'sku') return Boolean(listing.sku) && listing.sku.startsWith(condition.prefix);
+
+  const value = NUMERIC_FIELDS[condition.field](listing, now);
+  if (value === null || value === undefined) return false;
+  if (condition.min !== undefined && value < condition.min) return false;
+  if (condition.max !== undefined && value > condition.max) return false;
+  return true;
+}
+
+// What the automation actually asks: which rule (if any) says to end this
+// listing? With no rules configured it falls back to the classic thresholds,
+// which a keyword can override via `keywordThresholds`. Rules replace the
+// thresholds outright once there are any — keyword overrides included, since
+// they only adjust thresholds — and the rules editor says so. A listing with
+// nothing left to sell is never a candidate, whatever the rules say.
+function findMatchingRule(listing, { brandName, rules = [], keywordThresholds = {}, now = Date.now(), ...thresholds } = {}) {
+  if (brandName && !listing.title?.toLowerCase().includes(brandName.toLowerCase())) return null;
+  if (listing.availableQuantity <= 0) return null;
+
+  if (rules.length === 0) {
+    const overrides = brandName && Object.hasOwn(keywordThresholds, brandName) ? keywordThresholds[brandName] : null;
+    const criteria = { ...thresholds, ...overrides };
+    if (!matchesCriteria(listing, criteria)) return null;
+    return overrides ? `"${brandName}" thresholds` : 'default thresholds';
+  }
+
+  const rule = rules.find(r => evaluateCondition(r.when, listing, now));
+  return rule ? rule.name : null;
+}
+
+function validateCondition(condition, path, depth, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push({ path, message: 'must be a condition object' });
+    return;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push({ path, message: `nests deeper than ${MAX_DEPTH} levels` });
+    return;
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+        errors.push({ path: `${path}.${combinator}`, message: 'must be a non-empty list of conditions' });
+        return;
+      }
+      condition[combinator].forEach((c, i) => validateCondition(c, `${path}.${combinator}[${i}]`, depth + 1, errors));
+      return;
+    }
+  }
+  if ('not' in condition) {
+    validateCondition(condition.not, `${path}.not`, depth + 1, errors);
+    return;
+  }
+
+  const { field } = condition;
+  if (field === 'title') {
+    errors.push(...validateTitlePattern(condition.pattern, `${path}.pattern`));
+  } else if (field === 'categoryId') {
+    if (!Array.isArray(condition.in) || condition.in.length === 0 || !condition.in.every(id => /^\d+$/.test(String(id)))) {
+      errors.push({ path: `${path}.in`, message: 'must be a non-empty list of numeric category IDs' });
+    }
+  } else if (field === 'sku') {
+    if (typeof condition.prefix !== 'string' || !condition.prefix) {
+      errors.push({ path: `${path}.prefix`, message: 'must be a non-empty string' });
+    }
+  } else if (field in NUMERIC_FIELDS) {
+    const { min, max } = condition;
+    if (min === undefined && max === undefined) {
+      errors.push({ path, message: 'needs a min, a max, or both' });
+    }
+    for (const [key, value] of [['min', min], ['max', max]]) {
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+        errors.push({ path: `${path}.${key}`, message: 'must be a number' });
+      }
+    }
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      errors.push({ path, message: 'min is greater than max' });
+    }
+  } else {
+    errors.push({ path: `${path}.field`, message: `unknown field "${field}"` });
+  }
+}
+
+// Returns a list of { path, message } problems; empty means the rule set is
+// safe to store and evaluate.
+function validateRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules)) return [{ path: 'rules', message: 'must be a list' }];
+  if (rules.length > MAX_RULES) errors.push({ path: 'rules', message: `at most ${MAX_RULES} rules allowed` });
+
+  const names = new Set();
+  rules.forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (typeof rule?.name !== 'string' || !rule.name.trim()) {
+      errors.push({ path: `${path}.name`, message: 'is required' });
+    } else if (names.has(rule.name.trim())) {
+      errors.push({ path: `${path}.name`, message: `duplicates another rule's name "${rule.name}"` });
+    } else {
+      names.add(rule.name.trim());
+    }
+    validateCondition(rule?.when, `${path}.when`, 1, errors);
+  });
+  return errors;
+}
+
+const THRESHOLD_KEYS = ['maxViews', 'daysLeftThreshold', 'maxSoldCount'];
+
+function validateKeywordThresholds(keywordThresholds) {
+  const errors = [];
+  if (!keywordThresholds || typeof keywordThresholds !== 'object' || Array.isArray(keywordThresholds)) {
+    return [{ path: 'keyword_thresholds', message: 'must be an object keyed by keyword' }];
+  }
+  for (const [keyword, overrides] of Object.entries(keywordThresholds)) {
+    for (const [key, value] of Object.entries(overrides || {})) {
+      const path = `keyword_thresholds.${keyword}.${key}`;
+      if (!THRESHOLD_KEYS.includes(key)) errors.push({ path, message: 'is not a threshold' });
+      else if (!Number.isInteger(value) || value < (key === 'daysLeftThreshold' ? 1 : 0)) {
+        errors.push({ path, message: `must be a whole number, ${key === 'daysLeftThreshold' ? 1 : 0} or more` });
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  NUMERIC_FIELDS,
+  THRESHOLD_KEYS,
+  evaluateCondition,
+  findMatchingRule,
+  validateRules,
+  validateKeywordThresholds
+};
@@ -0,0 +1,154 @@
+const { CronExpressionParser } = require('cron-parser');
+
+// A client's schedule is either every `hours` hours or a five-field cron
+// expression read in `timezone` (never both), minus any `blackouts`: inclusive
+// { start, end } date ranges, also in `timezone`, during which nothing runs.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_CRON_GAP_MS = HOUR_MS; // same floor as the smallest interval schedule
+const MAX_BLACKOUTS = 50;
+const MAX_BLACKOUT_DAYS = 366;
+const MAX_STEPS = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function scheduleFromClient(client) {
+  return {
+    hours: client.schedule_hours,
+    cron: client.schedule_cron,
+    timezone: client.schedule_timezone,
+    blackouts: client.schedule_blackouts
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The calendar day `date` falls on in `timezone`, as YYYY-MM-DD — which
+// compares correctly as a plain string against blackout dates.
+function localDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function findBlackout(date, { timezone, blackouts = [] }) {
+  const day = localDate(date, timezone);
+  return blackouts.find(blackout => blackout.start <= day && day <= blackout.end) || null;
+}
+
+// Midnight at the start of the day after the blackout's last day, found by
+// walking local midnights so DST changes don't throw it off by an hour.
+function blackoutEnd(blackout, timezone, from) {
+  const midnights = CronExpressionParser.parse('0 0 * * *', { currentDate: from, tz: timezone });
+  let midnight;
+  do {
+    midnight = midnights.next().toDate();
+  } while (localDate(midnight, timezone) <= blackout.end);
+  return midnight;
+}
+
+function nextCandidate({ hours, cron, timezone }, after) {
+  if (cron) return CronExpressionParser.parse(cron, { currentDate: after, tz: timezone }).next().toDate();
+  return new Date(after.getTime() + hours * HOUR_MS);
+}
+
+// The next `count` run times after `from`. A candidate that lands in a
+// blackout moves the search past it: a cron schedule resumes at its first
+// time after the blackout, an interval schedule right as the blackout ends.
+function upcomingRunTimes(schedule, { from = new Date(), count = 1 } = {}) {
+  if (!schedule.cron && !(schedule.hours > 0)) return [];
+
+  const times = [];
+  let cursor = from;
+  for (let steps = 0; times.length < count && steps < MAX_STEPS; steps++) {
+    const time = nextCandidate(schedule, cursor);
+    const blackout = findBlackout(time, schedule);
+    if (!blackout) {
+      times.push(time);
+      cursor = time;
+      continue;
+    }
+    // Back the cursor off so nextCandidate's own step lands exactly on the
+    // blackout's end (interval) or on the first cron time at or after it.
+    const resume = blackoutEnd(blackout, schedule.timezone, time);
+    cursor = new Date(resume.getTime() - (schedule.cron ? 1 : schedule.hours * HOUR_MS));
+  }
+  return times;
+}
+
+function nextRunAt(schedule, from = new Date()) {
+  return upcomingRunTimes(schedule, { from, count: 1 })[0] || null;
+}
+
+function validateCron(cron, timezone, errors) {
+  if (typeof cron !== 'string' || cron.trim().split(/\s+/).length !== 5) {
+    errors.push({ path: 'cron', message: 'must have five fields: minute hour day-of-month month day-of-week' });
+    return;
+  }
+
+  let times;
+  try {
+    const expression = CronExpressionParser.parse(cron, { tz: isValidTimezone(timezone) ? timezone : 'UTC' });
+    times = Array.from({ length: 24 }, () => expression.next().toDate());
+  } catch (error) {
+    errors.push({ path: 'cron', message: error.message });
+    return;
+  }
+
+  if (times.some((time, i) => i > 0 && time - times[i - 1] < MIN_CRON_GAP_MS)) {
+    errors.push({ path: 'cron', message: 'runs more often than once an hour' });
+  }
+}
+
+function validateSchedule({ hours, cron, timezone, blackouts }) {
+  const errors = [];
+
+  if (!Number.isInteger(hours) || hours < 0) {
+    errors.push({ path: 'hours', message: 'must be a whole number of hours, or 0' });
+  }
+  if (cron !== null) {
+    validateCron(cron, timezone, errors);
+    if (hours > 0) errors.push({ path: 'cron', message: "can't be combined with an hourly interval" });
+  }
+  if (!isValidTimezone(timezone)) {
+    errors.push({ path: 'timezone', message: `"${timezone}" is not a known IANA timezone` });
+  }
+
+  if (!Array.isArray(blackouts)) {
+    errors.push({ path: 'blackouts', message: 'must be a list' });
+    return errors;
+  }
+  if (blackouts.length > MAX_BLACKOUTS) {
+    errors.push({ path: 'blackouts', message: `can have at most ${MAX_BLACKOUTS} entries` });
+  }
+  blackouts.forEach((blackout, i) => {
+    const path = `blackouts[${i}]`;
+    for (const key of ['start', 'end']) {
+      const value = blackout?.[key];
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        errors.push({ path: `${path}.${key}`, message: 'must be a date (YYYY-MM-DD)' });
+      }
+    }
+    if (blackout?.start > blackout?.end) errors.push({ path, message: 'ends before it starts' });
+    if (Date.parse(blackout?.end) - Date.parse(blackout?.start) >= MAX_BLACKOUT_DAYS * 24 * HOUR_MS) {
+      errors.push({ path, message: `can't be longer than ${MAX_BLACKOUT_DAYS} days — turn the schedule off instead` });
+    }
+    if (blackout?.label !== undefined && typeof blackout.label !== 'string') {
+      errors.push({ path: `${path}.label`, message: 'must be text' });
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  scheduleFromClient,
+  findBlackout,
+  upcomingRunTimes,
+  nextRunAt,
+  validateSchedule
+};
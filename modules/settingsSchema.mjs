@@ -0,0 +1,104 @@
+// The settings form's rules, in one place for both sides: the dashboard
+// checks a form with them before saving so problems show next to the field,
+// and the settings route checks again because the form isn't the only
+// client. Values that break a rule are refused rather than clamped or
+// defaulted, so what's saved is always what the seller typed.
+//
+// An ES module because the dashboard's bundler needs one; the server loads it
+// with require(), which Node supports for synchronous ES modules from 22.12
+// (hence the engines range in package.json).
+
+// A typo'd item limit ends that many live listings in one go. Stores that
+// really do need more than this get there with more frequent runs.
+export const MAX_ITEM_LIMIT = 200;
+export const MAX_KEYWORDS = 50;
+// Good 'Til Cancelled listings renew every 30 days, so no listing ever has
+// more days left than this; a higher threshold would match every listing.
+export const MAX_DAYS_LEFT = 30;
+export const REPRICE_MODES = ['off', 'percent', 'fixed'];
+export const REPRICE_ROUNDINGS = ['none', '99', '95'];
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Form inputs arrive as strings and API callers send numbers; both are fine
+// as long as they're wholly a number.
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+function wholeNumber(value, path, min, max, errors) {
+  const number = toNumber(value);
+  if (isBlank(value)) errors.push({ path, message: 'is required' });
+  else if (!Number.isInteger(number)) errors.push({ path, message: 'must be a whole number' });
+  else if (number < min || number > max) errors.push({ path, message: `must be between ${min} and ${max}` });
+  return number;
+}
+
+function amount(value, path, errors) {
+  const number = toNumber(value);
+  if (isBlank(value)) errors.push({ path, message: 'is required' });
+  else if (!Number.isFinite(number) || number < 0) errors.push({ path, message: 'must be 0 or more' });
+  else if (Math.abs(Math.round(number * 100) - number * 100) > 1e-6) {
+    errors.push({ path, message: "can't have more than 2 decimal places" });
+  }
+  return number;
+}
+
+export function parseKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split(',');
+  return list.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+// Checks a settings form (or API body) and returns { settings, errors }:
+// the values ready to save, and { path, message } for each field that's
+// wrong, like validateSchedule's. `marketplaceIds` are the ones the caller
+// knows about. Markdown amount, floor and rounding only matter with
+// markdowns on, so they're left out of `settings` (and left as they were)
+// when they're off. Marketplaces are likewise left out when not sent.
+export function validateSettings(form, { marketplaceIds }) {
+  const errors = [];
+  const settings = {
+    item_limit: wholeNumber(form.item_limit, 'item_limit', 1, MAX_ITEM_LIMIT, errors),
+    keywords: parseKeywords(form.keywords),
+    days_left_threshold: wholeNumber(form.days_left_threshold, 'days_left_threshold', 1, MAX_DAYS_LEFT, errors),
+    max_views: wholeNumber(form.max_views, 'max_views', 0, Number.MAX_SAFE_INTEGER, errors),
+    max_sold_count: wholeNumber(form.max_sold_count, 'max_sold_count', 0, Number.MAX_SAFE_INTEGER, errors),
+    reprice_mode: form.reprice_mode ?? 'off'
+  };
+
+  if (settings.keywords.length > MAX_KEYWORDS) {
+    errors.push({ path: 'keywords', message: `can have at most ${MAX_KEYWORDS} keywords` });
+  }
+
+  if (!REPRICE_MODES.includes(settings.reprice_mode)) {
+    errors.push({ path: 'reprice_mode', message: `must be one of: ${REPRICE_MODES.join(', ')}` });
+  } else if (settings.reprice_mode !== 'off') {
+    settings.reprice_amount = amount(form.reprice_amount, 'reprice_amount', errors);
+    settings.reprice_floor = amount(form.reprice_floor, 'reprice_floor', errors);
+    settings.reprice_rounding = String(form.reprice_rounding ?? 'none');
+    if (settings.reprice_amount === 0) {
+      errors.push({ path: 'reprice_amount', message: 'must be more than 0 — or turn markdowns off' });
+    }
+    if (settings.reprice_mode === 'percent' && settings.reprice_amount >= 100) {
+      errors.push({ path: 'reprice_amount', message: 'must be less than 100%, or every price drops to the floor' });
+    }
+    if (!REPRICE_ROUNDINGS.includes(settings.reprice_rounding)) {
+      errors.push({ path: 'reprice_rounding', message: `must be one of: ${REPRICE_ROUNDINGS.join(', ')}` });
+    }
+  }
+
+  if (form.marketplaces !== undefined) {
+    settings.marketplaces = Array.isArray(form.marketplaces) ? [...new Set(form.marketplaces)] : [];
+    const unknown = settings.marketplaces.filter(id => !marketplaceIds.includes(id));
+    if (unknown.length > 0) {
+      errors.push({ path: 'marketplaces', message: `${unknown.join(', ')} isn't a supported marketplace` });
+    } else if (settings.marketplaces.length === 0) {
+      errors.push({ path: 'marketplaces', message: `must include at least one of: ${marketplaceIds.join(', ')}` });
+    }
+  }
+
+  return { settings, errors };
+}
@@ -0,0 +1,41 @@
+const { RE2JS } = require('re2js');
+
+// Title patterns (rule conditions, protected items) are regexes sellers type
+// in, and they're run on the shared worker against every listing — so one
+// that backtracks catastrophically, like (a+)+$, would stall every seller's
+// runs, not just its author's. They're matched with RE2 instead of
+// JavaScript's engine: it runs in time linear in the title whatever the
+// pattern, at the cost of backreferences and lookarounds, which it refuses.
+
+const MAX_PATTERN_LENGTH = 200;
+
+function compileTitlePattern(pattern) {
+  return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+}
+
+// Returns { path, message } problems with a title pattern, like
+// validateRules does.
+function validateTitlePattern(pattern, path) {
+  if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+    return [{ path, message: `must be a regex of 1-${MAX_PATTERN_LENGTH} characters` }];
+  }
+  try {
+    compileTitlePattern(pattern);
+  } catch (error) {
+    return [{ path, message: `is not a valid regex (${error.message.replace(/^error parsing regexp: /, '')})` }];
+  }
+  return [];
+}
+
+// Whether `title` matches `pattern`, case-insensitively. Patterns saved before
+// they were matched with RE2 may use syntax it refuses; those match nothing.
+function matchesTitlePattern(pattern, title) {
+  if (validateTitlePattern(pattern, 'pattern').length > 0) return false;
+  return compileTitlePattern(pattern).matcher(title || '').find();
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  validateTitlePattern,
+  matchesTitlePattern
+};
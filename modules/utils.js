@@ -13,14 +13,32 @@ function loadEnv() {
   });
 }
 
-async function waitForDelay(milliseconds, message = '') {
+async function waitForDelay(milliseconds, message = '', logger = console) {
   if (message) {
-    console.log(message);
+    logger.log(message);
   }
   await new Promise(resolve => setTimeout(resolve, milliseconds));
 }
 
+// Like Promise.all(items.map(fn)), but with at most `limit` calls to `fn` in
+// flight at once. Results come back in the same order as `items`.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 module.exports = {
   loadEnv,
-  waitForDelay
+  waitForDelay,
+  mapWithConcurrency
 };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { pool } = require('./db');
+const { marketplaceForSite } = require('./modules/marketplaces');
+
+// eBay Platform Notifications: once a seller is subscribed (on connect, via
+// SetNotificationPreferences), eBay POSTs a SOAP envelope to
+// EBAY_PLATFORM_NOTIFICATION_URL whenever one of their listings goes up, sells
+// or closes. Each becomes a listing_events row, so the app learns about sales
+// without waiting for the next run to poll GetMyeBaySelling. Requires
+// EBAY_DEV_ID (with EBAY_CLIENT_ID and EBAY_CLIENT_SECRET as the app and cert
+// IDs) to check each notification's signature.
+
+const EVENT_TYPES = ['ItemListed', 'ItemSold', 'ItemClosed'];
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000; // eBay's suggested window for the signature timestamp
+
+// Everything is kept as strings: item IDs and SKUs must survive intact, and
+// the signature covers the Timestamp exactly as sent.
+const parser = new XMLParser({ ignoreAttributes: true, removeNSPrefix: true, parseTagValue: false });
+
+// eBay's NotificationSignature is base64(MD5(Timestamp + DevID + AppID + CertID)).
+function notificationSignature(timestamp) {
+  return crypto.createHash('md5')
+    .update(`${timestamp}${process.env.EBAY_DEV_ID}${process.env.EBAY_CLIENT_ID}${process.env.EBAY_CLIENT_SECRET}`)
+    .digest('base64');
+}
+
+// Returns the notification, or null for anything that isn't one.
+function parseNotification(xml) {
+  let envelope;
+  try {
+    envelope = parser.parse(xml || '').Envelope;
+  } catch {
+    return null;
+  }
+  // The body holds a single <...Response> element — GetItemResponse for all
+  // the events subscribed to here.
+  const response = Object.values(envelope?.Body || {})[0];
+  if (!response?.NotificationEventName) return null;
+
+  const item = response.Item || {};
+  return {
+    eventType: response.NotificationEventName,
+    timestamp: response.Timestamp,
+    signature: envelope.Header?.RequesterCredentials?.NotificationSignature,
+    recipientUserId: response.RecipientUserID,
+    item: {
+      itemId: item.ItemID ? String(item.ItemID) : null,
+      title: item.Title || null,
+      sku: item.SKU || null,
+      price: item.SellingStatus?.CurrentPrice ? Number(item.SellingStatus.CurrentPrice) : null,
+      quantitySold: item.SellingStatus?.QuantitySold ? Number(item.SellingStatus.QuantitySold) : null,
+      marketplace: item.Site ? marketplaceForSite(item.Site) : null
+    }
+  };
+}
+
+// Returns why the notification can't be trusted, or null if it can.
+function verificationProblem(notification, now = Date.now()) {
+  if (!process.env.EBAY_DEV_ID) return 'EBAY_DEV_ID is not set';
+  if (!notification.signature || !notification.timestamp) return 'missing signature or timestamp';
+
+  const expected = Buffer.from(notificationSignature(notification.timestamp));
+  const actual = Buffer.from(String(notification.signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'signature mismatch';
+
+  const sentAt = Date.parse(notification.timestamp);
+  if (Number.isNaN(sentAt) || Math.abs(now - sentAt) > MAX_CLOCK_SKEW_MS) return 'timestamp outside the allowed window';
+  return null;
+}
+
+// Records the event and, for a sale, credits it to the item's lineage when the
+// item is one the automation relisted. Returns the stored event, or null when
+// it's for a seller who isn't connected or is a redelivery of one already
+// stored.
+async function recordListingEvent(notification) {
+  const { eventType, timestamp, recipientUserId, item } = notification;
+  if (!EVENT_TYPES.includes(eventType) || !item.itemId) return null;
+
+  const { rows: [client] } = await pool.query('SELECT id FROM clients WHERE ebay_user_id = $1', [recipientUserId]);
+  if (!client) return null;
+
+  const { rows: [lineageItem] } = await pool.query(
+    'SELECT lineage_id, generation FROM lineage_items WHERE client_id = $1 AND item_id = $2',
+    [client.id, item.itemId]
+  );
+
+  const { rows: [event] } = await pool.query(
+    `INSERT INTO listing_events (client_id, event_type, item_id, title, sku, price, quantity_sold, lineage_id, generation, event_at, marketplace)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (client_id, event_type, item_id, event_at) DO NOTHING
+     RETURNING *`,
+    [client.id, eventType, item.itemId, item.title, item.sku, item.price, item.quantitySold,
+      lineageItem?.lineage_id ?? null, lineageItem?.generation ?? null, timestamp, item.marketplace]
+  );
+  if (!event) return null;
+
+  // Only a sale on a relist (generation > 0) is something the automation
+  // can take credit for; a sale on the original would have happened anyway.
+  if (eventType === 'ItemSold' && lineageItem?.generation > 0) {
+    await pool.query(
+      `UPDATE listing_lineages SET sold_at = $2, sold_item_id = $3, sold_price = $4
+       WHERE id = $1 AND sold_at IS NULL`,
+      [lineageItem.lineage_id, timestamp, item.itemId, item.price]
+    );
+  }
+  return event;
+}
+
+// Best-effort: a seller whose subscription fails still works, just without
+// push updates, so the error is logged rather than failing their connect.
+async function subscribeClient(ebayClient, clientId) {
+  const url = process.env.EBAY_PLATFORM_NOTIFICATION_URL;
+  if (!url) return;
+  try {
+    await ebayClient.setNotificationPreferences(url, EVENT_TYPES);
+    await pool.query('UPDATE clients SET notifications_subscribed_at = now() WHERE id = $1', [clientId]);
+  } catch (error) {
+    console.error(`Failed to subscribe client ${clientId} to platform notifications:`, error.message);
+  }
+}
+
+async function listListingEvents(clientId, { limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, event_type, item_id, title, price, quantity_sold, generation, event_at, marketplace
+     FROM listing_events WHERE client_id = $1 ORDER BY event_at DESC, id DESC LIMIT $2`,
+    [clientId, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  notificationSignature,
+  parseNotification,
+  verificationProblem,
+  recordListingEvent,
+  subscribeClient,
+  listListingEvents
+};
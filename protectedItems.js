@@ -0,0 +1,46 @@
+const { pool } = require('./db');
+const { validateTitlePattern } = require('./modules/titlePatterns');
+
+async function listProtectedItems(clientId) {
+  const { rows } = await pool.query(
+    'SELECT id, item_id, sku, title, title_pattern, created_at FROM protected_items WHERE client_id = $1 ORDER BY created_at DESC',
+    [clientId]
+  );
+  return rows;
+}
+
+// Returns { error } instead of throwing for bad input, so the route can pass
+// the message straight back to the form.
+async function addProtectedItem(clientId, { item_id: itemId, sku, title, title_pattern: titlePattern }) {
+  const entry = {
+    itemId: itemId ? String(itemId).trim() : null,
+    sku: sku ? String(sku).trim() : null,
+    title: title ? String(title).trim() : null,
+    titlePattern: titlePattern ? String(titlePattern).trim() : null
+  };
+  if (!entry.itemId && !entry.sku && !entry.title && !entry.titlePattern) {
+    return { error: 'Give an item ID, SKU, title or title pattern to protect.' };
+  }
+  if (entry.titlePattern) {
+    const [problem] = validateTitlePattern(entry.titlePattern, 'title_pattern');
+    if (problem) return { error: `Title pattern ${problem.message}.` };
+  }
+
+  const { rows: [item] } = await pool.query(
+    `INSERT INTO protected_items (client_id, item_id, sku, title, title_pattern) VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, item_id, sku, title, title_pattern, created_at`,
+    [clientId, entry.itemId, entry.sku, entry.title, entry.titlePattern]
+  );
+  return { item };
+}
+
+async function removeProtectedItem(clientId, id) {
+  const { rowCount } = await pool.query('DELETE FROM protected_items WHERE id = $1 AND client_id = $2', [id, clientId]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  listProtectedItems,
+  addProtectedItem,
+  removeProtectedItem
+};
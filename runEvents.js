@@ -0,0 +1,78 @@
+const { pool } = require('./db');
+
+// A run's progress events and log lines are written as the run goes, not just
+// when it finishes: the dashboard streams the events live, and a worker that
+// dies mid-run still leaves behind everything up to that point.
+
+const FLUSH_DELAY_MS = 500;
+
+// Buffers events and log lines and writes them in batches, at most one write
+// in flight at a time so they land in order. flush() resolves once
+// everything recorded so far is stored; call it before finishing the run.
+function createRunRecorder(runId) {
+  let events = [];
+  let lines = [];
+  let timer = null;
+  let writing = Promise.resolve();
+
+  async function write(batchEvents, batchLines) {
+    if (batchEvents.length > 0) {
+      await pool.query(
+        `INSERT INTO run_events (run_id, type, data)
+         SELECT $1, e->>'type', e FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS batch (e, n) ORDER BY n`,
+        [runId, JSON.stringify(batchEvents)]
+      );
+    }
+    // Only while the run is still going — finishRun writes the complete log,
+    // and a late batch mustn't append to it twice.
+    if (batchLines.length > 0) {
+      await pool.query(
+        `UPDATE runs SET log = log || CASE WHEN log = '' THEN '' ELSE E'\\n' END || $2
+         WHERE id = $1 AND status = 'running'`,
+        [runId, batchLines.join('\n')]
+      );
+    }
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batchEvents = events;
+    const batchLines = lines;
+    events = [];
+    lines = [];
+    writing = writing
+      .then(() => write(batchEvents, batchLines))
+      .catch(error => console.error(`[run ${runId}] Failed to save progress:`, error.message));
+    return writing;
+  }
+
+  function scheduleFlush() {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  return {
+    event(event) {
+      events.push(event);
+      scheduleFlush();
+    },
+    log(line) {
+      lines.push(line);
+      scheduleFlush();
+    },
+    flush
+  };
+}
+
+async function runEventsAfter(runId, afterId = 0) {
+  const { rows } = await pool.query(
+    'SELECT id, data FROM run_events WHERE run_id = $1 AND id > $2 ORDER BY id',
+    [runId, afterId]
+  );
+  return rows;
+}
+
+module.exports = {
+  createRunRecorder,
+  runEventsAfter
+};
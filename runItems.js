@@ -0,0 +1,86 @@
+const { pool } = require('./db');
+
+// Per-item outcomes of a run, kept as rows so the dashboard can show (and
+// filter) why each listing was or wasn't touched without parsing the log.
+
+const OUTCOMES = ['skipped', 'checked', 'ended', 'relisted', 'stranded'];
+
+// The progress events that say something about an item, and the decision
+// each one leaves it at. item_checked only means "passed eBay's checks", so
+// the row exists (with its metrics) in case the run dies before item_ended.
+const DECISIONS = {
+  item_skipped: 'skipped',
+  item_checked: 'checked',
+  item_ended: 'ended',
+  item_relisted: 'relisted',
+  item_stranded: 'stranded'
+};
+
+async function upsert(runId, clientId, event) {
+  await pool.query(
+    `INSERT INTO run_items
+       (run_id, client_id, brand, item_id, title, sku, metrics, matched_rule, decision, reason_code, reason, ebay_error, new_item_id, marketplace)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     ON CONFLICT (run_id, brand, item_id) DO UPDATE SET
+       title = COALESCE(EXCLUDED.title, run_items.title),
+       sku = COALESCE(EXCLUDED.sku, run_items.sku),
+       metrics = COALESCE(EXCLUDED.metrics, run_items.metrics),
+       matched_rule = COALESCE(EXCLUDED.matched_rule, run_items.matched_rule),
+       decision = EXCLUDED.decision,
+       reason_code = COALESCE(EXCLUDED.reason_code, run_items.reason_code),
+       reason = COALESCE(EXCLUDED.reason, run_items.reason),
+       ebay_error = COALESCE(EXCLUDED.ebay_error, run_items.ebay_error),
+       new_item_id = COALESCE(EXCLUDED.new_item_id, run_items.new_item_id),
+       updated_at = now()`,
+    [
+      runId,
+      clientId,
+      event.brand ?? '',
+      event.itemId,
+      event.title ?? null,
+      event.sku ?? null,
+      event.metrics ? JSON.stringify(event.metrics) : null,
+      event.matchedRule ?? null,
+      DECISIONS[event.type],
+      event.reasonCode ?? null,
+      event.reason ?? null,
+      event.ebayError ? JSON.stringify(event.ebayError) : null,
+      event.newItemId ?? null,
+      event.marketplace ?? null
+    ]
+  );
+}
+
+// Takes the same events as the run's progress recorder. Writes go one at a
+// time so an item's later events never land before its first; flush()
+// resolves once everything recorded so far is stored.
+function createRunItemsRecorder(runId, clientId) {
+  let writing = Promise.resolve();
+
+  return {
+    event(event) {
+      if (!DECISIONS[event.type]) return;
+      writing = writing
+        .then(() => upsert(runId, clientId, event))
+        .catch(error => console.error(`[run ${runId}] Failed to save outcome of ${event.itemId}:`, error.message));
+    },
+    flush: () => writing
+  };
+}
+
+async function listRunItems(clientId, runId, { outcome } = {}) {
+  const { rows } = await pool.query(
+    `SELECT item_id, brand, marketplace, title, sku, metrics, matched_rule, decision, reason_code, reason, ebay_error, new_item_id, updated_at
+     FROM run_items
+     WHERE client_id = $1 AND run_id = $2 AND ($3::text IS NULL OR decision = $3)
+     ORDER BY id`,
+    [clientId, runId, outcome ?? null]
+  );
+  return rows;
+}
+
+module.exports = {
+  OUTCOMES,
+  createRunItemsRecorder,
+  listRunItems
+};
@@ -0,0 +1,176 @@
+const { pool } = require('./db');
+const { scheduleFromClient, findBlackout, nextRunAt } = require('./modules/schedule');
+
+// Runs are the queue: a `runs` row starts out 'queued', a worker claims it
+// (FOR UPDATE SKIP LOCKED, so concurrent workers never grab the same row) and
+// holds a lease on it that it keeps extending with heartbeats while the run is
+// in progress. A row stuck in 'running' with an expired lease means the worker
+// holding it died mid-run.
+const LEASE_SECONDS = 120;
+
+// Relies on the runs_one_active_per_client partial unique index — a client
+// with a queued or running run already gets null back instead of a second one.
+async function enqueueRun(clientId, { trigger = 'manual' } = {}, db = pool) {
+  const { rows: [run] } = await db.query(
+    `INSERT INTO runs (client_id, status, trigger) VALUES ($1, 'queued', $2)
+     ON CONFLICT (client_id) WHERE status IN ('queued', 'running') DO NOTHING
+     RETURNING id, status, started_at`,
+    [clientId, trigger]
+  );
+  return run || null;
+}
+
+async function claimNextRun(workerId) {
+  const { rows: [run] } = await pool.query(
+    `UPDATE runs SET status = 'running', worker_id = $1, started_at = now(), heartbeat_at = now(),
+       lease_expires_at = now() + ($2 || ' seconds')::interval, attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM runs WHERE status = 'queued' ORDER BY id FOR UPDATE SKIP LOCKED LIMIT 1
+     )
+     RETURNING id, client_id, trigger`,
+    [workerId, LEASE_SECONDS]
+  );
+  return run || null;
+}
+
+// Returns false once the lease has been taken away (the run was recovered as
+// stale by another instance), so the caller can tell it no longer owns it.
+// A run an admin has failed keeps its lease only until it runs out, so a
+// worker that's wedged rather than winding down gives it up as stale.
+async function heartbeat(runId, workerId) {
+  const { rowCount } = await pool.query(
+    `UPDATE runs SET heartbeat_at = now(),
+       lease_expires_at = CASE WHEN fail_note IS NULL THEN now() + ($3 || ' seconds')::interval ELSE lease_expires_at END
+     WHERE id = $1 AND worker_id = $2 AND status = 'running'`,
+    [runId, workerId, LEASE_SECONDS]
+  );
+  return rowCount > 0;
+}
+
+// Only a run this worker still holds is finished: one recovered as stale in
+// the meantime keeps its "failed", and its unfinished items have already been
+// stranded and its channels notified. A run an admin failed is recorded as
+// failed whatever its outcome, with the admin's note. Returns whether it was.
+async function finishRun(runId, workerId, { status, log, result }) {
+  const { rowCount } = await pool.query(
+    `UPDATE runs SET status = CASE WHEN fail_note IS NULL THEN $3 ELSE 'failed' END,
+       log = $4 || CASE WHEN fail_note IS NULL THEN '' ELSE E'\\n' || fail_note END,
+       result = COALESCE($5, result), finished_at = now(), lease_expires_at = NULL
+     WHERE id = $1 AND worker_id = $2 AND status = 'running'`,
+    [runId, workerId, status, log, result ? JSON.stringify(result) : null]
+  );
+  return rowCount > 0;
+}
+
+// A queued run is cancelled on the spot. A running one is only flagged: the
+// worker notices between items, relists whatever it has already ended and
+// then finishes the run as 'cancelled' itself. Returns null when the run isn't
+// this client's or has already finished.
+async function requestCancel(runId, clientId) {
+  const { rows: [run] } = await pool.query(
+    `UPDATE runs SET cancel_requested_at = COALESCE(cancel_requested_at, now()),
+       status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+       finished_at = CASE WHEN status = 'queued' THEN now() ELSE finished_at END
+     WHERE id = $1 AND client_id = $2 AND status IN ('queued', 'running')
+     RETURNING id, status`,
+    [runId, clientId]
+  );
+  return run || null;
+}
+
+async function isCancelRequested(runId) {
+  const { rows: [run] } = await pool.query('SELECT cancel_requested_at FROM runs WHERE id = $1', [runId]);
+  return Boolean(run?.cancel_requested_at);
+}
+
+// For a run that's stuck without having gone stale — its worker still
+// heartbeats but makes no progress. A queued run is failed on the spot. A
+// running one stays 'running', and keeps its store from starting another,
+// until its worker has stopped: it's asked to cancel, which it does between
+// items (relisting whatever it had already ended) before finishing the run as
+// failed; if it never does, its lease is no longer renewed and the run is
+// recovered as stale. Returns null when the run isn't queued or running.
+async function failRun(runId, note) {
+  const { rows: [run] } = await pool.query(
+    `UPDATE runs SET fail_note = $2, cancel_requested_at = COALESCE(cancel_requested_at, now()),
+       status = CASE WHEN status = 'queued' THEN 'failed' ELSE status END,
+       finished_at = CASE WHEN status = 'queued' THEN now() ELSE finished_at END,
+       log = log || CASE WHEN log = '' THEN '' ELSE E'\\n' END || $2
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING id, client_id, status`,
+    [runId, note]
+  );
+  return run || null;
+}
+
+// A stale run can't safely be retried from scratch — it may already have
+// ended some listings, which then wouldn't show up in ActiveList again to be
+// relisted — so it's failed with a note instead of requeued.
+async function recoverStaleRuns() {
+  const { rows } = await pool.query(
+    `UPDATE runs SET status = 'failed', finished_at = now(), lease_expires_at = NULL,
+       log = log || CASE WHEN log = '' THEN '' ELSE E'\\n' END || 'Run abandoned: worker ' || COALESCE(worker_id, 'unknown') || ' stopped heartbeating.'
+     WHERE status = 'running' AND (lease_expires_at IS NULL OR lease_expires_at < now())
+     RETURNING id, client_id`
+  );
+  for (const run of rows) {
+    console.log(`Marked stale run ${run.id} (client ${run.client_id}) as failed.`);
+  }
+  return rows;
+}
+
+// "Simple interval" scheduling: next_run_at is just "now + schedule_hours,"
+// recomputed each time a scheduled run fires (or settings are saved) — no
+// time-of-day/timezone logic. Due clients are locked FOR UPDATE SKIP LOCKED and
+// next_run_at is advanced in the same transaction, so when several app
+// instances tick at once each due client is picked up by exactly one of them.
+// Clients who need to reconnect their eBay account are skipped until they do,
+// and ones an admin paused until they're resumed.
+async function checkScheduledRuns() {
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const { rows: dueClients } = await db.query(
+      `SELECT id, schedule_hours, schedule_cron, schedule_timezone, schedule_blackouts FROM clients
+       WHERE (schedule_hours > 0 OR schedule_cron IS NOT NULL) AND next_run_at <= now() AND reauth_required_at IS NULL
+         AND schedule_paused_at IS NULL
+       FOR UPDATE SKIP LOCKED`
+    );
+
+    for (const client of dueClients) {
+      const schedule = scheduleFromClient(client);
+      const now = new Date();
+
+      // next_run_at is computed to avoid blackouts, but one added or moved
+      // since then can still cover a run that was already due.
+      const blackout = findBlackout(now, schedule);
+      if (blackout) {
+        console.log(`Scheduled run for client ${client.id} skipped — blackout ${blackout.start} to ${blackout.end}.`);
+      } else {
+        const run = await enqueueRun(client.id, { trigger: 'schedule' }, db);
+        if (!run) console.log(`Scheduled run for client ${client.id} skipped — already queued or running.`);
+      }
+
+      await db.query('UPDATE clients SET next_run_at = $1 WHERE id = $2', [nextRunAt(schedule, now), client.id]);
+    }
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+module.exports = {
+  LEASE_SECONDS,
+  enqueueRun,
+  claimNextRun,
+  heartbeat,
+  finishRun,
+  requestCancel,
+  isCancelRequested,
+  failRun,
+  recoverStaleRuns,
+  checkScheduledRuns
+};
@@ -7,10 +7,39 @@ const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 
 const { pool, migrate } = require('./db');
-const { encrypt, decrypt } = require('./crypto');
+const { SignatureError, createSignatureVerifier } = require('./ebaySignature');
 const ebayOAuth = require('./ebayOAuth');
+const { ReauthRequiredError, saveGrant } = require('./tokens');
+const {
+  hasRole, createUser, authenticate, findUser, listStores, membershipFor, connectTarget, storeConnectProblem,
+  attachStore, listMembers, setMemberRole, removeMember, createInvitation, listInvitations, revokeInvitation,
+  findInvitation, acceptInvitation
+} = require('./accounts');
+const { getAccessRules, usageToday } = require('./apiUsage');
+const { runEventsAfter } = require('./runEvents');
+const { OUTCOMES, listRunItems } = require('./runItems');
+const { relistAnalytics } = require('./analytics');
+const { recordAudit, listAudit, saveSettingsAudited, restoreSettings } = require('./audit');
+const {
+  isAdminEnabled, adminPasswordMatches, listClientsOverview, forceFailRun, setSchedulePaused
+} = require('./admin');
 const { createEbayClient } = require('./modules/ebayApi');
+const { MARKETPLACES } = require('./modules/marketplaces');
 const { runAutomation } = require('./modules/automation');
+const { enqueueRun, requestCancel, checkScheduledRuns } = require('./runQueue');
+const { ebayClientFor, ebayClientsFor, loadAutomationSettings, retryStrandedItem, startWorker } = require('./worker');
+const { validateSettings } = require('./modules/settingsSchema.mjs');
+const { validateRules, validateKeywordThresholds } = require('./modules/rules');
+const { upcomingRunTimes, nextRunAt, validateSchedule } = require('./modules/schedule');
+const { backfillLineages, listLineages, findLineage } = require('./lineage');
+const { listProtectedItems, addProtectedItem, removeProtectedItem } = require('./protectedItems');
+const { listStrandedItems, claimStrandedItem, dismissStrandedItem } = require('./strandedItems');
+const {
+  isEmailAvailable, listChannels, addChannel, removeChannel, listDeliveries, sendTestNotification, notifyRunFinished
+} = require('./notifications');
+const {
+  parseNotification, verificationProblem, recordListingEvent, subscribeClient, listListingEvents
+} = require('./platformNotifications');
 
 const REQUIRED_ENV_VARS = [
   'DATABASE_URL', 'SESSION_SECRET', 'APP_ENCRYPTION_KEY',
@@ -29,20 +58,61 @@ app.set('view engine', 'ejs');
 // this, Express sees every request as insecure, so express-session's `secure: true`
 // cookie silently never gets set (no error, just no session, ever).
 app.set('trust proxy', 1);
-app.use(express.json());
+// Signed requests (eBay's notifications) are verified against the exact bytes
+// received, so those are kept alongside the parsed body.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(session({
   store: new pgSession({ pool, createTableIfMissing: true }),
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
-  cookie: { secure: ebayOAuth.ENV === 'production', maxAge: 30 * 24 * 60 * 60 * 1000 }
+  cookie: { secure: ebayOAuth.ENV === 'production', sameSite: 'lax', maxAge: 30 * 24 * 60 * 60 * 1000 }
 }));
 
-function requireApiAuth(req, res, next) {
-  if (!req.session.clientId) return res.status(401).json({ error: 'not_authenticated' });
+function requireUser(req, res, next) {
+  if (!req.session.userId) return res.status(401).json({ error: 'not_authenticated' });
   next();
 }
 
+// Everything under /api that reads or changes a store acts on the session's
+// current store — the one picked in the store switcher, or else the user's
+// first. Losing access to it (removed from the team, store disconnected)
+// falls back the same way. Sets req.role for requireRole.
+async function requireApiAuth(req, res, next) {
+  if (!req.session.userId) return res.status(401).json({ error: 'not_authenticated' });
+
+  let membership = req.session.clientId && await membershipFor(req.session.userId, req.session.clientId);
+  if (!membership) {
+    const [store] = await listStores(req.session.userId);
+    if (!store) return res.status(409).json({ error: 'no_store', message: 'Connect an eBay store to get started.' });
+    req.session.clientId = store.id;
+    membership = store;
+  }
+  req.role = membership.role;
+  req.organizationId = membership.organization_id;
+  next();
+}
+
+// The audit trail's fields for whoever is signed in; spread into recordAudit.
+async function userActor(req) {
+  const user = await findUser(req.session.userId);
+  return { actorKind: 'user', actor: user?.email ?? `user ${req.session.userId}`, userId: req.session.userId, ip: req.ip };
+}
+
+function auditUser(req, action, details = {}) {
+  return userActor(req).then(actor => recordAudit({ ...actor, clientId: req.session.clientId ?? null, action, details }));
+}
+
+// Goes after requireApiAuth.
+function requireRole(minimum) {
+  return (req, res, next) => {
+    if (!hasRole(req.role, minimum)) {
+      return res.status(403).json({ error: 'forbidden', message: `This needs the ${minimum} role; you're a ${req.role} on this store.` });
+    }
+    next();
+  };
+}
+
 app.get('/privacy', (req, res) => res.render('privacy'));
 
 // eBay's GDPR/CCPA-required "Marketplace Account Deletion/Closure" notification
@@ -61,30 +131,95 @@ app.get('/ebay/deletion-notification', (req, res) => {
   res.json({ challengeResponse: hash.digest('hex') });
 });
 
+const verifyEbaySignature = createSignatureVerifier();
+
+// Unsigned or badly signed requests get 412, which is what eBay's docs ask
+// for. The notification is recorded and acted on in one transaction, so a
+// failure answers 500 and eBay's redelivery processes it again from scratch,
+// while a redelivery of one already handled is just acknowledged.
 app.post('/ebay/deletion-notification', async (req, res) => {
-  // ponytail: doesn't verify the X-EBAY-SIGNATURE header (requires fetching
-  // eBay's public key by kid and doing ECDSA verification) — the challenge_code
-  // handshake above is what production approval actually checks. Add signature
-  // verification if this ever needs to be hardened against spoofed requests.
-  const ebayUsername = req.body?.notification?.data?.username;
+  let kid;
+  try {
+    kid = await verifyEbaySignature(req.get('X-EBAY-SIGNATURE'), req.rawBody);
+  } catch (error) {
+    if (!(error instanceof SignatureError)) {
+      console.error('Could not verify deletion notification signature:', error.message);
+      return res.sendStatus(500);
+    }
+    console.warn(`Rejected deletion notification: ${error.message}`);
+    return res.sendStatus(412);
+  }
 
-  if (ebayUsername) {
-    try {
-      const { rows: [client] } = await pool.query('SELECT id FROM clients WHERE ebay_user_id = $1', [ebayUsername]);
+  const notification = req.body?.notification || {};
+  const ebayUsername = notification.data?.username || null;
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const { rows: [audit] } = await db.query(
+      `INSERT INTO deletion_notifications (notification_id, ebay_username, ebay_user_id, event_date, signing_kid, payload)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (notification_id) DO NOTHING RETURNING id`,
+      [notification.notificationId || crypto.randomUUID(), ebayUsername, notification.data?.userId || null,
+        notification.eventDate || null, kid, JSON.stringify(req.body)]
+    );
+
+    if (audit && ebayUsername) {
+      const { rows: [client] } = await db.query('SELECT id FROM clients WHERE ebay_user_id = $1', [ebayUsername]);
       if (client) {
-        await pool.query('DELETE FROM runs WHERE client_id = $1', [client.id]);
-        await pool.query('DELETE FROM clients WHERE id = $1', [client.id]);
+        await recordAudit({
+          clientId: client.id, actorKind: 'ebay', actor: 'eBay', action: 'store.deleted_by_ebay',
+          details: { ebayUsername, notificationId: notification.notificationId ?? null }, ip: req.ip
+        }, db);
+        await db.query('DELETE FROM runs WHERE client_id = $1', [client.id]);
+        await db.query('DELETE FROM clients WHERE id = $1', [client.id]);
+        await db.query('UPDATE deletion_notifications SET deleted_client_id = $1 WHERE id = $2', [client.id, audit.id]);
         console.log(`Deleted all data for ${ebayUsername} per eBay account deletion notification.`);
       }
-    } catch (error) {
-      console.error('Failed to process deletion notification:', error.message);
     }
+    await db.query('COMMIT');
+    res.sendStatus(200);
+  } catch (error) {
+    await db.query('ROLLBACK');
+    console.error('Failed to process deletion notification:', error.message);
+    res.sendStatus(500);
+  } finally {
+    db.release();
   }
-
-  res.sendStatus(200);
 });
 
-app.get('/auth/ebay/start', (req, res) => {
+// eBay Platform Notifications (ItemListed, ItemSold, ItemClosed) arrive as
+// SOAP, not JSON. A bad signature gets 412 like the deletion endpoint; any
+// other failure a 500, so eBay retries it. Everything else is acknowledged —
+// eBay stops sending to URLs that keep refusing notifications, even ones for
+// sellers who have since disconnected.
+app.post('/ebay/platform-notification',
+  express.text({ type: ['text/xml', 'application/xml', 'application/soap+xml'], limit: '1mb' }),
+  async (req, res) => {
+    const notification = parseNotification(typeof req.body === 'string' ? req.body : '');
+    if (!notification) return res.sendStatus(400);
+
+    const problem = verificationProblem(notification);
+    if (problem) {
+      console.warn(`Rejected ${notification.eventType} platform notification: ${problem}`);
+      return res.sendStatus(412);
+    }
+
+    try {
+      await recordListingEvent(notification);
+      res.sendStatus(200);
+    } catch (error) {
+      console.error(`Failed to record ${notification.eventType} platform notification:`, error.message);
+      res.sendStatus(500);
+    }
+  });
+
+// Connecting an eBay account needs a signed-in user: a new store joins the
+// organization connectTarget picks, and reconnecting one keeps it where it is.
+app.get('/auth/ebay/start', async (req, res) => {
+  if (!req.session.userId) {
+    return res.redirect('/?authError=' + encodeURIComponent('Sign in before connecting an eBay account.'));
+  }
+  req.session.connectOrganizationId = await connectTarget(req.session.userId, req.session.clientId);
   req.session.oauthState = crypto.randomBytes(16).toString('hex');
   res.redirect(ebayOAuth.authorizeUrl(req.session.oauthState));
 });
@@ -92,27 +227,26 @@ app.get('/auth/ebay/start', (req, res) => {
 app.get('/auth/ebay/callback', async (req, res) => {
   const { code, state } = req.query;
 
-  if (!state || state !== req.session.oauthState) {
-    return res.redirect('/?authError=' + encodeURIComponent('Invalid OAuth state — please try signing in again.'));
+  if (!state || state !== req.session.oauthState || !req.session.userId) {
+    return res.redirect('/?authError=' + encodeURIComponent('Invalid OAuth state — please try connecting again.'));
   }
 
   try {
-    const { accessToken, refreshToken } = await ebayOAuth.exchangeCodeForToken(code);
+    const grant = await ebayOAuth.exchangeCodeForToken(code);
 
-    const ebayClient = createEbayClient({ token: accessToken, env: ebayOAuth.ENV });
+    const ebayClient = createEbayClient({ token: grant.accessToken, env: ebayOAuth.ENV, baseUrl: ebayOAuth.API_BASE_URL });
     const userInfo = await ebayClient.callTradingApi('GetUser', `<?xml version="1.0" encoding="utf-8"?>
 <GetUserRequest xmlns="urn:ebay:apis:eBLBaseComponents"></GetUserRequest>`);
     const ebayUserId = userInfo.User.UserID;
 
-    const { rows } = await pool.query(
-      `INSERT INTO clients (ebay_user_id, ebay_username, refresh_token_encrypted)
-       VALUES ($1, $1, $2)
-       ON CONFLICT (ebay_user_id) DO UPDATE SET refresh_token_encrypted = EXCLUDED.refresh_token_encrypted
-       RETURNING id`,
-      [ebayUserId, encrypt(refreshToken)]
-    );
+    const problem = await storeConnectProblem(req.session.userId, ebayUserId, req.session.connectOrganizationId);
+    if (problem) return res.redirect('/?authError=' + encodeURIComponent(problem));
+
+    const clientId = await saveGrant(ebayUserId, grant);
+    await attachStore(clientId, req.session.connectOrganizationId);
+    await subscribeClient(ebayClient, clientId);
 
-    req.session.clientId = rows[0].id;
+    req.session.clientId = clientId;
     res.redirect('/');
   } catch (error) {
     console.error('OAuth callback failed:', error.message);
@@ -121,20 +255,155 @@ app.get('/auth/ebay/callback', async (req, res) => {
 });
 
 // Column allowlist for any `clients` row that goes into a JSON response —
-// the real row also has `refresh_token_encrypted` and `ebay_user_id`, which
-// must never reach the browser.
-const CLIENT_FIELDS = 'ebay_username, item_limit, keywords, max_views, days_left_threshold, max_sold_count, schedule_hours, next_run_at';
-
-async function isClientRunning(clientId) {
-  const { rows: [existing] } = await pool.query(
-    "SELECT 1 FROM runs WHERE client_id = $1 AND status = 'running'",
-    [clientId]
-  );
-  return Boolean(existing);
+// the real row also has the encrypted tokens and `ebay_user_id`, which must
+// never reach the browser.
+const CLIENT_FIELDS = 'ebay_username, item_limit, keywords, max_views, days_left_threshold, max_sold_count, schedule_hours, schedule_cron, schedule_timezone, schedule_blackouts, next_run_at, reprice_mode, reprice_amount, reprice_floor, reprice_rounding, rules, keyword_thresholds, refresh_token_expires_at, reauth_required_at, marketplaces, schedule_paused_at, settings_version';
+
+// Signing in (or in as an admin) starts a new session, so a session ID
+// planted in the browser beforehand never becomes a signed-in one. Only
+// `keep` carries over.
+function regenerateSession(req, keep = []) {
+  const carried = Object.fromEntries(keep.filter(key => key in req.session).map(key => [key, req.session[key]]));
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) return reject(error);
+      Object.assign(req.session, carried);
+      resolve();
+    });
+  });
+}
+
+// One per session, for the forms this server renders itself. The JSON API
+// does without: a cross-site request doesn't carry the SameSite session
+// cookie, and can't send a JSON body without a CORS preflight.
+function csrfTokenFor(req) {
+  req.session.csrfToken ??= crypto.randomBytes(24).toString('hex');
+  return req.session.csrfToken;
 }
 
-app.get('/api/session', (req, res) => {
-  res.json({ authenticated: Boolean(req.session.clientId) });
+function csrfTokenMatches(req, token) {
+  const expected = Buffer.from(req.session.csrfToken || '');
+  const actual = Buffer.from(String(token || ''));
+  return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Opening an invitation link only remembers it. Joining is asked about on
+// /invite and done by that page's form, so a link from another site can't
+// move anyone into a team (and their next store into its organization).
+app.get('/invite/:token', (req, res) => {
+  req.session.inviteToken = req.params.token;
+  res.redirect(req.session.userId ? '/invite' : '/?invite=1');
+});
+
+app.get('/invite', async (req, res) => {
+  if (!req.session.userId) return res.redirect(req.session.inviteToken ? '/?invite=1' : '/');
+  if (!req.session.inviteToken) return res.redirect('/');
+
+  const { invitation, error } = await findInvitation(req.session.inviteToken);
+  if (error) {
+    delete req.session.inviteToken;
+    return res.redirect('/?authError=' + encodeURIComponent(error));
+  }
+  const user = await findUser(req.session.userId);
+  res.render('invite', { invitation, user, csrfToken: csrfTokenFor(req) });
+});
+
+app.post('/invite', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!req.session.userId) return res.redirect('/');
+  if (!csrfTokenMatches(req, req.body?.csrf_token)) {
+    return res.status(403).send('This form has expired. Open the invitation link again.');
+  }
+
+  const token = req.session.inviteToken;
+  delete req.session.inviteToken;
+  if (!token || req.body.decision !== 'accept') return res.redirect('/');
+
+  const { organizationId, error } = await acceptInvitation(req.session.userId, token);
+  if (error) return res.redirect('/?authError=' + encodeURIComponent(error));
+  const store = (await listStores(req.session.userId)).find(s => s.organization_id === organizationId);
+  if (store) req.session.clientId = store.id;
+  await auditUser(req, 'user.joined_team', { organizationId });
+  res.redirect('/');
+});
+
+// A pending invitation carries over sign-in but still has to be confirmed:
+// `invitePending` sends the browser to /invite to do that.
+app.post('/api/signup', async (req, res) => {
+  const { user, error } = await createUser(req.body || {});
+  if (error) return res.status(400).json({ error: 'invalid_signup', message: error });
+
+  await regenerateSession(req, ['inviteToken']);
+  req.session.userId = user.id;
+  req.session.clientId = null;
+  await auditUser(req, 'user.signed_up');
+  res.json({ user, invitePending: Boolean(req.session.inviteToken) });
+});
+
+app.post('/api/login', async (req, res) => {
+  const user = await authenticate(req.body?.email, req.body?.password);
+  if (!user) {
+    await recordAudit({ actorKind: 'user', actor: String(req.body?.email ?? ''), action: 'user.login_failed', ip: req.ip });
+    return res.status(401).json({ error: 'invalid_credentials', message: 'Wrong email or password.' });
+  }
+
+  await regenerateSession(req, ['inviteToken']);
+  req.session.userId = user.id;
+  req.session.clientId = null;
+  await auditUser(req, 'user.logged_in');
+  res.json({ user, invitePending: Boolean(req.session.inviteToken) });
+});
+
+app.get('/api/session', async (req, res) => {
+  const user = req.session.userId && await findUser(req.session.userId);
+  res.json({ authenticated: Boolean(user), user: user || null });
+});
+
+app.get('/api/stores', requireUser, async (req, res) => {
+  res.json({
+    stores: await listStores(req.session.userId),
+    currentStoreId: req.session.clientId ?? null,
+    canConnect: (await connectTarget(req.session.userId, req.session.clientId)) !== null
+  });
+});
+
+app.post('/api/stores/:id/select', requireUser, async (req, res) => {
+  const clientId = parseInt(req.params.id, 10) || 0;
+  if (!(await membershipFor(req.session.userId, clientId))) return res.status(404).json({ error: 'not_found' });
+  req.session.clientId = clientId;
+  res.json({ ok: true });
+});
+
+// Team management is per organization — the current store's.
+app.get('/api/members', requireApiAuth, requireRole('owner'), async (req, res) => {
+  res.json({ members: await listMembers(req.organizationId), invitations: await listInvitations(req.organizationId) });
+});
+
+app.post('/api/members/:userId', requireApiAuth, requireRole('owner'), async (req, res) => {
+  const { member, error } = await setMemberRole(req.organizationId, parseInt(req.params.userId, 10) || 0, req.body?.role);
+  if (error) return res.status(400).json({ error: 'invalid_member', message: error });
+  if (!member) return res.status(404).json({ error: 'not_found' });
+  res.json({ member });
+});
+
+app.delete('/api/members/:userId', requireApiAuth, requireRole('owner'), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10) || 0;
+  const { removed, error } = await removeMember(req.organizationId, userId);
+  if (error) return res.status(400).json({ error: 'invalid_member', message: error });
+  if (!removed) return res.status(404).json({ error: 'not_found' });
+  await auditUser(req, 'member.removed', { userId });
+  res.json({ ok: true });
+});
+
+app.post('/api/invitations', requireApiAuth, requireRole('owner'), async (req, res) => {
+  const { invitation, token, error } = await createInvitation(req.organizationId, req.session.userId, req.body?.role);
+  if (error) return res.status(400).json({ error: 'invalid_invitation', message: error });
+  res.json({ invitation, link: `/invite/${token}` });
+});
+
+app.delete('/api/invitations/:id', requireApiAuth, requireRole('owner'), async (req, res) => {
+  const revoked = await revokeInvitation(req.organizationId, parseInt(req.params.id, 10) || 0);
+  if (!revoked) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
 });
 
 app.get('/api/dashboard', requireApiAuth, async (req, res) => {
@@ -143,7 +412,7 @@ app.get('/api/dashboard', requireApiAuth, async (req, res) => {
     'SELECT id, status, started_at, finished_at, log, result FROM runs WHERE client_id = $1 ORDER BY started_at DESC LIMIT 10',
     [req.session.clientId]
   );
-  res.json({ client: { ...client, ebay_env: ebayOAuth.ENV }, runs });
+  res.json({ client: { ...client, ebay_env: ebayOAuth.ENV }, runs, role: req.role });
 });
 
 app.get('/api/runs', requireApiAuth, async (req, res) => {
@@ -154,139 +423,458 @@ app.get('/api/runs', requireApiAuth, async (req, res) => {
   res.json({ runs });
 });
 
-app.post('/api/dashboard/settings', requireApiAuth, async (req, res) => {
-  const itemLimit = Math.max(1, parseInt(req.body.item_limit, 10) || 10);
-  const maxViews = Math.max(0, parseInt(req.body.max_views, 10) || 0);
-  const daysLeftThreshold = Math.max(1, parseInt(req.body.days_left_threshold, 10) || 15);
-  const maxSoldCount = Math.max(0, parseInt(req.body.max_sold_count, 10) || 0);
-  const scheduleHours = Math.max(0, parseInt(req.body.schedule_hours, 10) || 0);
-  const keywords = (req.body.keywords || '')
-    .split(',')
-    .map(k => k.trim())
-    .filter(Boolean);
-
-  // Saving always recomputes next_run_at from now, even if schedule_hours
-  // didn't change — simplest correct behavior for a "simple interval"
-  // schedule, at the minor cost of resetting the countdown on every save.
-  const { rows: [client] } = await pool.query(
-    `UPDATE clients SET item_limit = $1, keywords = $2, max_views = $3, days_left_threshold = $4, max_sold_count = $5, schedule_hours = $6,
-       next_run_at = CASE WHEN $6 > 0 THEN now() + ($6 || ' hours')::interval ELSE NULL END
-     WHERE id = $7 RETURNING ${CLIENT_FIELDS}`,
-    [itemLimit, JSON.stringify(keywords), maxViews, daysLeftThreshold, maxSoldCount, scheduleHours, req.session.clientId]
+// Answers right away: a queued run comes back 'cancelled', a running one
+// still 'running' until the worker has relisted what it already ended. A
+// queued run never reaches a worker, so its channels are notified here.
+app.post('/api/runs/:id/cancel', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const runId = Number(req.params.id);
+  const run = await requestCancel(Number.isInteger(runId) ? runId : 0, req.session.clientId);
+  if (run) await auditUser(req, 'run.cancel_requested', { runId: run.id });
+  if (run?.status === 'cancelled') await notifyRunFinished(run.id);
+  if (!run) return res.status(409).json({ error: 'not_active', message: 'Only a queued or running run can be cancelled.' });
+  res.json({ runId: run.id, status: run.status });
+});
+
+// Per-item outcomes of one run; `outcome` narrows them to one decision.
+app.get('/api/runs/:id/items', requireApiAuth, async (req, res) => {
+  const runId = Number(req.params.id);
+  const { outcome } = req.query;
+  if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ error: 'invalid_outcome', message: `outcome must be one of: ${OUTCOMES.join(', ')}` });
+  }
+  const { rows: [run] } = await pool.query(
+    'SELECT id FROM runs WHERE id = $1 AND client_id = $2',
+    [Number.isInteger(runId) ? runId : 0, req.session.clientId]
   );
-  res.json({ client });
+  if (!run) return res.status(404).json({ error: 'not_found' });
+
+  res.json({ items: await listRunItems(req.session.clientId, runId, { outcome }) });
 });
 
-app.post('/api/dashboard/preview', requireApiAuth, async (req, res) => {
-  const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [req.session.clientId]);
-  try {
-    const refreshToken = decrypt(client.refresh_token_encrypted);
-    const accessToken = await ebayOAuth.refreshAccessToken(refreshToken);
-    const ebayClient = createEbayClient({ token: accessToken, env: ebayOAuth.ENV });
+const RUN_EVENTS_POLL_MS = 1000;
 
-    const logLines = [];
-    const result = await runAutomation(ebayClient, {
-      itemLimit: client.item_limit,
-      keywords: client.keywords,
-      maxViews: client.max_views,
-      daysLeftThreshold: client.days_left_threshold,
-      maxSoldCount: client.max_sold_count
-    }, (line) => logLines.push(line), { dryRun: true });
-
-    res.json({ ended: result.ended, log: logLines.join('\n') });
-  } catch (error) {
-    console.error('Preview failed:', error.message);
-    res.status(500).json({ error: 'preview_failed' });
+// Server-Sent Events: replays the run's progress events (after Last-Event-ID,
+// when the browser is reconnecting) and then streams new ones until the run
+// finishes, ending with an `end` event carrying its final status. The worker
+// may be another instance, so new events are picked up by polling run_events
+// rather than from memory.
+app.get('/api/runs/:id/events', requireApiAuth, async (req, res) => {
+  const runId = Number(req.params.id);
+  const { rows: [run] } = await pool.query(
+    'SELECT id FROM runs WHERE id = $1 AND client_id = $2',
+    [Number.isInteger(runId) ? runId : 0, req.session.clientId]
+  );
+  if (!run) return res.status(404).json({ error: 'not_found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  let lastId = Number(req.get('Last-Event-ID')) || 0;
+  let timer = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  async function send() {
+    try {
+      // Status first: events written before a run finishes are always in by
+      // the time it's marked finished, so none are missed below.
+      const { rows: [{ status }] } = await pool.query('SELECT status FROM runs WHERE id = $1', [runId]);
+      for (const event of await runEventsAfter(runId, lastId)) {
+        res.write(`id: ${event.id}\nevent: progress\ndata: ${JSON.stringify(event.data)}\n\n`);
+        lastId = event.id;
+      }
+      if (status !== 'queued' && status !== 'running') {
+        res.write(`event: end\ndata: ${JSON.stringify({ status })}\n\n`);
+        return res.end();
+      }
+    } catch (error) {
+      console.error(`Streaming events for run ${runId} failed:`, error.message);
+      return res.end();
+    }
+    if (!closed) timer = setTimeout(send, RUN_EVENTS_POLL_MS);
   }
+  send();
 });
 
-app.post('/api/dashboard/run', requireApiAuth, async (req, res) => {
-  if (await isClientRunning(req.session.clientId)) {
-    return res.status(409).json({ error: 'already_running' });
+app.get('/api/lineages', requireApiAuth, async (req, res) => {
+  res.json({ lineages: await listLineages(req.session.clientId) });
+});
+
+// Relist performance over the last `days` days (default 90): before/after
+// views and sales per relisted item, and sell-through broken down by brand,
+// generation and where items stood when they were ended.
+app.get('/api/analytics', requireApiAuth, async (req, res) => {
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ error: 'invalid_days', message: 'days must be a whole number from 1 to 365' });
   }
+  res.json(await relistAnalytics(req.session.clientId, { days }));
+});
 
-  const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [req.session.clientId]);
-  const { rows: [run] } = await pool.query(
-    "INSERT INTO runs (client_id, status) VALUES ($1, 'running') RETURNING id, status, started_at",
-    [client.id]
-  );
+app.get('/api/lineages/:itemId', requireApiAuth, async (req, res) => {
+  const lineage = await findLineage(req.session.clientId, req.params.itemId);
+  if (!lineage) return res.status(404).json({ error: 'not_found' });
+  res.json({ lineage });
+});
 
-  // ponytail: fire-and-forget in-process background job — fine for one client's
-  // occasional, non-concurrent runs. Add a real queue (BullMQ/etc.) if multiple
-  // clients start running this at once.
-  runInBackground(run.id, client).catch(error => console.error('Background run crashed:', error));
+// eBay's limits come from GetApiAccessRules, which needs a token; usage
+// counted here is still returned if fetching them fails.
+app.get('/api/api-usage', requireApiAuth, async (req, res) => {
+  const usage = await usageToday(req.session.clientId);
+  let limits = null;
+  try {
+    const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [req.session.clientId]);
+    const { rules, fetchedAt } = await getAccessRules(await ebayClientFor(client));
+    limits = { rules, fetchedAt: new Date(fetchedAt) };
+  } catch (error) {
+    console.error('Fetching API access rules failed:', error.message);
+  }
+  res.json({ usage, limits });
+});
 
-  res.json({ runId: run.id, status: run.status, started_at: run.started_at });
+app.get('/api/listing-events', requireApiAuth, async (req, res) => {
+  res.json({ events: await listListingEvents(req.session.clientId) });
 });
 
-async function runInBackground(runId, client) {
-  const logLines = [];
-  const log = (line) => {
-    console.log(`[run ${runId}] ${line}`);
-    logLines.push(line);
-  };
+app.get('/api/protected-items', requireApiAuth, async (req, res) => {
+  res.json({ items: await listProtectedItems(req.session.clientId) });
+});
 
+// Protecting an item by ID alone wouldn't survive the seller relisting it by
+// hand, since the copy gets a new ID; its SKU and title are looked up and
+// kept too, so the copy still matches. Best effort — if eBay can't be asked,
+// the item is protected by what was given.
+async function withListingDetails(clientId, entry) {
+  if (!entry.item_id || (entry.sku && entry.title)) return entry;
   try {
-    const refreshToken = decrypt(client.refresh_token_encrypted);
-    const accessToken = await ebayOAuth.refreshAccessToken(refreshToken);
-    const ebayClient = createEbayClient({ token: accessToken, env: ebayOAuth.ENV });
-
-    const result = await runAutomation(ebayClient, {
-      itemLimit: client.item_limit,
-      keywords: client.keywords,
-      maxViews: client.max_views,
-      daysLeftThreshold: client.days_left_threshold,
-      maxSoldCount: client.max_sold_count
-    }, log);
-
-    await pool.query(
-      "UPDATE runs SET status = 'success', log = $1, result = $2, finished_at = now() WHERE id = $3",
-      [logLines.join('\n'), JSON.stringify(result), runId]
-    );
+    const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+    const item = await (await ebayClientFor(client)).getItemDetails(String(entry.item_id).trim());
+    return {
+      ...entry,
+      sku: entry.sku || (item.SKU !== undefined ? String(item.SKU) : null),
+      title: entry.title || item.Title
+    };
   } catch (error) {
-    log(`Run failed: ${error.message}`);
-    await pool.query(
-      "UPDATE runs SET status = 'failed', log = $1, finished_at = now() WHERE id = $2",
-      [logLines.join('\n'), runId]
-    );
+    console.error(`Couldn't look up item ${entry.item_id} to protect it:`, error.message);
+    return entry;
   }
 }
 
-// "Simple interval" scheduling: next_run_at is just "now + schedule_hours,"
-// recomputed each time a scheduled run fires (or settings are saved) — no
-// time-of-day/timezone logic.
-async function checkScheduledRuns() {
-  const { rows: dueClients } = await pool.query(
-    'SELECT * FROM clients WHERE schedule_hours > 0 AND next_run_at <= now()'
-  );
+app.post('/api/protected-items', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const { item, error } = await addProtectedItem(req.session.clientId, await withListingDetails(req.session.clientId, req.body));
+  if (error) return res.status(400).json({ error: 'invalid_protected_item', message: error });
+  res.json({ item });
+});
 
-  for (const client of dueClients) {
-    if (await isClientRunning(client.id)) {
-      console.log(`Scheduled run for client ${client.id} skipped — already running.`);
-    } else {
-      const { rows: [run] } = await pool.query(
-        "INSERT INTO runs (client_id, status) VALUES ($1, 'running') RETURNING id",
-        [client.id]
-      );
-      runInBackground(run.id, client).catch(error => console.error('Scheduled run crashed:', error));
-    }
+app.delete('/api/protected-items/:id', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  const removed = await removeProtectedItem(req.session.clientId, id);
+  if (!removed) return res.status(404).json({ error: 'not_found' });
+  await auditUser(req, 'protected_item.removed', { id });
+  res.json({ ok: true });
+});
+
+app.get('/api/notification-channels', requireApiAuth, async (req, res) => {
+  res.json({ channels: await listChannels(req.session.clientId), emailAvailable: isEmailAvailable() });
+});
+
+app.post('/api/notification-channels', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const { channel, secret, error } = await addChannel(req.session.clientId, req.body);
+  if (error) return res.status(400).json({ error: 'invalid_channel', message: error });
+  res.json({ channel, secret });
+});
 
-    await pool.query(
-      "UPDATE clients SET next_run_at = now() + ($1 || ' hours')::interval WHERE id = $2",
-      [client.schedule_hours, client.id]
+app.delete('/api/notification-channels/:id', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  const removed = await removeChannel(req.session.clientId, id);
+  if (!removed) return res.status(404).json({ error: 'not_found' });
+  await auditUser(req, 'notification_channel.removed', { id });
+  res.json({ ok: true });
+});
+
+app.post('/api/notification-channels/:id/test', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const delivery = await sendTestNotification(req.session.clientId, parseInt(req.params.id, 10) || 0);
+  if (!delivery) return res.status(404).json({ error: 'not_found' });
+  // Only whether it worked: what the target answered is no business of
+  // whoever pressed the button.
+  res.json({
+    delivery: { id: delivery.id, status: delivery.status },
+    ...(delivery.status !== 'delivered' && { message: "The test notification couldn't be delivered." })
+  });
+});
+
+app.get('/api/notification-deliveries', requireApiAuth, async (req, res) => {
+  res.json({ deliveries: await listDeliveries(req.session.clientId) });
+});
+
+app.get('/api/stranded-items', requireApiAuth, async (req, res) => {
+  res.json({ items: await listStrandedItems(req.session.clientId) });
+});
+
+app.post('/api/stranded-items/:id/retry', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const item = await claimStrandedItem(req.session.clientId, parseInt(req.params.id, 10) || 0);
+  if (!item) return res.status(409).json({ error: 'not_retryable' });
+
+  const { newItemId, error } = await retryStrandedItem(item);
+  if (error) return res.status(502).json({ error: 'retry_failed', message: error });
+  res.json({ newItemId });
+});
+
+app.post('/api/stranded-items/:id/dismiss', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const id = parseInt(req.params.id, 10) || 0;
+  const dismissed = await dismissStrandedItem(req.session.clientId, id);
+  if (!dismissed) return res.status(404).json({ error: 'not_found' });
+  await auditUser(req, 'stranded_item.dismissed', { id });
+  res.json({ ok: true });
+});
+
+// Settings, schedule and rules saves each send back the settings_version the
+// page loaded (the three share one); if someone has saved since, the save
+// would silently undo theirs, so it's refused instead.
+function settingsVersionErrors(body) {
+  return Number.isInteger(body.settings_version) ? [] : [{ path: 'settings_version', message: 'must be a whole number' }];
+}
+
+async function sendSettingsConflict(res, clientId) {
+  const { rows: [current] } = await pool.query(`SELECT ${CLIENT_FIELDS} FROM clients WHERE id = $1`, [clientId]);
+  res.status(409).json({
+    error: 'settings_conflict',
+    message: 'These settings were changed somewhere else since you opened them.',
+    client: current
+  });
+}
+
+app.post('/api/dashboard/settings', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const { settings, errors } = validateSettings(req.body, { marketplaceIds: Object.keys(MARKETPLACES) });
+  errors.push(...settingsVersionErrors(req.body));
+  if (errors.length > 0) return res.status(400).json({ error: 'invalid_settings', details: errors });
+
+  const entry = { ...(await userActor(req)), clientId: req.session.clientId, action: 'settings.updated' };
+  const client = await saveSettingsAudited(entry, async (db) => {
+    const { rows: [updated] } = await db.query(
+      `UPDATE clients SET item_limit = $1, keywords = $2, max_views = $3, days_left_threshold = $4, max_sold_count = $5,
+         reprice_mode = $7, reprice_amount = COALESCE($8, reprice_amount), reprice_floor = COALESCE($9, reprice_floor),
+         reprice_rounding = COALESCE($10, reprice_rounding), marketplaces = COALESCE($11, marketplaces),
+         settings_version = settings_version + 1
+       WHERE id = $6 AND settings_version = $12 RETURNING ${CLIENT_FIELDS}`,
+      [settings.item_limit, JSON.stringify(settings.keywords), settings.max_views, settings.days_left_threshold,
+        settings.max_sold_count, req.session.clientId, settings.reprice_mode, settings.reprice_amount ?? null,
+        settings.reprice_floor ?? null, settings.reprice_rounding ?? null, settings.marketplaces ?? null,
+        req.body.settings_version]
     );
-  }
+    return updated;
+  });
+  if (!client) return sendSettingsConflict(res, req.session.clientId);
+  res.json({ client });
+});
+
+const UPCOMING_RUN_COUNT = 5;
+
+function scheduleFromBody(body) {
+  return {
+    hours: body.schedule_hours === '' || body.schedule_hours === undefined ? 0 : Number(body.schedule_hours),
+    cron: typeof body.schedule_cron === 'string' && body.schedule_cron.trim() ? body.schedule_cron.trim() : null,
+    timezone: body.schedule_timezone || 'UTC',
+    blackouts: body.schedule_blackouts ?? []
+  };
 }
 
+// Lets the dashboard show when an edited schedule would run before it's saved.
+app.post('/api/dashboard/schedule/preview', requireApiAuth, async (req, res) => {
+  const schedule = scheduleFromBody(req.body);
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) return res.status(400).json({ error: 'invalid_schedule', details: errors });
+  res.json({ runTimes: upcomingRunTimes(schedule, { count: UPCOMING_RUN_COUNT }) });
+});
+
+// Only saving the schedule itself moves next_run_at — settings saves used to
+// restart an interval schedule's countdown every time.
+app.post('/api/dashboard/schedule', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const schedule = scheduleFromBody(req.body);
+  const errors = [...validateSchedule(schedule), ...settingsVersionErrors(req.body)];
+  if (errors.length > 0) return res.status(400).json({ error: 'invalid_schedule', details: errors });
+
+  const entry = { ...(await userActor(req)), clientId: req.session.clientId, action: 'schedule.updated' };
+  const client = await saveSettingsAudited(entry, async (db) => {
+    const { rows: [updated] } = await db.query(
+      `UPDATE clients SET schedule_hours = $1, schedule_cron = $2, schedule_timezone = $3, schedule_blackouts = $4, next_run_at = $5,
+         settings_version = settings_version + 1
+       WHERE id = $6 AND settings_version = $7 RETURNING ${CLIENT_FIELDS}`,
+      [schedule.hours, schedule.cron, schedule.timezone, JSON.stringify(schedule.blackouts), nextRunAt(schedule), req.session.clientId,
+        req.body.settings_version]
+    );
+    return updated;
+  });
+  if (!client) return sendSettingsConflict(res, req.session.clientId);
+  res.json({ client, runTimes: upcomingRunTimes(schedule, { count: UPCOMING_RUN_COUNT }) });
+});
+
+// Rules are validated here rather than trusted from the form — they end up as
+// regexes and comparisons evaluated against every active listing on each run.
+app.post('/api/dashboard/rules', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const rules = req.body.rules ?? [];
+  const keywordThresholds = req.body.keyword_thresholds ?? {};
+  const errors = [...validateRules(rules), ...validateKeywordThresholds(keywordThresholds), ...settingsVersionErrors(req.body)];
+  if (errors.length > 0) return res.status(400).json({ error: 'invalid_rules', details: errors });
+
+  const entry = { ...(await userActor(req)), clientId: req.session.clientId, action: 'rules.updated' };
+  const client = await saveSettingsAudited(entry, async (db) => {
+    const { rows: [updated] } = await db.query(
+      `UPDATE clients SET rules = $1, keyword_thresholds = $2, settings_version = settings_version + 1
+       WHERE id = $3 AND settings_version = $4 RETURNING ${CLIENT_FIELDS}`,
+      [JSON.stringify(rules), JSON.stringify(keywordThresholds), req.session.clientId, req.body.settings_version]
+    );
+    return updated;
+  });
+  if (!client) return sendSettingsConflict(res, req.session.clientId);
+  res.json({ client });
+});
+
+app.post('/api/dashboard/preview', requireApiAuth, async (req, res) => {
+  const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [req.session.clientId]);
+  try {
+    const ebayClients = await ebayClientsFor(client);
+
+    const logLines = [];
+    const result = await runAutomation(ebayClients, await loadAutomationSettings(client), (line) => logLines.push(line), { dryRun: true });
+    await auditUser(req, 'preview.run', { wouldEnd: result.ended.length, skipped: result.skipped.length });
+
+    res.json({ ended: result.ended, skipped: result.skipped, log: logLines.join('\n') });
+  } catch (error) {
+    if (error instanceof ReauthRequiredError) return res.status(409).json({ error: 'reauth_required', message: error.message });
+    console.error('Preview failed:', error.message);
+    res.status(500).json({ error: 'preview_failed' });
+  }
+});
+
+app.post('/api/dashboard/run', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const { rows: [client] } = await pool.query('SELECT reauth_required_at FROM clients WHERE id = $1', [req.session.clientId]);
+  if (client.reauth_required_at) {
+    return res.status(409).json({ error: 'reauth_required', message: new ReauthRequiredError().message });
+  }
+
+  const run = await enqueueRun(req.session.clientId, { trigger: 'manual' });
+  if (!run) return res.status(409).json({ error: 'already_running' });
+  await auditUser(req, 'run.requested', { runId: run.id });
+
+  res.json({ runId: run.id, status: run.status, started_at: run.started_at });
+});
+
 app.post('/api/logout', (req, res) => {
   req.session.destroy(() => res.json({ ok: true }));
 });
 
-app.post('/api/dashboard/disconnect', requireApiAuth, async (req, res) => {
+// Deletes the current store for the whole team; the user stays signed in.
+app.post('/api/dashboard/disconnect', requireApiAuth, requireRole('owner'), async (req, res) => {
   const clientId = req.session.clientId;
+  const { rows: [client] } = await pool.query('SELECT ebay_username FROM clients WHERE id = $1', [clientId]);
+  await auditUser(req, 'store.disconnected', { ebayUsername: client.ebay_username });
   await pool.query('DELETE FROM runs WHERE client_id = $1', [clientId]);
   await pool.query('DELETE FROM clients WHERE id = $1', [clientId]);
-  req.session.destroy(() => res.json({ ok: true }));
+  req.session.clientId = null;
+  res.json({ ok: true });
+});
+
+app.get('/api/audit', requireApiAuth, async (req, res) => {
+  res.json({ entries: await listAudit({ clientId: req.session.clientId, organizationId: req.organizationId }) });
+});
+
+// "Restore these settings" on a settings, schedule or rules entry. The
+// restore is itself an audited settings change, and is refused if the
+// settings it would put back no longer pass a save's checks.
+app.post('/api/audit/:id/restore', requireApiAuth, requireRole('operator'), async (req, res) => {
+  const entryId = parseInt(req.params.id, 10) || 0;
+  const restored = await restoreSettings({
+    ...(await userActor(req)), clientId: req.session.clientId, action: 'settings.restored', details: { restoredFrom: entryId }
+  }, entryId);
+  if (!restored) return res.status(404).json({ error: 'not_found' });
+  if (restored.errors) {
+    return res.status(400).json({
+      error: 'invalid_settings',
+      message: "These settings can't be restored: they don't pass the checks a save makes today.",
+      details: restored.errors
+    });
+  }
+
+  const { rows: [client] } = await pool.query(`SELECT ${CLIENT_FIELDS} FROM clients WHERE id = $1`, [req.session.clientId]);
+  res.json({ client });
+});
+
+// The deployment's admin console (admin.js). Its session is separate from
+// the seller's: signing in as an admin doesn't sign anyone in to a store.
+function requireAdmin(req, res, next) {
+  if (!req.session.adminName) return res.status(401).json({ error: 'not_authenticated' });
+  next();
+}
+
+function auditAdmin(req, action, { clientId = null, details = {} } = {}) {
+  return recordAudit({ clientId, actorKind: 'admin', actor: req.session.adminName, action, details, ip: req.ip });
+}
+
+app.get('/api/admin/session', (req, res) => {
+  res.json({ enabled: isAdminEnabled(), authenticated: Boolean(req.session.adminName), name: req.session.adminName ?? null });
+});
+
+app.post('/api/admin/login', async (req, res) => {
+  if (!isAdminEnabled()) return res.status(404).json({ error: 'admin_disabled' });
+  const name = String(req.body?.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'invalid_name', message: 'Enter your name for the audit trail.' });
+  if (!adminPasswordMatches(req.body?.password)) {
+    await recordAudit({ actorKind: 'admin', actor: name, action: 'admin.login_failed', ip: req.ip });
+    return res.status(401).json({ error: 'invalid_credentials', message: 'Wrong password.' });
+  }
+
+  await regenerateSession(req);
+  req.session.adminName = name;
+  await auditAdmin(req, 'admin.login');
+  res.json({ name });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  delete req.session.adminName;
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/clients', requireAdmin, async (req, res) => {
+  res.json({ clients: await listClientsOverview() });
+});
+
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  res.json({ entries: await listAudit() });
+});
+
+app.post('/api/admin/runs/:id/fail', requireAdmin, async (req, res) => {
+  const run = await forceFailRun(parseInt(req.params.id, 10) || 0, req.session.adminName);
+  if (!run) return res.status(409).json({ error: 'not_active', message: 'That run is no longer queued or running.' });
+  await auditAdmin(req, 'run.force_failed', { clientId: run.client_id, details: { runId: run.id } });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/clients/:id/pause', requireAdmin, async (req, res) => {
+  const paused = req.body?.paused !== false;
+  const client = await setSchedulePaused(parseInt(req.params.id, 10) || 0, paused);
+  if (!client) return res.status(404).json({ error: 'not_found' });
+  await auditAdmin(req, paused ? 'schedule.paused' : 'schedule.resumed', { clientId: client.id });
+  res.json({ client });
+});
+
+app.post('/api/admin/clients/:id/run', requireAdmin, async (req, res) => {
+  const { rows: [client] } = await pool.query(
+    'SELECT id, reauth_required_at FROM clients WHERE id = $1',
+    [parseInt(req.params.id, 10) || 0]
+  );
+  if (!client) return res.status(404).json({ error: 'not_found' });
+  if (client.reauth_required_at) {
+    return res.status(409).json({ error: 'reauth_required', message: new ReauthRequiredError().message });
+  }
+
+  const run = await enqueueRun(client.id, { trigger: 'admin' });
+  if (!run) return res.status(409).json({ error: 'already_running' });
+  await auditAdmin(req, 'run.triggered', { clientId: client.id, details: { runId: run.id } });
+  res.json({ runId: run.id, status: run.status });
 });
 
 // Any other /api/* request is a typo'd/removed endpoint — 404 it explicitly
@@ -308,6 +896,8 @@ const SCHEDULE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
 migrate()
   .then(() => {
     app.listen(PORT, () => console.log(`Listening on port ${PORT}`));
+    backfillLineages().catch(error => console.error('Lineage backfill failed:', error));
+    startWorker();
     checkScheduledRuns().catch(error => console.error('Scheduler tick failed:', error));
     setInterval(() => checkScheduledRuns().catch(error => console.error('Scheduler tick failed:', error)), SCHEDULE_CHECK_INTERVAL_MS);
   })
@@ -0,0 +1,125 @@
+const { pool } = require('./db');
+
+// Every item a run ends gets an ended_items row the moment EndItem succeeds,
+// in status 'relisting'. It moves to 'relisted' once the copy is up, or to
+// 'stranded' if it couldn't be — including when the run dies in between, so
+// an ended item is never just dropped. Stranded items are retried with
+// backoff until they're relisted or the seller dismisses them; while a retry
+// is in flight the row sits in 'retrying', with next_retry_at doubling as the
+// claim's expiry in case the retrying process dies.
+const RETRY_BASE_SECONDS = 5 * 60;
+const RETRY_MAX_SECONDS = 24 * 60 * 60;
+const CLAIM_SECONDS = 10 * 60;
+
+const STRANDED_FIELDS = 'id, item_id, title, status, relist_price, last_error, attempts, next_retry_at, ended_at, run_id, marketplace';
+
+async function recordEnded(clientId, runId, { itemId, title, sku, startTime, price, relistPrice, marketplace }) {
+  await pool.query(
+    `INSERT INTO ended_items (client_id, run_id, item_id, title, sku, start_time, price, relist_price, marketplace, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 'EBAY_US'), 'relisting')
+     ON CONFLICT (client_id, item_id) DO UPDATE SET run_id = EXCLUDED.run_id, relist_price = EXCLUDED.relist_price,
+       status = 'relisting', ended_at = now()`,
+    [clientId, runId, itemId, title, sku ?? null, startTime ?? null, price ?? null, relistPrice ?? null, marketplace ?? null]
+  );
+}
+
+async function markRelisted(clientId, itemId, newItemId) {
+  await pool.query(
+    `UPDATE ended_items SET status = 'relisted', new_item_id = $3, resolved_at = now(), next_retry_at = NULL
+     WHERE client_id = $1 AND item_id = $2`,
+    [clientId, itemId, newItemId]
+  );
+}
+
+async function markStranded(clientId, itemId, { error, relistPrice }) {
+  await pool.query(
+    `UPDATE ended_items SET status = 'stranded', last_error = $3, relist_price = COALESCE($4, relist_price),
+       next_retry_at = now() + ($5 || ' seconds')::interval
+     WHERE client_id = $1 AND item_id = $2 AND status IN ('relisting', 'stranded')`,
+    [clientId, itemId, error, relistPrice ?? null, RETRY_BASE_SECONDS]
+  );
+}
+
+// Safety net for whatever a run left behind in 'relisting' — it crashed, its
+// worker died, or reselling failed wholesale before reaching every item.
+async function strandUnfinished(runIds, error) {
+  if (runIds.length === 0) return;
+  const { rows } = await pool.query(
+    `UPDATE ended_items SET status = 'stranded', last_error = $2, next_retry_at = now() + ($3 || ' seconds')::interval
+     WHERE run_id = ANY($1) AND status = 'relisting'
+     RETURNING client_id, item_id`,
+    [runIds, error, RETRY_BASE_SECONDS]
+  );
+  for (const row of rows) {
+    console.log(`Item ${row.item_id} (client ${row.client_id}) stranded: ${error}`);
+  }
+}
+
+// Same lease-by-update trick as the run queue: two instances ticking at once
+// (or a tick racing a manual retry) can never both relist the same item.
+async function claimDueStrandedItems(limit = 10) {
+  const { rows } = await pool.query(
+    `UPDATE ended_items SET status = 'retrying', next_retry_at = now() + ($2 || ' seconds')::interval
+     WHERE id IN (
+       SELECT id FROM ended_items WHERE status IN ('stranded', 'retrying') AND next_retry_at <= now()
+         AND client_id NOT IN (SELECT id FROM clients WHERE reauth_required_at IS NOT NULL)
+       ORDER BY next_retry_at FOR UPDATE SKIP LOCKED LIMIT $1
+     )
+     RETURNING *`,
+    [limit, CLAIM_SECONDS]
+  );
+  return rows;
+}
+
+// A manual retry doesn't wait out the backoff, but still can't jump a retry
+// that's already in flight.
+async function claimStrandedItem(clientId, id) {
+  const { rows: [item] } = await pool.query(
+    `UPDATE ended_items SET status = 'retrying', next_retry_at = now() + ($3 || ' seconds')::interval
+     WHERE client_id = $1 AND id = $2 AND (status = 'stranded' OR (status = 'retrying' AND next_retry_at <= now()))
+     RETURNING *`,
+    [clientId, id, CLAIM_SECONDS]
+  );
+  return item || null;
+}
+
+// Exponential backoff from RETRY_BASE_SECONDS, capped at a day — a stranded
+// item keeps being retried (and keeps showing in the dashboard) until it's
+// relisted or dismissed, however long that takes.
+async function recordRetryFailure(id, error) {
+  await pool.query(
+    `UPDATE ended_items SET status = 'stranded', attempts = attempts + 1, last_error = $2,
+       next_retry_at = now() + (LEAST($3 * power(2, attempts), $4) || ' seconds')::interval
+     WHERE id = $1 AND status = 'retrying'`,
+    [id, error, RETRY_BASE_SECONDS, RETRY_MAX_SECONDS]
+  );
+}
+
+async function listStrandedItems(clientId) {
+  const { rows } = await pool.query(
+    `SELECT ${STRANDED_FIELDS} FROM ended_items WHERE client_id = $1 AND status IN ('stranded', 'retrying') ORDER BY ended_at DESC`,
+    [clientId]
+  );
+  return rows;
+}
+
+async function dismissStrandedItem(clientId, id) {
+  const { rowCount } = await pool.query(
+    `UPDATE ended_items SET status = 'dismissed', resolved_at = now(), next_retry_at = NULL
+     WHERE client_id = $1 AND id = $2 AND status = 'stranded'`,
+    [clientId, id]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  recordEnded,
+  markRelisted,
+  markStranded,
+  strandUnfinished,
+  claimDueStrandedItems,
+  claimStrandedItem,
+  recordRetryFailure,
+  listStrandedItems,
+  dismissStrandedItem
+};
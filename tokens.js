@@ -0,0 +1,104 @@
+const { pool } = require('./db');
+const { encrypt, decrypt } = require('./crypto');
+const ebayOAuth = require('./ebayOAuth');
+const { scheduleFromClient, nextRunAt } = require('./modules/schedule');
+
+// Access tokens last two hours, so one is cached (encrypted, like the refresh
+// token) on the client row and reused until shortly before it expires rather
+// than refreshed for every preview and run. The refresh token itself lasts 18
+// months; once eBay rejects it the client is flagged for re-authorization,
+// which also pauses their schedule until they reconnect.
+
+const ACCESS_TOKEN_MARGIN_MS = 5 * 60 * 1000; // long enough for a run's first calls to go out
+
+// Thrown instead of eBay's raw `invalid_grant` error, so run logs and the
+// dashboard say what the seller actually has to do.
+class ReauthRequiredError extends Error {
+  constructor() {
+    super('eBay no longer accepts this account\'s authorization (it expired or was revoked). Reconnect your eBay account from the dashboard.');
+  }
+}
+
+// Refreshes in flight, by client ID — a preview and a run starting together
+// share one refresh instead of racing to overwrite each other's token.
+const refreshing = new Map();
+
+function expiresAt(seconds) {
+  return seconds ? new Date(Date.now() + seconds * 1000) : null;
+}
+
+async function markReauthRequired(clientId, reason) {
+  await pool.query(
+    'UPDATE clients SET reauth_required_at = COALESCE(reauth_required_at, now()), reauth_reason = $2 WHERE id = $1',
+    [clientId, reason]
+  );
+  console.warn(`Client ${clientId} needs to reconnect their eBay account: ${reason}`);
+}
+
+async function refreshFor(client) {
+  let token;
+  try {
+    token = await ebayOAuth.refreshAccessToken(decrypt(client.refresh_token_encrypted));
+  } catch (error) {
+    if (error instanceof ebayOAuth.OAuthError && error.code === 'invalid_grant') {
+      await markReauthRequired(client.id, error.message);
+      throw new ReauthRequiredError();
+    }
+    throw error;
+  }
+
+  await pool.query(
+    'UPDATE clients SET access_token_encrypted = $2, access_token_expires_at = $3 WHERE id = $1',
+    [client.id, encrypt(token.accessToken), expiresAt(token.expiresIn)]
+  );
+  return token.accessToken;
+}
+
+// `client` is a full clients row. Fails fast for a client already flagged,
+// since eBay would only reject the same refresh token again.
+async function accessTokenFor(client) {
+  if (client.reauth_required_at) throw new ReauthRequiredError();
+
+  const cachedUntil = client.access_token_expires_at ? new Date(client.access_token_expires_at).getTime() : 0;
+  if (client.access_token_encrypted && cachedUntil - ACCESS_TOKEN_MARGIN_MS > Date.now()) {
+    return decrypt(client.access_token_encrypted);
+  }
+
+  if (!refreshing.has(client.id)) {
+    refreshing.set(client.id, refreshFor(client).finally(() => refreshing.delete(client.id)));
+  }
+  return refreshing.get(client.id);
+}
+
+// Stores the tokens from a fresh OAuth consent, creating the client on their
+// first connect. Reconnecting clears any re-authorization flag and resumes the
+// schedule from now, rather than firing every run missed while paused.
+async function saveGrant(ebayUserId, grant) {
+  const { rows: [client] } = await pool.query(
+    `INSERT INTO clients (ebay_user_id, ebay_username, refresh_token_encrypted, refresh_token_expires_at,
+       access_token_encrypted, access_token_expires_at)
+     VALUES ($1, $1, $2, $3, $4, $5)
+     ON CONFLICT (ebay_user_id) DO UPDATE SET
+       refresh_token_encrypted = EXCLUDED.refresh_token_encrypted,
+       refresh_token_expires_at = EXCLUDED.refresh_token_expires_at,
+       access_token_encrypted = EXCLUDED.access_token_encrypted,
+       access_token_expires_at = EXCLUDED.access_token_expires_at
+     RETURNING id, reauth_required_at, schedule_hours, schedule_cron, schedule_timezone, schedule_blackouts`,
+    [ebayUserId, encrypt(grant.refreshToken), expiresAt(grant.refreshTokenExpiresIn),
+      encrypt(grant.accessToken), expiresAt(grant.expiresIn)]
+  );
+
+  if (client.reauth_required_at) {
+    await pool.query(
+      'UPDATE clients SET reauth_required_at = NULL, reauth_reason = NULL, next_run_at = $2 WHERE id = $1',
+      [client.id, nextRunAt(scheduleFromClient(client))]
+    );
+  }
+  return client.id;
+}
+
+module.exports = {
+  ReauthRequiredError,
+  accessTokenFor,
+  saveGrant
+};
@@ -0,0 +1,227 @@
+const os = require('os');
+const crypto = require('crypto');
+
+const { pool } = require('./db');
+const ebayOAuth = require('./ebayOAuth');
+const { accessTokenFor } = require('./tokens');
+const { requestOptionsFor } = require('./apiUsage');
+const { createEbayClient } = require('./modules/ebayApi');
+const { runAutomation } = require('./modules/automation');
+const { recordRelist } = require('./lineage');
+const { recordSnapshots } = require('./analytics');
+const { listProtectedItems } = require('./protectedItems');
+const {
+  recordEnded, markRelisted, markStranded, strandUnfinished, claimDueStrandedItems, recordRetryFailure
+} = require('./strandedItems');
+const { notifyRunFinished, deliverDueNotifications } = require('./notifications');
+const { createRunRecorder } = require('./runEvents');
+const { createRunItemsRecorder } = require('./runItems');
+const {
+  LEASE_SECONDS, claimNextRun, heartbeat, finishRun, isCancelRequested, recoverStaleRuns
+} = require('./runQueue');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = (LEASE_SECONDS / 4) * 1000;
+const CANCEL_POLL_INTERVAL_MS = 2000;
+const CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY, 10) || 2);
+
+// NUMERIC columns come back from pg as strings, hence the Number()s.
+async function loadAutomationSettings(client) {
+  return {
+    itemLimit: client.item_limit,
+    keywords: client.keywords,
+    maxViews: client.max_views,
+    daysLeftThreshold: client.days_left_threshold,
+    maxSoldCount: client.max_sold_count,
+    rules: client.rules,
+    keywordThresholds: client.keyword_thresholds,
+    repricing: {
+      mode: client.reprice_mode,
+      amount: Number(client.reprice_amount),
+      floor: Number(client.reprice_floor),
+      rounding: client.reprice_rounding
+    },
+    protectedItems: await listProtectedItems(client.id)
+  };
+}
+
+async function ebayClientFor(client, marketplace) {
+  const accessToken = await accessTokenFor(client);
+  return createEbayClient({
+    token: accessToken,
+    env: ebayOAuth.ENV,
+    baseUrl: ebayOAuth.API_BASE_URL,
+    marketplace,
+    ...requestOptionsFor(client.id)
+  });
+}
+
+// One per marketplace the client sells on, for runAutomation.
+async function ebayClientsFor(client) {
+  const clients = [];
+  for (const marketplace of client.marketplaces) clients.push(await ebayClientFor(client, marketplace));
+  return clients;
+}
+
+async function executeRun(run) {
+  const recorder = createRunRecorder(run.id);
+  const itemsRecorder = createRunItemsRecorder(run.id, run.client_id);
+  const logLines = [];
+  const log = (line) => {
+    console.log(`[run ${run.id}] ${line}`);
+    logLines.push(line);
+    recorder.log(line);
+  };
+
+  // Once the run has been recovered as stale it isn't this worker's any more,
+  // so it ends nothing else — it only relists what it already ended, as a
+  // cancelled run would, and leaves the run's outcome to the recovery.
+  let lostRun = false;
+  const heartbeatTimer = setInterval(() => {
+    heartbeat(run.id, WORKER_ID)
+      .then(owned => {
+        if (owned || lostRun) return;
+        lostRun = true;
+        log('Lost lease — another instance marked this run stale. Stopping.');
+      })
+      .catch(error => console.error(`[run ${run.id}] Heartbeat failed:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // The automation checks this between items, so it's kept in memory and
+  // refreshed from the run row (the cancel request may reach any instance).
+  let cancelRequested = false;
+  const cancelTimer = setInterval(() => {
+    isCancelRequested(run.id)
+      .then(requested => { cancelRequested = requested; })
+      .catch(error => console.error(`[run ${run.id}] Cancel check failed:`, error.message));
+  }, CANCEL_POLL_INTERVAL_MS);
+
+  let finished = false;
+  try {
+    const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [run.client_id]);
+    if (!client) throw new Error('Client no longer exists');
+
+    const ebayClients = await ebayClientsFor(client);
+    const result = await runAutomation(ebayClients, await loadAutomationSettings(client), log, {
+      onListings: (listings) => recordSnapshots(client.id, run.id, listings),
+      onEnded: (item) => recordEnded(client.id, run.id, item),
+      onRelisted: async (relist) => {
+        await markRelisted(client.id, relist.oldItemId, relist.newItemId);
+        await recordRelist(client.id, { ...relist, runId: run.id });
+      },
+      onStranded: (item) => markStranded(client.id, item.itemId, item),
+      isCancelled: () => cancelRequested || lostRun,
+      onProgress: (event) => {
+        recorder.event(event);
+        itemsRecorder.event(event);
+      }
+    });
+
+    await Promise.all([recorder.flush(), itemsRecorder.flush()]);
+    const status = result.cancelled ? 'cancelled' : 'success';
+    finished = await finishRun(run.id, WORKER_ID, { status, log: logLines.join('\n'), result });
+  } catch (error) {
+    log(`Run failed: ${error.message}`);
+    await Promise.all([recorder.flush(), itemsRecorder.flush()]);
+    finished = await finishRun(run.id, WORKER_ID, { status: 'failed', log: logLines.join('\n') });
+  } finally {
+    clearInterval(heartbeatTimer);
+    clearInterval(cancelTimer);
+    await strandUnfinished([run.id], 'Run finished without relisting this item')
+      .catch(error => console.error(`[run ${run.id}] Failed to record stranded items:`, error.message));
+    // A run recovered as stale was already notified about by the recovery.
+    if (finished) {
+      await notifyRunFinished(run.id)
+        .catch(error => console.error(`[run ${run.id}] Failed to queue notifications:`, error.message));
+    }
+  }
+}
+
+// Throws with eBay's error when the relist fails; the caller records it.
+async function relistStrandedItem(item) {
+  const { rows: [client] } = await pool.query('SELECT * FROM clients WHERE id = $1', [item.client_id]);
+  const ebayClient = await ebayClientFor(client, item.marketplace);
+
+  // A stranded item usually got that way by not showing as ended in time, so
+  // check again — relisting one that's somehow still live would duplicate it.
+  if (!(await ebayClient.isItemEnded(item.item_id))) throw new Error('Item still shows as active on eBay');
+
+  const relistPrice = item.relist_price !== null ? Number(item.relist_price) : undefined;
+  const newItemId = await ebayClient.sellSimilarItem(item.item_id, { startPrice: relistPrice });
+  await markRelisted(item.client_id, item.item_id, newItemId);
+  await recordRelist(item.client_id, {
+    oldItemId: item.item_id,
+    newItemId,
+    title: item.title,
+    oldStartTime: item.start_time,
+    newPrice: relistPrice,
+    marketplace: item.marketplace,
+    runId: item.run_id
+  }).catch(error => console.error(`Failed to record relist of ${item.item_id}:`, error.message));
+  console.log(`✓ Relisted stranded item ${item.item_id} → ${newItemId}`);
+  return newItemId;
+}
+
+// Returns { newItemId } or { error } — used by both the retry loop and the
+// dashboard's manual retry button.
+async function retryStrandedItem(item) {
+  try {
+    return { newItemId: await relistStrandedItem(item) };
+  } catch (error) {
+    console.error(`Retry of stranded item ${item.item_id} failed:`, error.message);
+    await recordRetryFailure(item.id, error.message);
+    return { error: error.message };
+  }
+}
+
+async function retryDueStrandedItems() {
+  for (const item of await claimDueStrandedItems()) {
+    await retryStrandedItem(item);
+  }
+}
+
+// Each tick first reaps runs whose worker died (any instance's, not just this
+// one's), stranding whatever they'd ended but not yet relisted and notifying
+// their channels, kicks off stranded-item retries and notification deliveries,
+// then claims queued runs up to CONCURRENCY. Those all execute in the
+// background; the tick itself never waits on them.
+function startWorker() {
+  let active = 0;
+  const busy = new Set();
+
+  // Starts `task` unless the previous tick's is still going.
+  function inBackground(name, task) {
+    if (busy.has(name)) return;
+    busy.add(name);
+    task()
+      .catch(error => console.error(`${name} failed:`, error))
+      .finally(() => busy.delete(name));
+  }
+
+  async function tick() {
+    const staleRuns = await recoverStaleRuns();
+    await strandUnfinished(staleRuns.map(run => run.id), 'Run abandoned before this item was relisted');
+    for (const run of staleRuns) await notifyRunFinished(run.id);
+
+    inBackground('Stranded item retry', retryDueStrandedItems);
+    inBackground('Notification delivery', deliverDueNotifications);
+
+    while (active < CONCURRENCY) {
+      const run = await claimNextRun(WORKER_ID);
+      if (!run) break;
+
+      active++;
+      executeRun(run)
+        .catch(error => console.error(`[run ${run.id}] Worker crashed:`, error))
+        .finally(() => { active--; });
+    }
+  }
+
+  console.log(`Run worker ${WORKER_ID} started (concurrency ${CONCURRENCY}).`);
+  const safeTick = () => tick().catch(error => console.error('Worker tick failed:', error));
+  safeTick();
+  return setInterval(safeTick, POLL_INTERVAL_MS);
+}
+
+module.exports = { WORKER_ID, ebayClientFor, ebayClientsFor, loadAutomationSettings, retryStrandedItem, startWorker };